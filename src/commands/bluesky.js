@@ -0,0 +1,198 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    updateSubscriptionSettings,
+    getGuildSubscriptions,
+    getSourceChannel
+} = require('../database/database');
+const { getBlueskyAccount } = require('../sources/bluesky/store');
+const { getSource } = require('../sources');
+const { followAccount, unfollowAccount } = require('../utils/subscriptions');
+const { addPostTypeOptions, getPostTypeSettings, describePostTypes } = require('../utils/postTypes');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
+const { commands: logger } = require('../utils/logger');
+
+const source = getSource('bluesky');
+const { postTypes } = source;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bluesky')
+        .setDescription('Manage Bluesky account notifications')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            addPostTypeOptions(subcommand
+                .setName('add')
+                .setDescription('Add a Bluesky account to monitor')
+                .addStringOption(option =>
+                    option.setName('handle')
+                        .setDescription('Bluesky handle (e.g. example.bsky.social), DID or profile URL')
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for this account (defaults to the /settings channel for Bluesky)')
+                        .addChannelTypes(ChannelType.GuildText)), postTypes))
+        .addSubcommand(subcommand =>
+            addPostTypeOptions(subcommand
+                .setName('edit')
+                .setDescription('Change which posts of a monitored account are announced')
+                .addStringOption(option =>
+                    option.setName('handle')
+                        .setDescription('Bluesky handle or DID')
+                        .setRequired(true)), postTypes))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a Bluesky account from monitoring')
+                .addStringOption(option =>
+                    option.setName('handle')
+                        .setDescription('Bluesky handle or DID')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List Bluesky accounts monitored in this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'add': {
+                    const handle = interaction.options.getString('handle');
+                    const targetChannel = interaction.options.getChannel('channel');
+
+                    // Run the same permission checks as /setup on the override channel
+                    if (targetChannel) {
+                        const missing = getMissingChannelPermissions(targetChannel, interaction.client.user);
+                        if (missing.length > 0) {
+                            logger.warn('Missing required permissions in override channel:', {
+                                guildId: interaction.guildId,
+                                channelId: targetChannel.id,
+                                missing
+                            });
+                            await interaction.editReply({
+                                content: `I need additional permissions to function properly:\n${describeMissingPermissions(targetChannel, missing).join('\n')}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    const followed = await followAccount(interaction.guildId, 'bluesky', handle, targetChannel?.id ?? null);
+                    if (followed.error) {
+                        await interaction.editReply({
+                            content: `❌ ${followed.error}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+                    await updateSubscriptionSettings(interaction.guildId, 'bluesky', followed.accountId, getPostTypeSettings(interaction, postTypes));
+
+                    const content = [`Now monitoring Bluesky account: ${followed.name}`];
+                    if (targetChannel) {
+                        content.push(`Posts will be sent to ${targetChannel}`);
+                    } else if (!await getSourceChannel(interaction.guildId, 'bluesky')) {
+                        content.push('⚠️ No Bluesky channel is configured yet. Use `/settings channel source:Bluesky` so I know where to post.');
+                    }
+
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'edit': {
+                    const handle = interaction.options.getString('handle');
+                    const settings = getPostTypeSettings(interaction, postTypes);
+                    if (Object.keys(settings).length === 0) {
+                        await interaction.editReply({
+                            content: `Choose at least one of ${postTypes.map(type => `\`${type.name}\``).join(', ')} to change.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const did = await source.findAccountId(interaction.guildId, handle);
+                    const result = await updateSubscriptionSettings(interaction.guildId, 'bluesky', did, settings);
+
+                    if (result.changes === 0) {
+                        await interaction.editReply({
+                            content: `${handle} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const subscription = (await getGuildSubscriptions(interaction.guildId, 'bluesky'))
+                        .find(sub => sub.account_id === did);
+                    await interaction.editReply({
+                        content: `Updated ${await source.getAccountName(did)}: ${describePostTypes(subscription, postTypes) || 'all posts are announced'}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'remove': {
+                    const handle = interaction.options.getString('handle');
+                    const did = await source.findAccountId(interaction.guildId, handle);
+                    // Look the name up first, the account is gone once its last subscription is
+                    const name = await source.getAccountName(did);
+                    if (!await unfollowAccount(interaction.guildId, 'bluesky', handle)) {
+                        await interaction.editReply({
+                            content: `${handle} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    await interaction.editReply({
+                        content: `Stopped monitoring Bluesky account: ${name}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'list': {
+                    const subscriptions = await getGuildSubscriptions(interaction.guildId, 'bluesky');
+
+                    if (subscriptions.length === 0) {
+                        await interaction.editReply({
+                            content: 'No Bluesky accounts are being monitored in this server.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    // Show the current handle, which may have changed since the account was added
+                    const accounts = await Promise.all(subscriptions.map(sub => getBlueskyAccount(sub.account_id)));
+                    const accountList = subscriptions
+                        .map((sub, index) => {
+                            const handle = accounts[index]?.handle || sub.account_id;
+                            const details = describePostTypes(sub, postTypes);
+                            return `• @${handle}${sub.channel_id ? ` → <#${sub.channel_id}>` : ''}` +
+                                (details ? ` (${details})` : '');
+                        })
+                        .join('\n');
+
+                    await interaction.editReply({
+                        content: `**Monitored Bluesky Accounts:**\n${accountList}`.slice(0, 2000),
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in bluesky command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                handle: interaction.options.getString('handle'),
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
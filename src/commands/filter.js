@@ -0,0 +1,156 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    addSubscriptionFilter,
+    removeSubscriptionFilter,
+    getGuildFilters
+} = require('../database/database');
+const { getSourceChoices } = require('../sources');
+const { findGuildSubscription, getAccountName } = require('../utils/subscriptions');
+const { validateFilterPattern, describeFilter } = require('../utils/filters');
+const { commands: logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('filter')
+        .setDescription('Filter which posts are announced by keyword or regex')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a filter to a monitored account')
+                .addStringOption(option =>
+                    option.setName('source')
+                        .setDescription('Where the account is from')
+                        .setRequired(true)
+                        .addChoices(...getSourceChoices()))
+                .addStringOption(option =>
+                    option.setName('account')
+                        .setDescription('Username, channel ID, @handle or URL of the account')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Only announce matching posts, or never announce them')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Include', value: 'include' },
+                            { name: 'Exclude', value: 'exclude' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('pattern')
+                        .setDescription('Keyword or regular expression (case-insensitive)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('How to match the pattern (default: keyword)')
+                        .addChoices(
+                            { name: 'Keyword', value: 'keyword' },
+                            { name: 'Regex', value: 'regex' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a filter')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Filter ID from /filter list')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List the filters in this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'add': {
+                    const source = interaction.options.getString('source');
+                    const input = interaction.options.getString('account');
+                    const mode = interaction.options.getString('mode');
+                    const pattern = interaction.options.getString('pattern');
+                    const type = interaction.options.getString('type') || 'keyword';
+
+                    const problem = validateFilterPattern(type, pattern);
+                    if (problem) {
+                        await interaction.editReply({
+                            content: `❌ ${problem}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const subscription = await findGuildSubscription(interaction.guildId, source, input);
+                    if (!subscription) {
+                        await interaction.editReply({
+                            content: `${input} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const result = await addSubscriptionFilter(subscription.id, mode, type, pattern);
+                    const filterText = describeFilter({ type, pattern });
+                    const name = await getAccountName(source, subscription.account_id);
+                    await interaction.editReply({
+                        content: result.changes === 0
+                            ? `${name} already has this filter.`
+                            : `Added ${mode} filter ${filterText} to ${name} (filter #${result.lastID})`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'remove': {
+                    const id = interaction.options.getInteger('id');
+                    const result = await removeSubscriptionFilter(interaction.guildId, id);
+
+                    await interaction.editReply({
+                        content: result.changes === 0
+                            ? `Filter #${id} does not exist in this server.`
+                            : `Removed filter #${id}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'list': {
+                    const filters = await getGuildFilters(interaction.guildId);
+
+                    if (filters.length === 0) {
+                        await interaction.editReply({
+                            content: 'No filters are set up in this server.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const lines = ['**Filters:**'];
+                    for (const filter of filters) {
+                        const name = await getAccountName(filter.source, filter.account_id);
+                        lines.push(`• \`#${filter.id}\` ${name}: ${filter.mode} ${describeFilter(filter)}`);
+                    }
+                    lines.push('', 'Posts must match at least one include filter (if any) and no exclude filter.');
+
+                    await interaction.editReply({
+                        content: lines.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in filter command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
@@ -0,0 +1,131 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { getSourceChannel, updateSubscriptionSettings } = require('../database/database');
+const { getSource, getSources, getSourceChoices } = require('../sources');
+const {
+    followAccount,
+    getSubscriptionOptions,
+    addSubscriptionOptions,
+    getSubscriptionSettings
+} = require('../utils/subscriptions');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
+const { commands: logger } = require('../utils/logger');
+
+// The subscription options of every source. Options several sources share,
+// like `replies`, are added once; each says which sources it applies to.
+const followOptions = new Map();
+for (const source of getSources()) {
+    for (const option of getSubscriptionOptions(source)) {
+        const shared = followOptions.get(option.name) || { ...option, sources: [] };
+        shared.sources.push(source.displayName);
+        followOptions.set(option.name, shared);
+    }
+}
+
+const describeFollowOption = ({ sources, description }) => `${sources.join(', ')}: ${description}`.slice(0, 100);
+
+module.exports = {
+    data: addSubscriptionOptions(
+        new SlashCommandBuilder()
+            .setName('follow')
+            .setDescription('Get notified about an account from any supported source')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('source')
+                    .setDescription('Where the account is from')
+                    .setRequired(true)
+                    .addChoices(...getSourceChoices()))
+            .addStringOption(option =>
+                option.setName('account')
+                    .setDescription('Username, channel ID, @handle or URL of the account')
+                    .setRequired(true))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel for this account (defaults to the channel of the source)')
+                    .addChannelTypes(ChannelType.GuildText)),
+        [...followOptions.values()].map(option => ({ ...option, description: describeFollowOption(option) }))
+    ),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const source = getSource(interaction.options.getString('source'));
+        const input = interaction.options.getString('account');
+        const targetChannel = interaction.options.getChannel('channel');
+
+        try {
+            // Options of other sources would be silently ignored
+            const supported = new Set(getSubscriptionOptions(source).map(option => option.name));
+            const unsupported = interaction.options.data
+                .map(option => option.name)
+                .filter(name => followOptions.has(name) && !supported.has(name));
+            if (unsupported.length > 0) {
+                await interaction.editReply({
+                    content: `❌ ${unsupported.map(name => `\`${name}\``).join(', ')} can't be used with ${source.displayName} accounts.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const { settings, error } = getSubscriptionSettings(source, interaction);
+            if (error) {
+                await interaction.editReply({ content: `❌ ${error}`, ephemeral: true });
+                return;
+            }
+
+            // Run the same permission checks as /setup on the override channels
+            const channels = interaction.options.data.map(option => option.channel).filter(Boolean);
+            for (const channel of channels) {
+                const missing = getMissingChannelPermissions(channel, interaction.client.user);
+                if (missing.length > 0) {
+                    logger.warn('Missing required permissions in override channel:', {
+                        guildId: interaction.guildId,
+                        channelId: channel.id,
+                        missing
+                    });
+                    await interaction.editReply({
+                        content: `I need additional permissions to function properly:\n${describeMissingPermissions(channel, missing).join('\n')}`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+            }
+
+            const followed = await followAccount(interaction.guildId, source.name, input, targetChannel?.id ?? null);
+            if (followed.error) {
+                await interaction.editReply({
+                    content: `❌ ${followed.error}`,
+                    ephemeral: true
+                });
+                return;
+            }
+            if (Object.keys(settings).length > 0) {
+                await updateSubscriptionSettings(interaction.guildId, source.name, followed.accountId, settings);
+            }
+
+            const content = [`Now following ${source.displayName} account: ${followed.name}`];
+            if (targetChannel) {
+                content.push(`Notifications will be sent to ${targetChannel}`);
+            } else if (!await getSourceChannel(interaction.guildId, source.name)) {
+                content.push(`⚠️ No ${source.displayName} channel is configured yet. Use \`/settings channel\` so I know where to post.`);
+            }
+
+            await interaction.editReply({
+                content: content.join('\n'),
+                ephemeral: true
+            });
+        } catch (error) {
+            logger.error('Error in follow command:', {
+                error: error.message,
+                stack: error.stack,
+                source: source?.name,
+                account: input,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
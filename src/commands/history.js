@@ -0,0 +1,92 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getGuildNotifications } = require('../database/database');
+const { getSource } = require('../sources');
+const { commands: logger } = require('../utils/logger');
+
+const messageLimit = 2000;
+
+// Accepts a bare item ID or a tweet/video URL for the item option
+const parseItemId = (input) => {
+    const value = input.trim();
+    const match = value.match(/status\/(\d+)/) ||
+        value.match(/(?:youtu\.be\/|[?&]v=|\/shorts\/|\/live\/)([\w-]{11})/);
+    return match ? match[1] : value;
+};
+
+const describeNotification = (notification) => {
+    const itemUrl = getSource(notification.source)?.getItemUrl(notification.item_id);
+    const item = itemUrl ? `[${notification.item_id}](<${itemUrl}>)` : notification.item_id;
+    const time = `<t:${Math.floor(notification.created_at / 1000)}:R>`;
+
+    if (notification.status !== 'posted') {
+        return `• ${time} ${notification.source} ${item} — ${notification.status}${notification.reason ? `: ${notification.reason}` : ''}`;
+    }
+
+    const jumpUrl = `https://discord.com/channels/${notification.guild_id}/${notification.channel_id}/${notification.message_id}`;
+    return `• ${time} ${notification.source} ${item} → ${jumpUrl}`;
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show recent notifications posted in this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addIntegerOption(option =>
+            option.setName('count')
+                .setDescription('Number of notifications to show (default 10)')
+                .setMinValue(1)
+                .setMaxValue(25))
+        .addStringOption(option =>
+            option.setName('item')
+                .setDescription('Only show a specific tweet or video (ID or URL)')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        try {
+            const count = interaction.options.getInteger('count') || 10;
+            const item = interaction.options.getString('item');
+            const itemId = item ? parseItemId(item) : null;
+            const notifications = await getGuildNotifications(interaction.guildId, count, itemId);
+
+            if (notifications.length === 0) {
+                await interaction.editReply({
+                    content: itemId
+                        ? `\`${itemId}\` has not been posted in this server.`
+                        : 'No notifications have been posted in this server yet.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Stop adding lines before the reply outgrows a Discord message
+            const lines = ['**Recent Notifications:**'];
+            let length = lines[0].length;
+            for (const [index, notification] of notifications.entries()) {
+                const line = describeNotification(notification);
+                if (length + line.length + 40 > messageLimit) {
+                    lines.push(`…and ${notifications.length - index} more`);
+                    break;
+                }
+                lines.push(line);
+                length += line.length + 1;
+            }
+
+            await interaction.editReply({
+                content: lines.join('\n'),
+                ephemeral: true
+            });
+        } catch (error) {
+            logger.error('Error in history command:', {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
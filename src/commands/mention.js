@@ -0,0 +1,176 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    getGuildChannels,
+    setGuildMention,
+    getGuildSubscriptions,
+    updateSubscriptionSettings
+} = require('../database/database');
+const { getSources, getSourceChoices } = require('../sources');
+const { findGuildSubscription, getAccountName } = require('../utils/subscriptions');
+const { formatMention, getMentionFromRole } = require('../utils/mentions');
+const { commands: logger } = require('../utils/logger');
+
+const addTargetOptions = (subcommand) => subcommand
+    .addStringOption(option =>
+        option.setName('source')
+            .setDescription('Only for one account from this source (defaults to the server default)')
+            .addChoices(...getSourceChoices()))
+    .addStringOption(option =>
+        option.setName('account')
+            .setDescription('Username, channel ID, @handle or URL of the account, used together with source'));
+
+// Resolves the optional source/account options; undefined means a reply was already sent
+async function getTarget(interaction) {
+    const source = interaction.options.getString('source');
+    const input = interaction.options.getString('account');
+    if (!source && !input) {
+        return { subscription: null, label: 'this server (default)' };
+    }
+    if (!source || !input) {
+        await interaction.editReply({
+            content: 'Give both `source` and `account` to target one account, or neither for the server default.',
+            ephemeral: true
+        });
+        return undefined;
+    }
+
+    const subscription = await findGuildSubscription(interaction.guildId, source, input);
+    if (!subscription) {
+        await interaction.editReply({
+            content: `${input} is not monitored in this server.`,
+            ephemeral: true
+        });
+        return undefined;
+    }
+    return { subscription, label: await getAccountName(source, subscription.account_id) };
+}
+
+async function saveMention(guildId, target, mention) {
+    if (target.subscription) {
+        return updateSubscriptionSettings(guildId, target.subscription.source, target.subscription.account_id, { mention });
+    }
+    return setGuildMention(guildId, mention);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('mention')
+        .setDescription('Ping a role when notifications are posted')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            addTargetOptions(subcommand
+                .setName('set')
+                .setDescription('Choose who notifications ping')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to ping'))
+                .addBooleanOption(option =>
+                    option.setName('here')
+                        .setDescription('Ping @here instead of a role'))))
+        .addSubcommand(subcommand =>
+            addTargetOptions(subcommand
+                .setName('clear')
+                .setDescription('Stop pinging for notifications')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show the mentions configured in this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'set': {
+                    const role = interaction.options.getRole('role');
+                    const here = interaction.options.getBoolean('here');
+                    if (Boolean(role) === Boolean(here)) {
+                        await interaction.editReply({
+                            content: 'Choose either a `role` or `here`.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const target = await getTarget(interaction);
+                    if (!target) {
+                        return;
+                    }
+
+                    const mention = role ? getMentionFromRole(role) : 'here';
+
+                    // Pinging @here, @everyone or a role members can't ping needs Mention Everyone
+                    const needsMentionEveryone = !role || mention === 'everyone' || !role.mentionable;
+                    if (needsMentionEveryone && !interaction.guild.members.me.permissions.has(PermissionFlagsBits.MentionEveryone)) {
+                        logger.warn('Missing Mention Everyone permission for notification mention', {
+                            guildId: interaction.guildId,
+                            mention
+                        });
+                        await interaction.editReply({
+                            content: `❌ I need the Mention Everyone permission to ping ${formatMention(mention)}` +
+                                (role && mention !== 'everyone' ? ', or make the role mentionable by everyone.' : '.'),
+                            allowedMentions: { parse: [] },
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    await saveMention(interaction.guildId, target, mention);
+                    await interaction.editReply({
+                        content: `Notifications for ${target.label} will ping ${formatMention(mention)}`,
+                        allowedMentions: { parse: [] },
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'clear': {
+                    const target = await getTarget(interaction);
+                    if (!target) {
+                        return;
+                    }
+
+                    await saveMention(interaction.guildId, target, null);
+                    await interaction.editReply({
+                        content: target.subscription
+                            ? `${target.label} no longer has its own ping and uses the server default.`
+                            : 'Notifications no longer ping anyone by default.',
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'list': {
+                    const channels = await getGuildChannels(interaction.guildId);
+                    const lines = [`**Default:** ${channels?.mention ? formatMention(channels.mention) : 'no ping'}`];
+
+                    for (const { name: source } of getSources()) {
+                        const subscriptions = await getGuildSubscriptions(interaction.guildId, source);
+                        for (const subscription of subscriptions.filter(sub => sub.mention)) {
+                            const name = await getAccountName(source, subscription.account_id);
+                            lines.push(`• ${source} ${name}: ${formatMention(subscription.mention)}`);
+                        }
+                    }
+
+                    await interaction.editReply({
+                        content: lines.join('\n'),
+                        allowedMentions: { parse: [] },
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in mention command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
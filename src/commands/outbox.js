@@ -0,0 +1,123 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getGuildDeliveries, retryDeliveries } = require('../database/database');
+const { processOutbox } = require('../handlers/deliveryHandler');
+const { commands: logger } = require('../utils/logger');
+
+const statusLabels = {
+    dead: 'Failed deliveries',
+    pending: 'Queued deliveries',
+    sent: 'Recently sent deliveries'
+};
+
+const listLimit = 15;
+
+const describeDelivery = (delivery) => {
+    const parts = [`\`#${delivery.id}\` ${delivery.source} ${delivery.item_id} → <#${delivery.channel_id}>`];
+    if (delivery.status === 'pending') {
+        parts.push(`next attempt <t:${Math.floor(delivery.next_attempt_at / 1000)}:R>`);
+    }
+    if (delivery.attempts > 0) {
+        parts.push(`${delivery.attempts} attempts`);
+    }
+    if (delivery.last_error && delivery.status !== 'sent') {
+        parts.push(delivery.last_error.substring(0, 100));
+    }
+    return `• ${parts.join(' · ')}`;
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('outbox')
+        .setDescription('Inspect and retry notification deliveries')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List deliveries in this server')
+                .addStringOption(option =>
+                    option.setName('status')
+                        .setDescription('Which deliveries to show (defaults to failed)')
+                        .addChoices(
+                            { name: 'Failed', value: 'dead' },
+                            { name: 'Queued', value: 'pending' },
+                            { name: 'Sent', value: 'sent' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('retry')
+                .setDescription('Retry failed deliveries')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Delivery to retry (defaults to all failed deliveries)')
+                        .setMinValue(1))),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'list': {
+                    const status = interaction.options.getString('status') || 'dead';
+                    const deliveries = await getGuildDeliveries(interaction.guildId, status, listLimit);
+
+                    if (deliveries.length === 0) {
+                        await interaction.editReply({
+                            content: `No ${statusLabels[status].toLowerCase()} in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const content = [`**${statusLabels[status]}:**`, ...deliveries.map(describeDelivery)];
+                    if (status === 'dead') {
+                        content.push('', 'Use `/outbox retry` to queue them again once the problem is fixed.');
+                    }
+
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'retry': {
+                    const id = interaction.options.getInteger('id');
+                    const result = await retryDeliveries(interaction.guildId, id);
+
+                    if (result.changes === 0) {
+                        await interaction.editReply({
+                            content: id ? `Delivery #${id} is not a failed delivery in this server.` : 'There are no failed deliveries to retry.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    logger.info(`Requeued ${result.changes} failed deliveries`, {
+                        guildId: interaction.guildId,
+                        id,
+                        user: interaction.user.tag
+                    });
+                    processOutbox(interaction.client);
+
+                    await interaction.editReply({
+                        content: `Queued ${result.changes} ${result.changes === 1 ? 'delivery' : 'deliveries'} for another attempt.`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in outbox command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
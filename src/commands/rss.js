@@ -0,0 +1,145 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { getGuildSubscriptions, getSourceChannel } = require('../database/database');
+const { getRssFeed } = require('../sources/rss/store');
+const { followAccount, unfollowAccount } = require('../utils/subscriptions');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
+const { commands: logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rss')
+        .setDescription('Manage RSS and Atom feed notifications')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add an RSS or Atom feed to monitor')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('Feed URL, or the URL of a page that links to its feed')
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for this feed (defaults to the /settings channel for RSS)')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a feed from monitoring')
+                .addStringOption(option =>
+                    option.setName('feed')
+                        .setDescription('Feed URL or title, as shown by /rss list')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List feeds monitored in this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'add': {
+                    const url = interaction.options.getString('url');
+                    const targetChannel = interaction.options.getChannel('channel');
+
+                    // Run the same permission checks as /setup on the override channel
+                    if (targetChannel) {
+                        const missing = getMissingChannelPermissions(targetChannel, interaction.client.user);
+                        if (missing.length > 0) {
+                            logger.warn('Missing required permissions in override channel:', {
+                                guildId: interaction.guildId,
+                                channelId: targetChannel.id,
+                                missing
+                            });
+                            await interaction.editReply({
+                                content: `I need additional permissions to function properly:\n${describeMissingPermissions(targetChannel, missing).join('\n')}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    const followed = await followAccount(interaction.guildId, 'rss', url, targetChannel?.id ?? null);
+                    if (followed.error) {
+                        await interaction.editReply({
+                            content: `❌ ${followed.error}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const content = [
+                        `Now monitoring feed: ${followed.name}`,
+                        'Entries already in the feed are skipped; new ones are announced from the next check.'
+                    ];
+                    if (targetChannel) {
+                        content.push(`Entries will be sent to ${targetChannel}`);
+                    } else if (!await getSourceChannel(interaction.guildId, 'rss')) {
+                        content.push('⚠️ No RSS channel is configured yet. Use `/settings channel source:RSS/Atom feed` so I know where to post.');
+                    }
+
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'remove': {
+                    const input = interaction.options.getString('feed');
+                    const feedUrl = await unfollowAccount(interaction.guildId, 'rss', input);
+
+                    await interaction.editReply({
+                        content: feedUrl
+                            ? `Stopped monitoring feed: ${feedUrl}`
+                            : `${input} is not monitored in this server.`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'list': {
+                    const subscriptions = await getGuildSubscriptions(interaction.guildId, 'rss');
+
+                    if (subscriptions.length === 0) {
+                        await interaction.editReply({
+                            content: 'No feeds are being monitored in this server.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const feeds = await Promise.all(subscriptions.map(sub => getRssFeed(sub.account_id)));
+                    const feedList = subscriptions
+                        .map((sub, index) => {
+                            const title = feeds[index]?.title;
+                            const checkedAt = feeds[index]?.checked_at;
+                            return `• ${title ? `${title} ` : ''}<${sub.account_id}>` +
+                                (sub.channel_id ? ` → <#${sub.channel_id}>` : '') +
+                                (checkedAt ? ` (checked <t:${Math.floor(checkedAt / 1000)}:R>)` : '');
+                        })
+                        .join('\n');
+
+                    await interaction.editReply({
+                        content: `**Monitored Feeds:**\n${feedList}`.slice(0, 2000),
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in rss command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
@@ -0,0 +1,146 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    getGuildChannels,
+    setGuildLinkProvider,
+    setSourceChannel,
+    getSourceChannels
+} = require('../database/database');
+const { getSource, getSources, getSourceChoices } = require('../sources');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
+const {
+    getLinkRewriter,
+    getLinkRewriters,
+    rewriteTweetUrl,
+    defaultLinkRewriter
+} = require('../utils/linkRewriters');
+const { commands: logger } = require('../utils/logger');
+
+const exampleTweetUrl = 'https://twitter.com/example/status/1234567890';
+
+const describeLinkProvider = (key) => {
+    const rewriter = getLinkRewriter(key);
+    return `${rewriter.name}, e.g. <${rewriteTweetUrl(exampleTweetUrl, rewriter.key)}>`;
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('settings')
+        .setDescription('Change how notifications behave in this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('tweet-links')
+                .setDescription('Choose the service tweet links go through for their previews')
+                .addStringOption(option =>
+                    option.setName('provider')
+                        .setDescription('Embed-fix service for tweet links')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Bot default', value: 'default' },
+                            ...getLinkRewriters().map(rewriter => ({ name: rewriter.name, value: rewriter.key }))
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('channel')
+                .setDescription('Choose where notifications from a source go by default')
+                .addStringOption(option =>
+                    option.setName('source')
+                        .setDescription('Which notifications')
+                        .setRequired(true)
+                        .addChoices(...getSourceChoices()))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Default channel (leave empty to stop posting accounts without their own channel)')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('show')
+                .setDescription('Show the settings of this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'tweet-links': {
+                    const provider = interaction.options.getString('provider');
+                    const key = provider === 'default' ? null : provider;
+                    await setGuildLinkProvider(interaction.guildId, key);
+
+                    await interaction.editReply({
+                        content: key
+                            ? `Tweet links will use ${describeLinkProvider(key)}`
+                            : `Tweet links will use the bot default: ${describeLinkProvider(null)}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'channel': {
+                    const source = getSource(interaction.options.getString('source'));
+                    const channel = interaction.options.getChannel('channel');
+
+                    // Run the same permission checks as /setup
+                    if (channel) {
+                        const missing = getMissingChannelPermissions(channel, interaction.client.user);
+                        if (missing.length > 0) {
+                            logger.warn('Missing required permissions in source channel:', {
+                                guildId: interaction.guildId,
+                                channelId: channel.id,
+                                missing
+                            });
+                            await interaction.editReply({
+                                content: `I need additional permissions to function properly:\n${describeMissingPermissions(channel, missing).join('\n')}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    await setSourceChannel(interaction.guildId, source.name, channel?.id ?? null);
+                    await interaction.editReply({
+                        content: channel
+                            ? `${source.displayName} notifications will be sent to ${channel} unless an account has its own channel.`
+                            : `${source.displayName} notifications are only sent for accounts with their own channel now.`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'show': {
+                    const channels = await getGuildChannels(interaction.guildId);
+                    const sourceChannels = new Map(
+                        (await getSourceChannels(interaction.guildId)).map(row => [row.source, row.channel_id])
+                    );
+                    const provider = channels?.twitter_link_provider;
+                    // A stored provider that is no longer available falls back to the default
+                    const usesDefault = !provider || getLinkRewriter(provider).key !== provider;
+
+                    await interaction.editReply({
+                        content: [
+                            '**Settings:**',
+                            ...getSources().map(source => {
+                                const channelId = sourceChannels.get(source.name);
+                                return `• ${source.displayName} channel: ${channelId ? `<#${channelId}>` : 'not set'}`;
+                            }),
+                            `• Tweet links: ${describeLinkProvider(provider)}${usesDefault ? ` (bot default: \`${defaultLinkRewriter}\`)` : ''}`
+                        ].join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in settings command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const { setGuildChannels, getGuildChannels, verifyDatabaseConnection } = require('../database/database');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
 const { commands: logger } = require('../utils/logger');
 
 module.exports = {
@@ -24,12 +25,9 @@ module.exports = {
             const youtubeChannel = interaction.options.getChannel('youtube');
 
             // Verify bot permissions in both channels
-            const requiredPermissions = ['ViewChannel', 'SendMessages', 'EmbedLinks'];
             const twitterPerms = twitterChannel.permissionsFor(interaction.client.user);
             const youtubePerms = youtubeChannel.permissionsFor(interaction.client.user);
 
-            const missingPerms = [];
-            
             logger.debug('Checking permissions for Twitter channel:', {
                 channelId: twitterChannel.id,
                 channelName: twitterChannel.name,
@@ -42,14 +40,10 @@ module.exports = {
                 permissions: youtubePerms?.toArray() || []
             });
             
-            requiredPermissions.forEach(perm => {
-                if (!twitterPerms?.has(perm)) {
-                    missingPerms.push(`Missing ${perm} permission in ${twitterChannel}`);
-                }
-                if (!youtubePerms?.has(perm)) {
-                    missingPerms.push(`Missing ${perm} permission in ${youtubeChannel}`);
-                }
-            });
+            const missingPerms = [
+                ...describeMissingPermissions(twitterChannel, getMissingChannelPermissions(twitterChannel, interaction.client.user)),
+                ...describeMissingPermissions(youtubeChannel, getMissingChannelPermissions(youtubeChannel, interaction.client.user))
+            ];
 
             if (missingPerms.length > 0) {
                 logger.warn('Missing required permissions:', {
@@ -180,7 +174,7 @@ module.exports = {
                 '',
                 'You can now:',
                 '• Use `/twitter add <username>` to monitor Twitter accounts',
-                '• Use `/youtube add <channel_id>` to monitor YouTube channels',
+                '• Use `/youtube add <channel ID, @handle or URL>` to monitor YouTube channels',
                 '',
                 '⚠️ Make sure I have permission to send messages in these channels!'
             ].join('\n');
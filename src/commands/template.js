@@ -0,0 +1,226 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    getMessageTemplate,
+    setMessageTemplate,
+    removeMessageTemplate,
+    getGuildChannels
+} = require('../database/database');
+const { getTemplateChoices } = require('../sources');
+const { findGuildSubscription, getAccountName } = require('../utils/subscriptions');
+const {
+    placeholders,
+    defaultTemplates,
+    validateTemplate,
+    resolveTemplate,
+    applyTemplate,
+    parseColor,
+    formatColor
+} = require('../utils/templates');
+const { rewriteTweetUrl } = require('../utils/linkRewriters');
+const { commands: logger } = require('../utils/logger');
+
+// Loading the registry registers every source's templates, which the
+// choices and defaultTemplates below rely on
+const templateChoices = getTemplateChoices();
+
+const addScopeOptions = (subcommand) => subcommand
+    .addStringOption(option =>
+        option.setName('source')
+            .setDescription('Which notifications the template is for')
+            .setRequired(true)
+            .addChoices(...templateChoices))
+    .addStringOption(option =>
+        option.setName('account')
+            .setDescription('Only for this account (defaults to every account of the source)'));
+
+// Keeps the summary of a long template inside one message
+const truncate = (value, maxLength) => value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+
+const placeholderHelp = Object.keys(placeholders).map(name => `\`{${name}}\``).join(' ');
+
+// Resolves the optional account option to a subscription; undefined means it wasn't found
+async function getScope(interaction) {
+    const source = interaction.options.getString('source');
+    const input = interaction.options.getString('account');
+    // Templates that aren't named after a source belong to the accounts of their source
+    const subscriptionSource = defaultTemplates[source].source;
+    if (!input) {
+        return { source, subscription: null, label: `all ${subscriptionSource} accounts` };
+    }
+
+    const subscription = await findGuildSubscription(interaction.guildId, subscriptionSource, input);
+    if (!subscription) {
+        await interaction.editReply({
+            content: `${input} is not monitored in this server.`,
+            ephemeral: true
+        });
+        return undefined;
+    }
+    return { source, subscription, label: await getAccountName(subscriptionSource, subscription.account_id) };
+}
+
+async function buildPreview(guildId, { source, subscription, label }) {
+    const guildTemplate = await getMessageTemplate(guildId, source);
+    const subscriptionTemplate = subscription ? await getMessageTemplate(guildId, source, subscription.id) : null;
+    const template = resolveTemplate(source, subscriptionTemplate, guildTemplate);
+
+    const values = {
+        ...defaultTemplates[source].sample,
+        published: `<t:${Math.floor(Date.now() / 1000)}:f>`,
+        start: source === 'youtube_reminder' ? `<t:${Math.floor(Date.now() / 1000) + 900}:R>` : ''
+    };
+    if (source === 'twitter') {
+        const channels = await getGuildChannels(guildId);
+        values.url = rewriteTweetUrl(values.url, channels?.twitter_link_provider);
+    }
+    if (subscription) {
+        const name = await getAccountName(subscription.source, subscription.account_id);
+        values.author = name.replace(/^@/, '');
+        values.handle = source === 'twitter' ? name.replace(/^@/, '') : name;
+    }
+
+    const message = applyTemplate(template, values, {
+        author: { name: values.author },
+        // Tweets have no title, the other sources show it above the text
+        title: source !== 'twitter' ? values.title : undefined,
+        description: values.text
+    });
+
+    return {
+        content: message.content,
+        embeds: [message.embed],
+        summary: [
+            `**Template for ${label}:**`,
+            `Content: \`${truncate(template.content, 1200)}\``,
+            `Colour: ${formatColor(template.color)}`,
+            `Footer: ${template.footer ? `\`${truncate(template.footer, 200)}\`` : 'none'}`,
+            `Placeholders: ${placeholderHelp}`
+        ].join('\n')
+    };
+}
+
+async function replyWithPreview(interaction, scope, status) {
+    const preview = await buildPreview(interaction.guildId, scope);
+    await interaction.editReply({
+        content: [status, preview.summary].filter(Boolean).join('\n\n'),
+        ephemeral: true
+    });
+    await interaction.followUp({
+        content: preview.content || undefined,
+        embeds: preview.embeds,
+        allowedMentions: { parse: [] },
+        ephemeral: true
+    });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('template')
+        .setDescription('Customize how notifications are worded')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            addScopeOptions(subcommand
+                .setName('set')
+                .setDescription('Set the notification template'))
+                .addStringOption(option =>
+                    option.setName('content')
+                        .setDescription('Message text, e.g. "{author} posted: {url}". Use \\n for a new line')
+                        .setMaxLength(2000))
+                .addStringOption(option =>
+                    option.setName('color')
+                        .setDescription('Embed colour as a hex code, e.g. #FF0000'))
+                .addStringOption(option =>
+                    option.setName('footer')
+                        .setDescription('Embed footer text')
+                        .setMaxLength(2048)))
+        .addSubcommand(subcommand =>
+            addScopeOptions(subcommand
+                .setName('preview')
+                .setDescription('Show what notifications will look like')))
+        .addSubcommand(subcommand =>
+            addScopeOptions(subcommand
+                .setName('reset')
+                .setDescription('Go back to the default template'))),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const scope = await getScope(interaction);
+            if (!scope) {
+                return;
+            }
+            const subscriptionId = scope.subscription?.id ?? null;
+
+            switch (subcommand) {
+                case 'set': {
+                    const content = interaction.options.getString('content');
+                    const colorInput = interaction.options.getString('color');
+                    const footer = interaction.options.getString('footer');
+
+                    if (content === null && colorInput === null && footer === null) {
+                        await interaction.editReply({
+                            content: 'Give at least one of `content`, `color` or `footer` to change.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const color = colorInput === null ? null : parseColor(colorInput);
+                    const problems = [
+                        ...(content !== null ? validateTemplate(content, 'content') : []),
+                        ...(footer !== null ? validateTemplate(footer, 'footer') : [])
+                    ];
+                    if (colorInput !== null && color === null) {
+                        problems.push(`\`${colorInput}\` is not a hex colour like #FF0000.`);
+                    }
+                    if (problems.length > 0) {
+                        await interaction.editReply({
+                            content: `❌ The template can't be used:\n${problems.map(problem => `• ${problem}`).join('\n')}\n\nPlaceholders: ${placeholderHelp}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    // Options that weren't given keep their current value
+                    const existing = await getMessageTemplate(interaction.guildId, scope.source, subscriptionId);
+                    await setMessageTemplate(interaction.guildId, scope.source, subscriptionId, {
+                        content: content ?? existing?.content ?? null,
+                        color: color ?? existing?.color ?? null,
+                        footer: footer ?? existing?.footer ?? null
+                    });
+
+                    await replyWithPreview(interaction, scope, `✅ Saved the template for ${scope.label}.`);
+                    break;
+                }
+                case 'preview': {
+                    await replyWithPreview(interaction, scope, null);
+                    break;
+                }
+                case 'reset': {
+                    const result = await removeMessageTemplate(interaction.guildId, scope.source, subscriptionId);
+                    await interaction.editReply({
+                        content: result.changes === 0
+                            ? `${scope.label} already use${scope.subscription ? 's' : ''} the default template.`
+                            : `Reset the template for ${scope.label}.`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in template command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
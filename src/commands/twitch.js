@@ -0,0 +1,154 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { getGuildSubscriptions, getSourceChannel } = require('../database/database');
+const { getTwitchChannel } = require('../sources/twitch/store');
+const { getSource } = require('../sources');
+const { followAccount, unfollowAccount } = require('../utils/subscriptions');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
+const { commands: logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('twitch')
+        .setDescription('Manage Twitch stream notifications')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a Twitch channel to announce when it goes live')
+                .addStringOption(option =>
+                    option.setName('login')
+                        .setDescription('Twitch login or twitch.tv URL')
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for this streamer (defaults to the /settings channel for Twitch)')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a Twitch channel from monitoring')
+                .addStringOption(option =>
+                    option.setName('login')
+                        .setDescription('Twitch login')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List Twitch channels monitored in this server')),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'add': {
+                    const login = interaction.options.getString('login');
+                    const targetChannel = interaction.options.getChannel('channel');
+
+                    // Run the same permission checks as /setup on the override channel
+                    if (targetChannel) {
+                        const missing = getMissingChannelPermissions(targetChannel, interaction.client.user);
+                        if (missing.length > 0) {
+                            logger.warn('Missing required permissions in override channel:', {
+                                guildId: interaction.guildId,
+                                channelId: targetChannel.id,
+                                missing
+                            });
+                            await interaction.editReply({
+                                content: `I need additional permissions to function properly:\n${describeMissingPermissions(targetChannel, missing).join('\n')}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    const followed = await followAccount(interaction.guildId, 'twitch', login, targetChannel?.id ?? null);
+                    if (followed.error) {
+                        await interaction.editReply({
+                            content: `❌ ${followed.error}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const content = [`Now monitoring Twitch channel: ${followed.name}`];
+                    if ((await getTwitchChannel(followed.accountId))?.live) {
+                        content.push('They are live right now; notifications start with their next stream.');
+                    }
+                    if (targetChannel) {
+                        content.push(`Streams will be announced in ${targetChannel}`);
+                    } else if (!await getSourceChannel(interaction.guildId, 'twitch')) {
+                        content.push('⚠️ No Twitch channel is configured yet. Use `/settings channel source:Twitch` so I know where to post.');
+                    }
+
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'remove': {
+                    const login = interaction.options.getString('login');
+                    const source = getSource('twitch');
+                    // Look the name up first, the channel is gone once its last subscription is
+                    const name = await source.getAccountName(await source.findAccountId(interaction.guildId, login));
+                    if (!await unfollowAccount(interaction.guildId, 'twitch', login)) {
+                        await interaction.editReply({
+                            content: `${login} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    await interaction.editReply({
+                        content: `Stopped monitoring Twitch channel: ${name}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'list': {
+                    const subscriptions = await getGuildSubscriptions(interaction.guildId, 'twitch');
+
+                    if (subscriptions.length === 0) {
+                        await interaction.editReply({
+                            content: 'No Twitch channels are being monitored in this server.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    // Show the current login, which may have changed since the channel was added
+                    const channels = await Promise.all(subscriptions.map(sub => getTwitchChannel(sub.account_id)));
+                    const channelList = subscriptions
+                        .map((sub, index) => {
+                            const channel = channels[index];
+                            return `• ${channel?.display_name || channel?.login || sub.account_id}` +
+                                (sub.channel_id ? ` → <#${sub.channel_id}>` : '') +
+                                (channel?.live ? ` (🔴 live since <t:${Math.floor(channel.stream_started_at / 1000)}:R>)` : '');
+                        })
+                        .join('\n');
+
+                    await interaction.editReply({
+                        content: `**Monitored Twitch Channels:**\n${channelList}`.slice(0, 2000),
+                        ephemeral: true
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error(`Error in twitch command (${subcommand}):`, {
+                error: error.message,
+                stack: error.stack,
+                login: interaction.options.getString('login'),
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
@@ -1,20 +1,45 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
-const { addTwitterAccount, removeTwitterAccount, getAllTwitterAccounts } = require('../database/database');
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    updateSubscriptionSettings,
+    getGuildSubscriptions,
+    getSourceChannel
+} = require('../database/database');
+const { getTwitterAccount } = require('../sources/twitter/store');
+const twitterIntegration = require('../integrations/twitter');
+const { getSource } = require('../sources');
+const { followAccount, unfollowAccount } = require('../utils/subscriptions');
+const { addPostTypeOptions, getPostTypeSettings, describePostTypes } = require('../utils/postTypes');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
 const { commands: logger } = require('../utils/logger');
 
+const { postTypes } = getSource('twitter');
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('twitter')
         .setDescription('Manage Twitter account notifications')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
         .addSubcommand(subcommand =>
-            subcommand
+            addPostTypeOptions(subcommand
                 .setName('add')
                 .setDescription('Add a Twitter account to monitor')
                 .addStringOption(option =>
                     option.setName('username')
                         .setDescription('Twitter username (without @)')
-                        .setRequired(true)))
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for this account (defaults to the /setup Twitter channel)')
+                        .addChannelTypes(ChannelType.GuildText)), postTypes))
+        .addSubcommand(subcommand =>
+            addPostTypeOptions(subcommand
+                .setName('edit')
+                .setDescription('Change which tweets of a monitored account are announced')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Twitter username (without @)')
+                        .setRequired(true)), postTypes))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('remove')
@@ -26,7 +51,7 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('list')
-                .setDescription('List all monitored Twitter accounts')),
+                .setDescription('List Twitter accounts monitored in this server')),
 
     async execute(interaction) {
         // Command is already deferred by the event handler
@@ -35,17 +60,90 @@ module.exports = {
         try {
             switch (subcommand) {
                 case 'add': {
-                    const username = interaction.options.getString('username').toLowerCase();
-                    await addTwitterAccount(username);
+                    const username = interaction.options.getString('username').trim().replace(/^@/, '').toLowerCase();
+                    const targetChannel = interaction.options.getChannel('channel');
+
+                    // Run the same permission checks as /setup on the override channel
+                    if (targetChannel) {
+                        const missing = getMissingChannelPermissions(targetChannel, interaction.client.user);
+                        if (missing.length > 0) {
+                            logger.warn('Missing required permissions in override channel:', {
+                                guildId: interaction.guildId,
+                                channelId: targetChannel.id,
+                                missing
+                            });
+                            await interaction.editReply({
+                                content: `I need additional permissions to function properly:\n${describeMissingPermissions(targetChannel, missing).join('\n')}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    const followed = await followAccount(interaction.guildId, 'twitter', username, targetChannel?.id ?? null);
+                    if (followed.error) {
+                        await interaction.editReply({
+                            content: `❌ ${followed.error}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+                    await updateSubscriptionSettings(interaction.guildId, 'twitter', followed.accountId, getPostTypeSettings(interaction, postTypes));
+
+                    const content = [`Now monitoring Twitter account: ${followed.name}`];
+                    if (targetChannel) {
+                        content.push(`Tweets will be sent to ${targetChannel}`);
+                    } else if (!await getSourceChannel(interaction.guildId, 'twitter')) {
+                        content.push('⚠️ No Twitter channel is configured yet. Use `/setup` so I know where to post.');
+                    }
+
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'edit': {
+                    const username = interaction.options.getString('username').trim().replace(/^@/, '').toLowerCase();
+                    const settings = getPostTypeSettings(interaction, postTypes);
+                    if (Object.keys(settings).length === 0) {
+                        await interaction.editReply({
+                            content: `Choose at least one of ${postTypes.map(type => `\`${type.name}\``).join(', ')} to change.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const account = await getTwitterAccount(username);
+                    const accountKey = account ? twitterIntegration.getAccountKey(account) : username;
+                    const result = await updateSubscriptionSettings(interaction.guildId, 'twitter', accountKey, settings);
+
+                    if (result.changes === 0) {
+                        await interaction.editReply({
+                            content: `@${username} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const subscription = (await getGuildSubscriptions(interaction.guildId, 'twitter'))
+                        .find(sub => sub.account_id === accountKey);
                     await interaction.editReply({
-                        content: `Now monitoring Twitter account: @${username}`,
+                        content: `Updated @${username}: ${describePostTypes(subscription, postTypes) || 'all tweets are announced'}`,
                         ephemeral: true
                     });
                     break;
                 }
                 case 'remove': {
-                    const username = interaction.options.getString('username').toLowerCase();
-                    await removeTwitterAccount(username);
+                    const username = interaction.options.getString('username').trim().replace(/^@/, '').toLowerCase();
+                    if (!await unfollowAccount(interaction.guildId, 'twitter', username)) {
+                        await interaction.editReply({
+                            content: `@${username} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
                     await interaction.editReply({
                         content: `Stopped monitoring Twitter account: @${username}`,
                         ephemeral: true
@@ -53,18 +151,30 @@ module.exports = {
                     break;
                 }
                 case 'list': {
-                    const accounts = await getAllTwitterAccounts();
+                    const subscriptions = await getGuildSubscriptions(interaction.guildId, 'twitter');
                     
-                    if (accounts.length === 0) {
+                    if (subscriptions.length === 0) {
                         await interaction.editReply({
-                            content: 'No Twitter accounts are being monitored.',
+                            content: 'No Twitter accounts are being monitored in this server.',
                             ephemeral: true
                         });
                         return;
                     }
 
-                    const accountList = accounts
-                        .map(acc => `• @${acc.account_handle}`)
+                    // Show the current handle, which may have changed since the account was added
+                    const accounts = await Promise.all(subscriptions.map(sub => getTwitterAccount(sub.account_id)));
+                    const accountList = subscriptions
+                        .map((sub, index) => {
+                            const handle = accounts[index]?.account_handle || sub.account_id;
+                            const gapAt = accounts[index]?.last_gap_at;
+                            const details = [describePostTypes(sub, postTypes)];
+                            if (gapAt) {
+                                details.push(`some tweets missed <t:${Math.floor(gapAt / 1000)}:R>`);
+                            }
+                            const detailText = details.filter(Boolean).join('; ');
+                            return `• @${handle}${sub.channel_id ? ` → <#${sub.channel_id}>` : ''}` +
+                                (detailText ? ` (${detailText})` : '');
+                        })
                         .join('\n');
                     
                     await interaction.editReply({
@@ -80,7 +190,8 @@ module.exports = {
                 stack: error.stack,
                 username: interaction.options.getString('username'),
                 user: interaction.user.tag,
-                guild: interaction.guild?.name
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
             });
 
             // Let the event handler handle the error response
@@ -0,0 +1,50 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getSource, getSourceChoices } = require('../sources');
+const { unfollowAccount } = require('../utils/subscriptions');
+const { commands: logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('unfollow')
+        .setDescription('Stop notifications about an account')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addStringOption(option =>
+            option.setName('source')
+                .setDescription('Where the account is from')
+                .setRequired(true)
+                .addChoices(...getSourceChoices()))
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('Username, channel ID, @handle or URL of the account')
+                .setRequired(true)),
+
+    async execute(interaction) {
+        // Command is already deferred by the event handler
+        const source = getSource(interaction.options.getString('source'));
+        const input = interaction.options.getString('account');
+
+        try {
+            const accountId = await unfollowAccount(interaction.guildId, source.name, input);
+            await interaction.editReply({
+                content: accountId
+                    ? `Stopped following ${source.displayName} account: ${input}`
+                    : `${source.displayName} account ${input} is not followed in this server.`,
+                ephemeral: true
+            });
+        } catch (error) {
+            logger.error('Error in unfollow command:', {
+                error: error.message,
+                stack: error.stack,
+                source: source?.name,
+                account: input,
+                user: interaction.user.tag,
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
+            });
+
+            // Let the event handler handle the error response
+            throw error;
+        }
+    },
+};
@@ -1,33 +1,100 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
-const { addYoutubeChannel, removeYoutubeChannel, getAllYoutubeChannels } = require('../database/database');
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    getGuildSubscriptions,
+    getSourceChannel,
+    updateSubscriptionSettings,
+    setGuildLiveChannel
+} = require('../database/database');
+const { getYoutubeChannel, updateYoutubeChannelInfo } = require('../sources/youtube/store');
 const youtubeIntegration = require('../integrations/youtube');
+const { getSource } = require('../sources');
+const { followAccount, unfollowAccount, addSubscriptionOptions } = require('../utils/subscriptions');
+const { getMissingChannelPermissions, describeMissingPermissions } = require('../utils/permissions');
 const { commands: logger } = require('../utils/logger');
 
+const shortsModes = {
+    include: 'Shorts are announced like other videos',
+    exclude: 'Shorts are not announced',
+    reroute: 'Shorts are sent to'
+};
+
+const source = getSource('youtube');
+
+const describeShorts = (subscription) => {
+    return subscription.shorts_mode === 'reroute'
+        ? `${shortsModes.reroute} <#${subscription.shorts_channel_id}>`
+        : shortsModes[subscription.shorts_mode];
+};
+
+// Runs the same permission checks as /setup; false means a reply was already sent
+async function checkChannelPermissions(interaction, channels) {
+    for (const channel of channels.filter(Boolean)) {
+        const missing = getMissingChannelPermissions(channel, interaction.client.user);
+        if (missing.length > 0) {
+            logger.warn('Missing required permissions in override channel:', {
+                guildId: interaction.guildId,
+                channelId: channel.id,
+                missing
+            });
+            await interaction.editReply({
+                content: `I need additional permissions to function properly:\n${describeMissingPermissions(channel, missing).join('\n')}`,
+                ephemeral: true
+            });
+            return false;
+        }
+    }
+    return true;
+}
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('youtube')
         .setDescription('Manage YouTube channel notifications')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
         .addSubcommand(subcommand =>
-            subcommand
+            addSubscriptionOptions(subcommand
                 .setName('add')
                 .setDescription('Add a YouTube channel to monitor')
                 .addStringOption(option =>
                     option.setName('channel_id')
-                        .setDescription('YouTube Channel ID')
-                        .setRequired(true)))
+                        .setDescription('Channel ID, @handle, or channel/video URL')
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for this YouTube channel (defaults to the /setup YouTube channel)')
+                        .addChannelTypes(ChannelType.GuildText)), source.subscriptionOptions))
+        .addSubcommand(subcommand =>
+            addSubscriptionOptions(subcommand
+                .setName('edit')
+                .setDescription('Change where the Shorts and livestreams of a monitored channel go')
+                .addStringOption(option =>
+                    option.setName('channel_id')
+                        .setDescription('Channel ID, @handle, or channel/video URL')
+                        .setRequired(true)), source.subscriptionOptions)
+                .addBooleanOption(option =>
+                    option.setName('default_live_channel')
+                        .setDescription('Send its livestreams to the server live channel again')))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('remove')
                 .setDescription('Remove a YouTube channel from monitoring')
                 .addStringOption(option =>
                     option.setName('channel_id')
-                        .setDescription('YouTube Channel ID')
+                        .setDescription('Channel ID, @handle, or channel/video URL')
                         .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('live-channel')
+                .setDescription('Send livestream and premiere notifications to their own channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for livestreams (leave empty to use the YouTube channel again)')
+                        .addChannelTypes(ChannelType.GuildText)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('list')
-                .setDescription('List all monitored YouTube channels')),
+                .setDescription('List YouTube channels monitored in this server')),
 
     async execute(interaction) {
         const subcommand = interaction.options.getSubcommand();
@@ -35,61 +102,171 @@ module.exports = {
         try {
             switch (subcommand) {
                 case 'add': {
-                    const channelId = interaction.options.getString('channel_id');
-                    
-                    // Verify channel exists before adding
-                    const channelData = await youtubeIntegration.fetchLatestVideos(channelId);
+                    const input = interaction.options.getString('channel_id');
+                    const targetChannel = interaction.options.getChannel('channel');
+                    const { settings, error } = source.getSubscriptionSettings(interaction);
+                    if (error) {
+                        await interaction.editReply({ content: `❌ ${error}`, ephemeral: true });
+                        return;
+                    }
+
+                    if (!await checkChannelPermissions(interaction, [
+                        targetChannel,
+                        interaction.options.getChannel('shorts_channel'),
+                        interaction.options.getChannel('live_channel')
+                    ])) {
+                        return;
+                    }
                     
-                    if (!channelData) {
+                    const followed = await followAccount(interaction.guildId, 'youtube', input, targetChannel?.id ?? null);
+                    if (followed.error) {
                         await interaction.editReply({
-                            content: 'Could not find the YouTube channel. Please verify the Channel ID.',
+                            content: followed.error,
                             ephemeral: true
                         });
                         return;
                     }
 
-                    await addYoutubeChannel(channelId);
+                    const channelId = followed.accountId;
+                    if (Object.keys(settings).length > 0) {
+                        await updateSubscriptionSettings(interaction.guildId, 'youtube', channelId, settings);
+                    }
+
+                    const content = [
+                        `Now monitoring YouTube channel: ${followed.name}`,
+                        `Channel ID: ${channelId}`
+                    ];
+                    if (targetChannel) {
+                        content.push(`Videos will be sent to ${targetChannel}`);
+                    } else if (!await getSourceChannel(interaction.guildId, 'youtube')) {
+                        content.push('⚠️ No YouTube channel is configured yet. Use `/setup` so I know where to post.');
+                    }
+                    if (settings.live_channel_id) {
+                        content.push(`Livestreams and premieres will be sent to <#${settings.live_channel_id}>`);
+                    }
+                    if (settings.shorts_mode) {
+                        content.push(describeShorts(settings));
+                    }
+
                     await interaction.editReply({
-                        content: `Now monitoring YouTube channel: ${channelData.channel.snippet.title}\n` +
-                                `Channel ID: ${channelId}`,
+                        content: content.join('\n'),
                         ephemeral: true
                     });
                     break;
                 }
                 case 'remove': {
-                    const channelId = interaction.options.getString('channel_id');
-                    await removeYoutubeChannel(channelId);
+                    const input = interaction.options.getString('channel_id');
+                    const channelId = await unfollowAccount(interaction.guildId, 'youtube', input);
+                    if (!channelId) {
+                        await interaction.editReply({
+                            content: `YouTube channel ${input} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
                     await interaction.editReply({
                         content: `Stopped monitoring YouTube channel with ID: ${channelId}`,
                         ephemeral: true
                     });
                     break;
                 }
+                case 'edit': {
+                    const input = interaction.options.getString('channel_id');
+                    const { settings, error } = source.getSubscriptionSettings(interaction);
+                    if (error || Object.keys(settings).length === 0) {
+                        await interaction.editReply({
+                            content: error ? `❌ ${error}` : 'Choose at least one of `shorts`, `shorts_channel`, `live_channel` or `default_live_channel` to change.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    if (!await checkChannelPermissions(interaction, [
+                        interaction.options.getChannel('shorts_channel'),
+                        interaction.options.getChannel('live_channel')
+                    ])) {
+                        return;
+                    }
+
+                    const channelId = await youtubeIntegration.resolveSubscribedChannelId(interaction.guildId, input);
+                    const result = channelId
+                        ? await updateSubscriptionSettings(interaction.guildId, 'youtube', channelId, settings)
+                        : { changes: 0 };
+                    if (result.changes === 0) {
+                        await interaction.editReply({
+                            content: `YouTube channel ${input} is not monitored in this server.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const subscription = (await getGuildSubscriptions(interaction.guildId, 'youtube'))
+                        .find(sub => sub.account_id === channelId);
+                    const content = [`Updated YouTube channel ${input}: ${describeShorts(subscription)}.`];
+                    if (subscription.live_channel_id) {
+                        content.push(`Livestreams and premieres will be sent to <#${subscription.live_channel_id}>`);
+                    } else if (settings.live_channel_id === null) {
+                        content.push('Livestreams and premieres will go to the server live channel again');
+                    }
+                    await interaction.editReply({
+                        content: content.join('\n'),
+                        ephemeral: true
+                    });
+                    break;
+                }
+                case 'live-channel': {
+                    const liveChannel = interaction.options.getChannel('channel');
+                    if (!await checkChannelPermissions(interaction, [liveChannel])) {
+                        return;
+                    }
+
+                    await setGuildLiveChannel(interaction.guildId, liveChannel?.id ?? null);
+                    await interaction.editReply({
+                        content: liveChannel
+                            ? `Livestreams and premieres will be sent to ${liveChannel} unless a channel has its own live channel.`
+                            : 'Livestreams and premieres will be sent with the other YouTube notifications.',
+                        ephemeral: true
+                    });
+                    break;
+                }
                 case 'list': {
-                    const channels = await getAllYoutubeChannels();
+                    const subscriptions = await getGuildSubscriptions(interaction.guildId, 'youtube');
                     
-                    if (channels.length === 0) {
+                    if (subscriptions.length === 0) {
                         await interaction.editReply({
-                            content: 'No YouTube channels are being monitored.',
+                            content: 'No YouTube channels are being monitored in this server.',
                             ephemeral: true
                         });
                         return;
                     }
 
-                    // Fetch channel details for each monitored channel
+                    // Titles and handles are stored when a channel is added; older
+                    // rows are looked up once and backfilled
                     const channelDetails = await Promise.allSettled(
-                        channels.map(async (ch) => {
+                        subscriptions.map(async (sub) => {
+                            const route = (sub.channel_id ? ` → <#${sub.channel_id}>` : '') +
+                                (sub.live_channel_id ? ` (live → <#${sub.live_channel_id}>)` : '') +
+                                (sub.shorts_mode === 'exclude' ? ' (no Shorts)' : '') +
+                                (sub.shorts_mode === 'reroute' ? ` (Shorts → <#${sub.shorts_channel_id}>)` : '');
                             try {
-                                const data = await youtubeIntegration.fetchLatestVideos(ch.channel_id);
-                                return data ? 
-                                    `• ${data.channel.snippet.title}\n  ID: ${ch.channel_id}` : 
-                                    `• ${ch.channel_id} (channel info unavailable)`;
+                                let info = await getYoutubeChannel(sub.account_id);
+                                if (!info?.title) {
+                                    const resolved = await youtubeIntegration.resolveChannel(sub.account_id);
+                                    if (resolved) {
+                                        await updateYoutubeChannelInfo(sub.account_id, resolved.title, resolved.handle);
+                                        info = { ...info, title: resolved.title, handle: resolved.handle };
+                                    }
+                                }
+                                return info?.title ?
+                                    `• ${info.title}${info.handle ? ` (@${info.handle})` : ''}${route}\n  ID: ${sub.account_id}` :
+                                    `• ${sub.account_id}${route} (channel info unavailable)`;
                             } catch (error) {
-                                logger.error(`Error fetching channel details: ${ch.channel_id}`, {
+                                logger.error(`Error fetching channel details: ${sub.account_id}`, {
                                     error: error.message,
                                     stack: error.stack
                                 });
-                                return `• ${ch.channel_id} (channel info unavailable)`;
+                                return `• ${sub.account_id}${route} (channel info unavailable)`;
                             }
                         })
                     );
@@ -111,7 +288,8 @@ module.exports = {
                 stack: error.stack,
                 channelId: interaction.options.getString('channel_id'),
                 user: interaction.user.tag,
-                guild: interaction.guild?.name
+                guild: interaction.guild?.name,
+                guildId: interaction.guildId
             });
 
             // Let the event handler handle the error response
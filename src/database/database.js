@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrator');
 const { database: logger } = require('../utils/logger');
 require('dotenv').config();
 
@@ -50,60 +51,26 @@ const initializeDatabase = () => {
                     return;
                 }
 
-                // Create tables
-                db.serialize(() => {
-                    logger.info('Creating database tables if they don\'t exist');
-                    db.run(`
-                        CREATE TABLE IF NOT EXISTS twitter_accounts (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            account_handle TEXT UNIQUE NOT NULL,
-                            last_tweet_id TEXT,
-                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                        )
-                    `);
-
-                    db.run(`
-                        CREATE TABLE IF NOT EXISTS youtube_channels (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            channel_id TEXT UNIQUE NOT NULL,
-                            last_video_id TEXT,
-                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                        )
-                    `);
-
-                    db.run(`
-                        CREATE TABLE IF NOT EXISTS discord_channels (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            guild_id TEXT NOT NULL,
-                            twitter_channel_id TEXT,
-                            youtube_channel_id TEXT,
-                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                            UNIQUE(guild_id)
-                        )
-                    `, (err) => {
-                        if (err) {
-                            logger.error('Error creating tables:', {
-                                error: err.message,
-                                stack: err.stack
-                            });
-                            reject(err);
-                        } else {
-                            logger.info('Database initialized successfully');
-                            // Verify the connection after initialization
-                            verifyDatabaseConnection()
-                                .then(() => {
-                                    resolve(db);
-                                })
-                                .catch((verifyError) => {
-                                    logger.error('Database verification failed:', {
-                                        error: verifyError.message,
-                                        stack: verifyError.stack
-                                    });
-                                    reject(verifyError);
-                                });
-                        }
+                // Bring the schema up to date
+                logger.info('Running database migrations');
+                runMigrations(db, dbPath)
+                    .then((version) => {
+                        logger.info('Database initialized successfully', {
+                            schemaVersion: version
+                        });
+                        // Verify the connection after initialization
+                        return verifyDatabaseConnection();
+                    })
+                    .then(() => {
+                        resolve(db);
+                    })
+                    .catch((migrationError) => {
+                        logger.error('Database migration failed:', {
+                            error: migrationError.message,
+                            stack: migrationError.stack
+                        });
+                        reject(migrationError);
                     });
-                });
             });
         } catch (error) {
             logger.error('Error during database setup:', {
@@ -115,174 +82,37 @@ const initializeDatabase = () => {
     });
 };
 
-// Twitter account management
-const addTwitterAccount = (handle) => {
+// Runs a single statement and resolves with the statement context (changes, lastID)
+const runStatement = (sql, params = []) => {
     return new Promise((resolve, reject) => {
-        logger.info(`Adding Twitter account: ${handle}`);
-        const stmt = db.prepare('INSERT OR IGNORE INTO twitter_accounts (account_handle) VALUES (?)');
-        stmt.run(handle, function(err) {
+        db.run(sql, params, function(err) {
             if (err) {
-                logger.error(`Error adding Twitter account: ${handle}`, {
-                    error: err.message
-                });
                 reject(err);
             } else {
-                logger.info(`Twitter account added successfully: ${handle}`, {
-                    changes: this.changes
-                });
                 resolve(this);
             }
         });
-        stmt.finalize();
     });
 };
 
-const removeTwitterAccount = (handle) => {
-    return new Promise((resolve, reject) => {
-        logger.info(`Removing Twitter account: ${handle}`);
-        const stmt = db.prepare('DELETE FROM twitter_accounts WHERE account_handle = ?');
-        stmt.run(handle, function(err) {
-            if (err) {
-                logger.error(`Error removing Twitter account: ${handle}`, {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.info(`Twitter account removed successfully: ${handle}`, {
-                    changes: this.changes
-                });
-                resolve(this);
-            }
-        });
-        stmt.finalize();
-    });
-};
+// Transactions on the shared connection can't overlap: a second BEGIN would
+// fail while the first is open. Each waits for the one before it to finish.
+let transactionQueue = Promise.resolve();
 
-const getAllTwitterAccounts = () => {
-    return new Promise((resolve, reject) => {
-        logger.debug('Fetching all Twitter accounts');
-        db.all('SELECT * FROM twitter_accounts', (err, rows) => {
-            if (err) {
-                logger.error('Error fetching Twitter accounts', {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.debug('Twitter accounts fetched successfully', {
-                    count: rows.length
-                });
-                resolve(rows);
-            }
-        });
-    });
-};
-
-const updateLastTweetId = (handle, tweetId) => {
-    return new Promise((resolve, reject) => {
-        logger.debug(`Updating last tweet ID for ${handle}`, {
-            tweetId
-        });
-        const stmt = db.prepare('UPDATE twitter_accounts SET last_tweet_id = ? WHERE account_handle = ?');
-        stmt.run(tweetId, handle, function(err) {
-            if (err) {
-                logger.error(`Error updating last tweet ID for ${handle}`, {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.debug(`Last tweet ID updated for ${handle}`, {
-                    changes: this.changes
-                });
-                resolve(this);
-            }
-        });
-        stmt.finalize();
-    });
-};
-
-// YouTube channel management
-const addYoutubeChannel = (channelId) => {
-    return new Promise((resolve, reject) => {
-        logger.info(`Adding YouTube channel: ${channelId}`);
-        const stmt = db.prepare('INSERT OR IGNORE INTO youtube_channels (channel_id) VALUES (?)');
-        stmt.run(channelId, function(err) {
-            if (err) {
-                logger.error(`Error adding YouTube channel: ${channelId}`, {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.info(`YouTube channel added successfully: ${channelId}`, {
-                    changes: this.changes
-                });
-                resolve(this);
-            }
-        });
-        stmt.finalize();
-    });
-};
-
-const removeYoutubeChannel = (channelId) => {
-    return new Promise((resolve, reject) => {
-        logger.info(`Removing YouTube channel: ${channelId}`);
-        const stmt = db.prepare('DELETE FROM youtube_channels WHERE channel_id = ?');
-        stmt.run(channelId, function(err) {
-            if (err) {
-                logger.error(`Error removing YouTube channel: ${channelId}`, {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.info(`YouTube channel removed successfully: ${channelId}`, {
-                    changes: this.changes
-                });
-                resolve(this);
-            }
-        });
-        stmt.finalize();
-    });
-};
-
-const getAllYoutubeChannels = () => {
-    return new Promise((resolve, reject) => {
-        logger.debug('Fetching all YouTube channels');
-        db.all('SELECT * FROM youtube_channels', (err, rows) => {
-            if (err) {
-                logger.error('Error fetching YouTube channels', {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.debug('YouTube channels fetched successfully', {
-                    count: rows.length
-                });
-                resolve(rows);
-            }
-        });
-    });
-};
-
-const updateLastVideoId = (channelId, videoId) => {
-    return new Promise((resolve, reject) => {
-        logger.debug(`Updating last video ID for ${channelId}`, {
-            videoId
-        });
-        const stmt = db.prepare('UPDATE youtube_channels SET last_video_id = ? WHERE channel_id = ?');
-        stmt.run(videoId, channelId, function(err) {
-            if (err) {
-                logger.error(`Error updating last video ID for ${channelId}`, {
-                    error: err.message
-                });
-                reject(err);
-            } else {
-                logger.debug(`Last video ID updated for ${channelId}`, {
-                    changes: this.changes
-                });
-                resolve(this);
-            }
-        });
-        stmt.finalize();
+const runTransaction = (work) => {
+    const transaction = transactionQueue.then(async () => {
+        await runStatement('BEGIN IMMEDIATE');
+        try {
+            const result = await work();
+            await runStatement('COMMIT');
+            return result;
+        } catch (err) {
+            await runStatement('ROLLBACK').catch(() => {});
+            throw err;
+        }
     });
+    transactionQueue = transaction.catch(() => {});
+    return transaction;
 };
 
 // Discord channel management
@@ -344,11 +174,16 @@ const setGuildChannels = (guildId, twitterChannelId, youtubeChannelId) => {
                             youtube: youtubeChannelId
                         }
                     });
-                    resolve({
+                    const result = {
                         operation,
                         changes: this.changes,
                         lastID: this.lastID
-                    });
+                    };
+                    // These are the default channels of the two built-in sources
+                    Promise.all([
+                        setSourceChannel(guildId, 'twitter', twitterChannelId),
+                        setSourceChannel(guildId, 'youtube', youtubeChannelId)
+                    ]).then(() => resolve(result), reject);
                 }
             });
             stmt.finalize();
@@ -356,6 +191,57 @@ const setGuildChannels = (guildId, twitterChannelId, youtubeChannelId) => {
     });
 };
 
+// Where a source's notifications go in a guild unless a subscription says otherwise
+const setSourceChannel = (guildId, source, channelId) => {
+    logger.info(`Setting ${source} channel for guild: ${guildId}`, { channelId });
+    if (!channelId) {
+        return runStatement('DELETE FROM source_channels WHERE guild_id = ? AND source = ?', [guildId, source]);
+    }
+    return runStatement(
+        `INSERT INTO source_channels (guild_id, source, channel_id) VALUES (?, ?, ?)
+         ON CONFLICT(guild_id, source) DO UPDATE SET channel_id = excluded.channel_id`,
+        [guildId, source, channelId]
+    );
+};
+
+const getSourceChannel = (guildId, source) => {
+    return new Promise((resolve, reject) => {
+        db.get(
+            'SELECT channel_id FROM source_channels WHERE guild_id = ? AND source = ?',
+            [guildId, source],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error fetching ${source} channel for guild: ${guildId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row?.channel_id || null);
+                }
+            }
+        );
+    });
+};
+
+const getSourceChannels = (guildId) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            'SELECT source, channel_id FROM source_channels WHERE guild_id = ?',
+            [guildId],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching source channels for guild: ${guildId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
 const getGuildChannels = (guildId) => {
     return new Promise((resolve, reject) => {
         logger.debug(`Fetching channels for guild: ${guildId}`);
@@ -394,6 +280,34 @@ const getGuildChannels = (guildId) => {
     });
 };
 
+// The guild-wide default mention; works before /setup has been run
+const setGuildMention = (guildId, mention) => {
+    logger.info(`Setting default mention for guild: ${guildId}`, { mention });
+    return runStatement(
+        `INSERT INTO discord_channels (guild_id, mention) VALUES (?, ?)
+         ON CONFLICT(guild_id) DO UPDATE SET mention = excluded.mention`,
+        [guildId, mention]
+    );
+};
+
+const setGuildLiveChannel = (guildId, channelId) => {
+    logger.info(`Setting YouTube live channel for guild: ${guildId}`, { channelId });
+    return runStatement(
+        `INSERT INTO discord_channels (guild_id, youtube_live_channel_id) VALUES (?, ?)
+         ON CONFLICT(guild_id) DO UPDATE SET youtube_live_channel_id = excluded.youtube_live_channel_id`,
+        [guildId, channelId]
+    );
+};
+
+const setGuildLinkProvider = (guildId, provider) => {
+    logger.info(`Setting tweet link provider for guild: ${guildId}`, { provider });
+    return runStatement(
+        `INSERT INTO discord_channels (guild_id, twitter_link_provider) VALUES (?, ?)
+         ON CONFLICT(guild_id) DO UPDATE SET twitter_link_provider = excluded.twitter_link_provider`,
+        [guildId, provider]
+    );
+};
+
 const getConfiguredGuilds = () => {
     return new Promise((resolve, reject) => {
         logger.debug('Fetching all configured guild channels');
@@ -413,19 +327,647 @@ const getConfiguredGuilds = () => {
     });
 };
 
+// Guild subscription management
+// Adding an account the guild already follows keeps its channel override
+// unless a new channel is given
+const addSubscription = (guildId, source, accountId, channelId = null) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Adding ${source} subscription for guild: ${guildId}`, {
+            accountId,
+            channelId
+        });
+        const stmt = db.prepare(`
+            INSERT INTO subscriptions (guild_id, source, account_id, channel_id)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(guild_id, source, account_id)
+            DO UPDATE SET channel_id = COALESCE(excluded.channel_id, subscriptions.channel_id)
+        `);
+        stmt.run(guildId, source, accountId, channelId, function(err) {
+            if (err) {
+                logger.error(`Error adding ${source} subscription for guild: ${guildId}`, {
+                    error: err.message,
+                    accountId
+                });
+                reject(err);
+            } else {
+                logger.info(`${source} subscription added successfully for guild: ${guildId}`, {
+                    accountId,
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const removeSubscription = (guildId, source, accountId) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Removing ${source} subscription for guild: ${guildId}`, {
+            accountId
+        });
+        const stmt = db.prepare('DELETE FROM subscriptions WHERE guild_id = ? AND source = ? AND account_id = ?');
+        stmt.run(guildId, source, accountId, function(err) {
+            if (err) {
+                logger.error(`Error removing ${source} subscription for guild: ${guildId}`, {
+                    error: err.message,
+                    accountId
+                });
+                reject(err);
+            } else {
+                logger.info(`${source} subscription removed for guild: ${guildId}`, {
+                    accountId,
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Settings that can be changed on an existing subscription
+const subscriptionSettings = ['include_retweets', 'include_replies', 'include_quotes', 'include_media_only', 'mention', 'live_channel_id', 'shorts_mode', 'shorts_channel_id'];
+
+const updateSubscriptionSettings = (guildId, source, accountId, settings) => {
+    const columns = Object.keys(settings).filter(key => subscriptionSettings.includes(key) && settings[key] !== undefined);
+    if (columns.length === 0) {
+        return Promise.resolve({ changes: 0 });
+    }
+
+    logger.info(`Updating ${source} subscription settings for guild: ${guildId}`, {
+        accountId,
+        settings
+    });
+    return runStatement(
+        `UPDATE subscriptions SET ${columns.map(column => `${column} = ?`).join(', ')}
+         WHERE guild_id = ? AND source = ? AND account_id = ?`,
+        [...columns.map(column => settings[column]), guildId, source, accountId]
+    );
+};
+
+const getGuildSubscriptions = (guildId, source) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Fetching ${source} subscriptions for guild: ${guildId}`);
+        db.all(
+            'SELECT * FROM subscriptions WHERE guild_id = ? AND source = ? ORDER BY account_id',
+            [guildId, source],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching ${source} subscriptions for guild: ${guildId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+// Returns every guild subscribed to an upstream account, with the channel the
+// notification should go to (the subscription override or the guild default)
+const getAccountSubscriptions = (source, accountId) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Fetching subscriptions for ${source} account: ${accountId}`);
+        db.all(`
+            SELECT s.*,
+                COALESCE(s.channel_id, sc.channel_id) AS target_channel_id,
+                dc.mention AS default_mention,
+                dc.youtube_live_channel_id AS default_live_channel_id,
+                dc.twitter_link_provider AS link_provider
+            FROM subscriptions s
+            LEFT JOIN discord_channels dc ON dc.guild_id = s.guild_id
+            LEFT JOIN source_channels sc ON sc.guild_id = s.guild_id AND sc.source = s.source
+            WHERE s.source = ? AND s.account_id = ?
+        `, [source, accountId], (err, rows) => {
+            if (err) {
+                logger.error(`Error fetching subscriptions for ${source} account: ${accountId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.debug(`Found ${rows.length} subscriptions for ${source} account: ${accountId}`);
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const countAccountSubscriptions = (source, accountId) => {
+    return new Promise((resolve, reject) => {
+        db.get(
+            'SELECT COUNT(*) AS count FROM subscriptions WHERE source = ? AND account_id = ?',
+            [source, accountId],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error counting subscriptions for ${source} account: ${accountId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            }
+        );
+    });
+};
+
+const getSubscribedGuilds = (source) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Fetching guilds with ${source} subscriptions`);
+        db.all(
+            'SELECT DISTINCT guild_id FROM subscriptions WHERE source = ?',
+            [source],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching guilds with ${source} subscriptions`, {
+                        error: err.message,
+                        stack: err.stack
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            }
+        );
+    });
+};
+
+// Subscription content filters
+const addSubscriptionFilter = (subscriptionId, mode, type, pattern) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Adding ${mode} ${type} filter to subscription: ${subscriptionId}`, {
+            pattern
+        });
+        const stmt = db.prepare(`
+            INSERT OR IGNORE INTO subscription_filters (subscription_id, mode, type, pattern)
+            VALUES (?, ?, ?, ?)
+        `);
+        stmt.run(subscriptionId, mode, type, pattern, function(err) {
+            if (err) {
+                logger.error(`Error adding filter to subscription: ${subscriptionId}`, {
+                    error: err.message,
+                    pattern
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Scoped to the guild so one server can't remove another's filters
+const removeSubscriptionFilter = (guildId, filterId) => {
+    logger.info(`Removing filter ${filterId} for guild: ${guildId}`);
+    return runStatement(
+        `DELETE FROM subscription_filters WHERE id = ?
+         AND subscription_id IN (SELECT id FROM subscriptions WHERE guild_id = ?)`,
+        [filterId, guildId]
+    );
+};
+
+const getGuildFilters = (guildId) => {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT f.*, s.source, s.account_id
+            FROM subscription_filters f
+            JOIN subscriptions s ON s.id = f.subscription_id
+            WHERE s.guild_id = ?
+            ORDER BY s.source, s.account_id, f.id
+        `, [guildId], (err, rows) => {
+            if (err) {
+                logger.error(`Error fetching filters for guild: ${guildId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+// Filters for a set of subscriptions, as a Map of subscription ID -> filters
+const getSubscriptionFilters = (subscriptionIds) => {
+    return new Promise((resolve, reject) => {
+        if (subscriptionIds.length === 0) {
+            resolve(new Map());
+            return;
+        }
+        db.all(
+            `SELECT * FROM subscription_filters WHERE subscription_id IN (${subscriptionIds.map(() => '?').join(', ')})`,
+            subscriptionIds,
+            (err, rows) => {
+                if (err) {
+                    logger.error('Error fetching subscription filters', {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    const filters = new Map();
+                    for (const row of rows) {
+                        if (!filters.has(row.subscription_id)) {
+                            filters.set(row.subscription_id, []);
+                        }
+                        filters.get(row.subscription_id).push(row);
+                    }
+                    resolve(filters);
+                }
+            }
+        );
+    });
+};
+
+// Message templates
+const getMessageTemplate = (guildId, source, subscriptionId = null) => {
+    return new Promise((resolve, reject) => {
+        db.get(
+            'SELECT * FROM message_templates WHERE guild_id = ? AND source = ? AND IFNULL(subscription_id, 0) = IFNULL(?, 0)',
+            [guildId, source, subscriptionId],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error fetching ${source} template for guild: ${guildId}`, {
+                        error: err.message,
+                        subscriptionId
+                    });
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            }
+        );
+    });
+};
+
+// Every template of the given guilds for a source, to resolve a whole fan-out at once
+const getTemplatesForGuilds = (guildIds, source) => {
+    return new Promise((resolve, reject) => {
+        if (guildIds.length === 0) {
+            resolve([]);
+            return;
+        }
+        db.all(
+            `SELECT * FROM message_templates WHERE source = ? AND guild_id IN (${guildIds.map(() => '?').join(', ')})`,
+            [source, ...guildIds],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching ${source} templates`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+const setMessageTemplate = (guildId, source, subscriptionId, { content = null, color = null, footer = null }) => {
+    logger.info(`Saving ${source} template for guild: ${guildId}`, {
+        subscriptionId,
+        content,
+        color,
+        footer
+    });
+    return runStatement(
+        `INSERT OR REPLACE INTO message_templates (guild_id, source, subscription_id, content, color, footer, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [guildId, source, subscriptionId, content, color, footer]
+    );
+};
+
+const removeMessageTemplate = (guildId, source, subscriptionId = null) => {
+    logger.info(`Removing ${source} template for guild: ${guildId}`, { subscriptionId });
+    return runStatement(
+        'DELETE FROM message_templates WHERE guild_id = ? AND source = ? AND IFNULL(subscription_id, 0) = IFNULL(?, 0)',
+        [guildId, source, subscriptionId]
+    );
+};
+
+// Delivery outbox
+const enqueueDelivery = ({ guildId, channelId, source, accountId, itemId, payload }) => {
+    return new Promise((resolve, reject) => {
+        const idempotencyKey = `${source}:${itemId}:${guildId}:${channelId}`;
+        logger.debug(`Queueing ${source} delivery for guild: ${guildId}`, {
+            idempotencyKey
+        });
+        const stmt = db.prepare(`
+            INSERT OR IGNORE INTO outbox
+                (idempotency_key, guild_id, channel_id, source, account_id, item_id, payload, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(idempotencyKey, guildId, channelId, source, accountId, itemId, JSON.stringify(payload), Date.now(), function(err) {
+            if (err) {
+                logger.error(`Error queueing ${source} delivery for guild: ${guildId}`, {
+                    error: err.message,
+                    idempotencyKey
+                });
+                reject(err);
+            } else {
+                if (this.changes === 0) {
+                    logger.debug(`Delivery already queued: ${idempotencyKey}`);
+                }
+                resolve(this.changes > 0);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const getDueDeliveries = (now, limit) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ?
+             ORDER BY next_attempt_at, id LIMIT ?`,
+            [now, limit],
+            (err, rows) => {
+                if (err) {
+                    logger.error('Error fetching due deliveries', {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+                }
+            }
+        );
+    });
+};
+
+const markDeliverySent = (id, messageId) => {
+    return runStatement(
+        `UPDATE outbox SET status = 'sent', message_id = ?, sent_at = ?, attempts = attempts + 1, last_error = NULL
+         WHERE id = ?`,
+        [messageId, Date.now(), id]
+    );
+};
+
+// Schedules another attempt, or dead-letters the delivery when nextAttemptAt is null
+const markDeliveryFailed = (id, error, nextAttemptAt) => {
+    return runStatement(
+        `UPDATE outbox SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+         WHERE id = ?`,
+        [nextAttemptAt ? 'pending' : 'dead', error, nextAttemptAt, id]
+    );
+};
+
+const getGuildDeliveries = (guildId, status, limit) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT id, source, account_id, item_id, channel_id, status, attempts, next_attempt_at, last_error, message_id, created_at
+             FROM outbox WHERE guild_id = ? AND status = ? ORDER BY id DESC LIMIT ?`,
+            [guildId, status, limit],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching deliveries for guild: ${guildId}`, {
+                        error: err.message,
+                        status
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+// Puts dead-lettered deliveries back in the queue: one by ID, or all of a guild's
+const retryDeliveries = (guildId, id = null) => {
+    logger.info(`Retrying failed deliveries for guild: ${guildId}`, { id });
+    return runStatement(
+        `UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = ?
+         WHERE guild_id = ? AND status = 'dead' AND (? IS NULL OR id = ?)`,
+        [Date.now(), guildId, id, id]
+    );
+};
+
+const pruneDeliveries = (sentBefore) => {
+    return runStatement(
+        `DELETE FROM outbox WHERE status = 'sent' AND sent_at < ?`,
+        [sentBefore]
+    );
+};
+
+// Deliveries of an item that are still waiting to be sent
+const countOpenDeliveries = (source, itemId) => {
+    return new Promise((resolve, reject) => {
+        db.get(
+            `SELECT COUNT(*) AS count FROM outbox WHERE source = ? AND item_id = ? AND status = 'pending'`,
+            [source, itemId],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error counting open deliveries for ${source} item: ${itemId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            }
+        );
+    });
+};
+
+// Pending edits of posted messages. The payload is stored as JSON text and
+// also identifies the edit: a newer edit of the same item replaces it, and
+// retries or removals of the older one must leave the newer one alone.
+const savePendingEdit = (source, itemId, payload) => {
+    logger.debug(`Saving pending edit for ${source} item: ${itemId}`);
+    return runStatement(
+        `INSERT INTO pending_edits (source, item_id, payload, attempts, next_attempt_at) VALUES (?, ?, ?, 0, ?)
+         ON CONFLICT(source, item_id) DO UPDATE SET payload = excluded.payload, attempts = 0,
+             next_attempt_at = excluded.next_attempt_at`,
+        [source, itemId, payload, Date.now()]
+    );
+};
+
+const getDuePendingEdits = (now, limit) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            'SELECT * FROM pending_edits WHERE next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?',
+            [now, limit],
+            (err, rows) => {
+                if (err) {
+                    logger.error('Error fetching due pending edits', {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+// Brings an item's edit forward, e.g. once one of its messages has been sent
+const markPendingEditDue = (source, itemId) => {
+    return runStatement(
+        'UPDATE pending_edits SET next_attempt_at = ? WHERE source = ? AND item_id = ?',
+        [Date.now(), source, itemId]
+    );
+};
+
+const schedulePendingEdit = (source, itemId, payload, attempts, nextAttemptAt) => {
+    return runStatement(
+        `UPDATE pending_edits SET attempts = ?, next_attempt_at = ?
+         WHERE source = ? AND item_id = ? AND payload = ?`,
+        [attempts, nextAttemptAt, source, itemId, payload]
+    );
+};
+
+const removePendingEdit = (source, itemId, payload) => {
+    return runStatement(
+        'DELETE FROM pending_edits WHERE source = ? AND item_id = ? AND payload = ?',
+        [source, itemId, payload]
+    );
+};
+
+// Notification history
+const recordNotification = ({ source, itemId, accountId, guildId, channelId, messageId = null, status = 'posted', reason = null }) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Recording ${source} notification for guild: ${guildId}`, {
+            itemId,
+            channelId,
+            messageId,
+            status
+        });
+        const stmt = db.prepare(`
+            INSERT INTO notifications (source, item_id, account_id, guild_id, channel_id, message_id, status, reason, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(source, item_id, guild_id, channel_id)
+            DO UPDATE SET message_id = excluded.message_id, status = excluded.status, reason = excluded.reason
+        `);
+        stmt.run(source, itemId, accountId, guildId, channelId, messageId, status, reason, Date.now(), function(err) {
+            if (err) {
+                logger.error(`Error recording ${source} notification for guild: ${guildId}`, {
+                    error: err.message,
+                    itemId
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Every announcement of one source item, e.g. to edit or delete the messages
+const getItemNotifications = (source, itemId) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            'SELECT * FROM notifications WHERE source = ? AND item_id = ?',
+            [source, itemId],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching notifications for ${source} item: ${itemId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+const getGuildNotifications = (guildId, limit, itemId = null) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT * FROM notifications
+             WHERE guild_id = ? AND (? IS NULL OR item_id = ? OR substr(item_id, 1, length(?) + 1) = ? || ':')
+             ORDER BY created_at DESC, id DESC LIMIT ?`,
+            [guildId, itemId, itemId, itemId, itemId, limit],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching notifications for guild: ${guildId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+// Posted messages of one source since a time, without livestream notifications
+const getRecentNotifications = (source, since) => {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT * FROM notifications
+             WHERE source = ? AND status = 'posted' AND message_id IS NOT NULL
+                AND created_at >= ? AND instr(item_id, ':') = 0
+             ORDER BY created_at`,
+            [source, since],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching recent ${source} notifications`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
 module.exports = {
     initializeDatabase,
     verifyDatabaseConnection,
-    addTwitterAccount,
-    removeTwitterAccount,
-    getAllTwitterAccounts,
-    updateLastTweetId,
-    addYoutubeChannel,
-    removeYoutubeChannel,
-    getAllYoutubeChannels,
-    updateLastVideoId,
+    runStatement,
+    runTransaction,
     setGuildChannels,
     getGuildChannels,
+    setGuildMention,
+    setGuildLiveChannel,
+    setGuildLinkProvider,
+    setSourceChannel,
+    getSourceChannel,
+    getSourceChannels,
     getConfiguredGuilds,
+    addSubscription,
+    removeSubscription,
+    updateSubscriptionSettings,
+    getGuildSubscriptions,
+    getAccountSubscriptions,
+    countAccountSubscriptions,
+    getSubscribedGuilds,
+    addSubscriptionFilter,
+    removeSubscriptionFilter,
+    getGuildFilters,
+    getSubscriptionFilters,
+    getMessageTemplate,
+    getTemplatesForGuilds,
+    setMessageTemplate,
+    removeMessageTemplate,
+    enqueueDelivery,
+    getDueDeliveries,
+    markDeliverySent,
+    markDeliveryFailed,
+    getGuildDeliveries,
+    retryDeliveries,
+    pruneDeliveries,
+    countOpenDeliveries,
+    savePendingEdit,
+    getDuePendingEdits,
+    markPendingEditDue,
+    schedulePendingEdit,
+    removePendingEdit,
+    recordNotification,
+    getItemNotifications,
+    getGuildNotifications,
+    getRecentNotifications,
     get db() { return db; }
 };
@@ -0,0 +1,60 @@
+// Baseline schema. Every statement is idempotent so databases created before
+// migrations existed can be adopted as version 1 without changes.
+module.exports = {
+    description: 'Initial schema with per-guild subscriptions',
+    up: `
+        CREATE TABLE IF NOT EXISTS twitter_accounts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            account_handle TEXT UNIQUE NOT NULL,
+            last_tweet_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS youtube_channels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            channel_id TEXT UNIQUE NOT NULL,
+            last_video_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS discord_channels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            twitter_channel_id TEXT,
+            youtube_channel_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(guild_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            source TEXT NOT NULL,
+            account_id TEXT NOT NULL,
+            channel_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(guild_id, source, account_id)
+        );
+
+        -- Accounts added before subscriptions existed were delivered to every
+        -- configured guild, so give each of those guilds a subscription to keep
+        -- the old behaviour. Accounts that already have subscribers are skipped.
+        INSERT OR IGNORE INTO subscriptions (guild_id, source, account_id)
+        SELECT dc.guild_id, 'twitter', ta.account_handle
+        FROM discord_channels dc CROSS JOIN twitter_accounts ta
+        WHERE dc.twitter_channel_id IS NOT NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM subscriptions s
+            WHERE s.source = 'twitter' AND s.account_id = ta.account_handle
+        );
+
+        INSERT OR IGNORE INTO subscriptions (guild_id, source, account_id)
+        SELECT dc.guild_id, 'youtube', yc.channel_id
+        FROM discord_channels dc CROSS JOIN youtube_channels yc
+        WHERE dc.youtube_channel_id IS NOT NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM subscriptions s
+            WHERE s.source = 'youtube' AND s.account_id = yc.channel_id
+        );
+    `
+};
@@ -0,0 +1,7 @@
+module.exports = {
+    description: 'Track YouTube WebSub lease expiry per channel',
+    up: `
+        -- Epoch milliseconds; NULL means the channel has no active WebSub lease
+        ALTER TABLE youtube_channels ADD COLUMN websub_expires_at INTEGER;
+    `
+};
@@ -0,0 +1,16 @@
+module.exports = {
+    description: 'Track announced YouTube videos per channel',
+    up: `
+        CREATE TABLE IF NOT EXISTS youtube_announced_videos (
+            channel_id TEXT NOT NULL,
+            video_id TEXT NOT NULL,
+            published_at DATETIME,
+            announced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (channel_id, video_id)
+        );
+
+        -- Epoch milliseconds; only videos published after this are announced
+        ALTER TABLE youtube_channels ADD COLUMN tracked_since INTEGER;
+        UPDATE youtube_channels SET tracked_since = CAST(strftime('%s', 'now') AS INTEGER) * 1000;
+    `
+};
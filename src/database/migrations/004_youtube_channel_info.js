@@ -0,0 +1,7 @@
+module.exports = {
+    description: 'Store resolved YouTube channel title and handle',
+    up: `
+        ALTER TABLE youtube_channels ADD COLUMN title TEXT;
+        ALTER TABLE youtube_channels ADD COLUMN handle TEXT;
+    `
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    description: 'Pin Twitter accounts to their numeric user ID',
+    up: `
+        ALTER TABLE twitter_accounts ADD COLUMN user_id TEXT;
+        ALTER TABLE twitter_accounts ADD COLUMN display_name TEXT;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_twitter_accounts_user_id
+            ON twitter_accounts(user_id) WHERE user_id IS NOT NULL;
+    `
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    description: 'Record when Twitter pagination gave up on older tweets',
+    up: `
+        ALTER TABLE twitter_accounts ADD COLUMN last_gap_at INTEGER;
+    `
+};
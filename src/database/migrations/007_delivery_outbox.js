@@ -0,0 +1,29 @@
+// Notifications are queued here before they are sent so a Discord outage, a
+// missing permission or a restart doesn't lose them. The idempotency key is
+// unique per (source, item, guild, channel) so detecting an item twice never
+// queues it twice.
+module.exports = {
+    description: 'Persistent delivery outbox',
+    up: `
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            idempotency_key TEXT UNIQUE NOT NULL,
+            guild_id TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            source TEXT NOT NULL,
+            account_id TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at INTEGER NOT NULL,
+            last_error TEXT,
+            message_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sent_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_outbox_guild ON outbox(guild_id, status);
+    `
+};
@@ -0,0 +1,27 @@
+// One row per announcement: which source item went to which guild channel and
+// the Discord message it became, so announcements can be looked up, edited or
+// deleted later. Deliveries already sent through the outbox are carried over.
+module.exports = {
+    description: 'Notification history',
+    up: `
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            source TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            account_id TEXT NOT NULL,
+            guild_id TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            message_id TEXT,
+            status TEXT NOT NULL DEFAULT 'posted',
+            reason TEXT,
+            created_at INTEGER NOT NULL,
+            UNIQUE(source, item_id, guild_id, channel_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_notifications_guild ON notifications(guild_id, created_at);
+
+        INSERT OR IGNORE INTO notifications (source, item_id, account_id, guild_id, channel_id, message_id, created_at)
+        SELECT source, item_id, account_id, guild_id, channel_id, message_id, COALESCE(sent_at, next_attempt_at)
+        FROM outbox WHERE status = 'sent';
+    `
+};
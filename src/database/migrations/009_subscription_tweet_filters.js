@@ -0,0 +1,11 @@
+// Per-subscription switches for which kinds of tweets are announced. They
+// default to on so existing subscriptions keep announcing everything.
+module.exports = {
+    description: 'Per-subscription tweet type filters',
+    up: `
+        ALTER TABLE subscriptions ADD COLUMN include_retweets INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE subscriptions ADD COLUMN include_replies INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE subscriptions ADD COLUMN include_quotes INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE subscriptions ADD COLUMN include_media_only INTEGER NOT NULL DEFAULT 1;
+    `
+};
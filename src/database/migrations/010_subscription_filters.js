@@ -0,0 +1,23 @@
+// Keyword and regex filters on a subscription's content. Filters follow the
+// subscription row, so they survive its account ID being re-pinned and are
+// removed together with it.
+module.exports = {
+    description: 'Keyword and regex content filters',
+    up: `
+        CREATE TABLE IF NOT EXISTS subscription_filters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subscription_id INTEGER NOT NULL,
+            mode TEXT NOT NULL,
+            type TEXT NOT NULL,
+            pattern TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(subscription_id, mode, type, pattern)
+        );
+
+        CREATE TRIGGER IF NOT EXISTS subscription_filters_cleanup
+        AFTER DELETE ON subscriptions
+        BEGIN
+            DELETE FROM subscription_filters WHERE subscription_id = OLD.id;
+        END;
+    `
+};
@@ -0,0 +1,27 @@
+// Custom notification wording per guild. A row without a subscription is the
+// guild's default for that source; a row with one overrides it for a single
+// followed account and goes away with the subscription.
+module.exports = {
+    description: 'Notification message templates',
+    up: `
+        CREATE TABLE IF NOT EXISTS message_templates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            source TEXT NOT NULL,
+            subscription_id INTEGER,
+            content TEXT,
+            color INTEGER,
+            footer TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_message_templates_scope
+            ON message_templates(guild_id, source, IFNULL(subscription_id, 0));
+
+        CREATE TRIGGER IF NOT EXISTS message_templates_cleanup
+        AFTER DELETE ON subscriptions
+        BEGIN
+            DELETE FROM message_templates WHERE subscription_id = OLD.id;
+        END;
+    `
+};
@@ -0,0 +1,9 @@
+// Who a notification pings: a role ID, 'here' or 'everyone'. Set on a
+// subscription, or on the guild as the default for all its subscriptions.
+module.exports = {
+    description: 'Role mentions on notifications',
+    up: `
+        ALTER TABLE subscriptions ADD COLUMN mention TEXT;
+        ALTER TABLE discord_channels ADD COLUMN mention TEXT;
+    `
+};
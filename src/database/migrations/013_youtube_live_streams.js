@@ -0,0 +1,26 @@
+// Livestreams and premieres are followed from scheduled to live to ended so
+// the going-live notification, the reminder and the end-of-stream edit each
+// happen once. Live notifications can go to their own channel, per
+// subscription or as the guild default.
+module.exports = {
+    description: 'YouTube livestream and premiere tracking',
+    up: `
+        CREATE TABLE IF NOT EXISTS youtube_live_streams (
+            video_id TEXT PRIMARY KEY,
+            channel_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            premiere INTEGER NOT NULL DEFAULT 0,
+            scheduled_start INTEGER,
+            actual_start INTEGER,
+            actual_end INTEGER,
+            reminded_at INTEGER,
+            checked_at INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_youtube_live_streams_status ON youtube_live_streams(status);
+
+        ALTER TABLE subscriptions ADD COLUMN live_channel_id TEXT;
+        ALTER TABLE discord_channels ADD COLUMN youtube_live_channel_id TEXT;
+    `
+};
@@ -0,0 +1,9 @@
+// Shorts can be announced like other uploads, muted, or sent to their own
+// channel, per subscription
+module.exports = {
+    description: 'Per-subscription handling of YouTube Shorts',
+    up: `
+        ALTER TABLE subscriptions ADD COLUMN shorts_mode TEXT NOT NULL DEFAULT 'include';
+        ALTER TABLE subscriptions ADD COLUMN shorts_channel_id TEXT;
+    `
+};
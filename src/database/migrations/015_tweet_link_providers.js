@@ -0,0 +1,8 @@
+// Which embed-fix service a guild's tweet links use; NULL follows the global
+// TWITTER_LINK_PROVIDER setting
+module.exports = {
+    description: 'Per-guild tweet link provider',
+    up: `
+        ALTER TABLE discord_channels ADD COLUMN twitter_link_provider TEXT;
+    `
+};
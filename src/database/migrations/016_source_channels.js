@@ -0,0 +1,19 @@
+// Default notification channel of each source per guild. /setup only knows
+// Twitter and YouTube; sources added later keep their default here, so the
+// Twitter and YouTube columns of discord_channels are copied over.
+module.exports = {
+    description: 'Per-source default channels',
+    up: `
+        CREATE TABLE IF NOT EXISTS source_channels (
+            guild_id TEXT NOT NULL,
+            source TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            PRIMARY KEY (guild_id, source)
+        );
+
+        INSERT OR IGNORE INTO source_channels (guild_id, source, channel_id)
+            SELECT guild_id, 'twitter', twitter_channel_id FROM discord_channels WHERE twitter_channel_id IS NOT NULL;
+        INSERT OR IGNORE INTO source_channels (guild_id, source, channel_id)
+            SELECT guild_id, 'youtube', youtube_channel_id FROM discord_channels WHERE youtube_channel_id IS NOT NULL;
+    `
+};
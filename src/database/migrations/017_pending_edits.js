@@ -0,0 +1,19 @@
+// Edits to messages that were already posted, e.g. marking a livestream as
+// ended. One row per item holds the latest edit until every message of the
+// item has been edited, including messages still waiting in the outbox.
+module.exports = {
+    description: 'Pending message edits',
+    up: `
+        CREATE TABLE IF NOT EXISTS pending_edits (
+            source TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (source, item_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_pending_edits_due ON pending_edits(next_attempt_at);
+    `
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { database: logger } = require('../utils/logger');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+// Each source keeps the migrations for its own tables in
+// src/sources/<name>/migrations, versioned separately from the core schema
+const sourcesDir = path.join(__dirname, '../sources');
+
+// Promise wrappers around the sqlite3 callback API
+const exec = (db, sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => err ? reject(err) : resolve());
+});
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        err ? reject(err) : resolve(this);
+    });
+});
+
+const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+// Migration files are named NNN_description.js and export
+// { description, destructive, up } where `up` is the SQL to apply.
+// Set `destructive: true` when a migration drops or rewrites data so the
+// database file is backed up before it runs.
+const loadMigrations = (dir) => {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => {
+            const migration = require(path.join(dir, file));
+            return {
+                version: parseInt(file.split('_')[0], 10),
+                file,
+                description: migration.description || file,
+                destructive: Boolean(migration.destructive),
+                up: migration.up
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    // Catch numbering mistakes before anything touches the database
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+        }
+        if (typeof migration.up !== 'string') {
+            throw new Error(`Migration ${migration.file} does not export an "up" SQL string`);
+        }
+    });
+
+    return migrations;
+};
+
+// Sources that have a migrations directory, by source name
+const loadSourceMigrations = () => {
+    return fs.readdirSync(sourcesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(sourcesDir, entry.name, 'migrations')))
+        .map(entry => ({
+            source: entry.name,
+            migrations: loadMigrations(path.join(sourcesDir, entry.name, 'migrations'))
+        }))
+        .sort((a, b) => a.source.localeCompare(b.source));
+};
+
+// The label names the schema and version the backup was taken at, e.g. v16 or bluesky-v1
+const backupDatabase = (dbPath, label) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${dbPath}.${label}-${timestamp}.bak`;
+    logger.info(`Backing up database before destructive migration`, {
+        source: dbPath,
+        backup: backupPath
+    });
+    fs.copyFileSync(dbPath, backupPath);
+    return backupPath;
+};
+
+// Applies the migrations newer than currentVersion, each in its own
+// transaction together with `record`, which stores the new version
+const applyMigrations = async (db, dbPath, { name, backupPrefix, migrations, currentVersion, record }) => {
+    const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+    logger.info(`Checking ${name} schema version`, {
+        currentVersion,
+        latestVersion
+    });
+
+    if (currentVersion > latestVersion) {
+        throw new Error(
+            `The ${name} schema version ${currentVersion} is newer than this build supports (${latestVersion}). ` +
+            'Refusing to start; upgrade the bot or restore a database backup.'
+        );
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+        logger.info(`The ${name} schema is up to date`);
+        return currentVersion;
+    }
+
+    if (pending.some(migration => migration.destructive) && dbPath !== ':memory:' && fs.existsSync(dbPath)) {
+        backupDatabase(dbPath, `${backupPrefix}v${currentVersion}`);
+    }
+
+    for (const migration of pending) {
+        logger.info(`Applying ${name} migration ${migration.file}`, {
+            version: migration.version,
+            description: migration.description,
+            destructive: migration.destructive
+        });
+
+        await exec(db, 'BEGIN IMMEDIATE');
+        try {
+            await exec(db, migration.up);
+            await record(migration);
+            await exec(db, 'COMMIT');
+        } catch (error) {
+            logger.error(`Migration ${migration.file} failed, rolling back`, {
+                error: error.message,
+                stack: error.stack
+            });
+            await exec(db, 'ROLLBACK').catch(rollbackError => {
+                logger.error('Error rolling back migration:', {
+                    error: rollbackError.message
+                });
+            });
+            throw error;
+        }
+    }
+
+    logger.info(`Applied ${name} migrations`, {
+        from: currentVersion,
+        to: latestVersion,
+        applied: pending.length
+    });
+    return latestVersion;
+};
+
+// Brings the core schema up to date, then the tables of each source.
+// Resolves to the core schema version.
+const runMigrations = async (db, dbPath) => {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS source_schema_version (
+            source TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            description TEXT,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (source, version)
+        )
+    `);
+
+    const row = await get(db, 'SELECT MAX(version) AS version FROM schema_version');
+    const version = await applyMigrations(db, dbPath, {
+        name: 'database',
+        backupPrefix: '',
+        migrations: loadMigrations(migrationsDir),
+        currentVersion: row?.version || 0,
+        record: (migration) => run(db,
+            'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+            [migration.version, migration.description]
+        )
+    });
+
+    for (const { source, migrations } of loadSourceMigrations()) {
+        const sourceRow = await get(db, 'SELECT MAX(version) AS version FROM source_schema_version WHERE source = ?', [source]);
+        await applyMigrations(db, dbPath, {
+            name: source,
+            backupPrefix: `${source}-`,
+            migrations,
+            currentVersion: sourceRow?.version || 0,
+            record: (migration) => run(db,
+                'INSERT INTO source_schema_version (source, version, description) VALUES (?, ?, ?)',
+                [source, migration.version, migration.description]
+            )
+        });
+    }
+
+    return version;
+};
+
+module.exports = { runMigrations };
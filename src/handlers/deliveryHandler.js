@@ -0,0 +1,297 @@
+const { DiscordAPIError, RESTJSONErrorCodes } = require('discord.js');
+const {
+    getDueDeliveries,
+    markDeliverySent,
+    markDeliveryFailed,
+    pruneDeliveries,
+    recordNotification,
+    getItemNotifications,
+    countOpenDeliveries,
+    savePendingEdit,
+    getDuePendingEdits,
+    markPendingEditDue,
+    schedulePendingEdit,
+    removePendingEdit
+} = require('../database/database');
+const { REQUIRED_CHANNEL_PERMISSIONS, getMissingChannelPermissions } = require('../utils/permissions');
+const { getMentionPermissions } = require('../utils/mentions');
+const { system: logger } = require('../utils/logger');
+
+// Delivery settings
+const pollInterval = 5000; // Check the outbox every 5 seconds
+const batchSize = 25; // Deliveries sent per run
+const maxAttempts = parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '8');
+const baseRetryDelay = 30000; // First retry after 30 seconds, doubling each time
+const maxRetryDelay = 3600000; // Never wait more than an hour between attempts
+const sentRetention = 7 * 86400000; // Keep sent deliveries for a week
+const pruneInterval = 3600000;
+
+// Errors that retrying can't fix: the delivery is dead-lettered straight away
+const permanentErrorCodes = new Set([
+    RESTJSONErrorCodes.UnknownChannel,
+    RESTJSONErrorCodes.UnknownGuild,
+    RESTJSONErrorCodes.InvalidFormBodyOrContentType
+]);
+
+// Edits of messages that are gone can't be retried
+const goneErrorCodes = new Set([
+    RESTJSONErrorCodes.UnknownMessage,
+    RESTJSONErrorCodes.UnknownChannel,
+    RESTJSONErrorCodes.UnknownGuild
+]);
+
+let timer = null;
+let running = false;
+let lastPruneAt = 0;
+
+class DeliveryError extends Error {
+    constructor(message, { permanent = false } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.permanent = permanent;
+    }
+}
+
+const getRetryDelay = (attempts) => Math.min(baseRetryDelay * 2 ** attempts, maxRetryDelay);
+
+async function deliver(client, entry) {
+    const guild = client.guilds.cache.get(entry.guild_id);
+    if (!guild) {
+        throw new DeliveryError('Guild not available');
+    }
+
+    let channel;
+    try {
+        channel = await guild.channels.fetch(entry.channel_id);
+    } catch (error) {
+        const permanent = error instanceof DiscordAPIError && permanentErrorCodes.has(error.code);
+        throw new DeliveryError(`Failed to fetch channel: ${error.message}`, { permanent });
+    }
+    if (!channel) {
+        throw new DeliveryError('Channel not found', { permanent: true });
+    }
+
+    // Missing permissions can be fixed by an admin, so keep retrying until then
+    const required = [...REQUIRED_CHANNEL_PERMISSIONS, ...getMentionPermissions(guild, entry.payload.allowedMentions)];
+    const missing = getMissingChannelPermissions(channel, client.user, required);
+    if (missing.length > 0) {
+        throw new DeliveryError(`Missing permissions: ${missing.join(', ')}`);
+    }
+
+    try {
+        // The nonce makes Discord return the original message if a send that
+        // succeeded is retried shortly after, e.g. when we crashed before marking it
+        return await channel.send({
+            ...entry.payload,
+            nonce: `outbox-${entry.id}`,
+            enforceNonce: true
+        });
+    } catch (error) {
+        const permanent = error instanceof DiscordAPIError && permanentErrorCodes.has(error.code);
+        throw new DeliveryError(error.message, { permanent });
+    }
+}
+
+async function processOutbox(client) {
+    if (running) {
+        return;
+    }
+    running = true;
+
+    try {
+        const now = Date.now();
+        if (now - lastPruneAt > pruneInterval) {
+            lastPruneAt = now;
+            const result = await pruneDeliveries(now - sentRetention);
+            if (result.changes > 0) {
+                logger.debug(`Pruned ${result.changes} sent deliveries from the outbox`);
+            }
+        }
+
+        const entries = await getDueDeliveries(now, batchSize);
+        if (entries.length > 0) {
+            logger.info(`Processing ${entries.length} queued deliveries`);
+        }
+
+        for (const entry of entries) {
+            const context = {
+                id: entry.id,
+                guildId: entry.guild_id,
+                channelId: entry.channel_id,
+                source: entry.source,
+                itemId: entry.item_id,
+                attempt: entry.attempts + 1
+            };
+
+            let message;
+            try {
+                message = await deliver(client, entry);
+                await markDeliverySent(entry.id, message.id);
+                logger.info('Delivered queued notification', {
+                    ...context,
+                    messageId: message.id
+                });
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+                const dead = error.permanent || attempts >= maxAttempts;
+                const nextAttemptAt = dead ? null : Date.now() + getRetryDelay(entry.attempts);
+                await markDeliveryFailed(entry.id, error.message, nextAttemptAt);
+
+                if (dead) {
+                    logger.error('Delivery failed permanently, moved to dead letters', {
+                        ...context,
+                        error: error.message,
+                        permanent: Boolean(error.permanent)
+                    });
+                } else {
+                    logger.warn('Delivery failed, will retry', {
+                        ...context,
+                        error: error.message,
+                        nextAttemptAt: new Date(nextAttemptAt).toISOString()
+                    });
+                }
+                continue;
+            }
+
+            // The message is out, so a history failure must not cause a resend
+            await recordNotification({
+                source: entry.source,
+                itemId: entry.item_id,
+                accountId: entry.account_id,
+                guildId: entry.guild_id,
+                channelId: entry.channel_id,
+                messageId: message.id
+            }).catch(error => {
+                logger.error('Error recording notification history:', {
+                    ...context,
+                    error: error.message
+                });
+            });
+
+            // An item edited while this message was queued, e.g. a stream that
+            // ended, gets the edit applied to it right after this batch
+            await markPendingEditDue(entry.source, entry.item_id);
+        }
+
+        await processPendingEdits(client);
+    } catch (error) {
+        logger.error('Error processing delivery outbox:', {
+            error: error.message,
+            stack: error.stack
+        });
+    } finally {
+        running = false;
+    }
+}
+
+function startDeliveryWorker(client) {
+    if (timer) {
+        return;
+    }
+    logger.info('Starting delivery worker', {
+        pollInterval,
+        maxAttempts
+    });
+
+    const tick = async () => {
+        await processOutbox(client);
+        if (timer) {
+            timer = setTimeout(tick, pollInterval);
+        }
+    };
+    timer = setTimeout(tick, 0);
+}
+
+function stopDeliveryWorker() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+// Applies a pending edit to every posted message of its item. The edit is
+// kept until no message is left to edit: messages still in the outbox are
+// edited once they are sent, and failed edits are retried with the same
+// backoff and limit as deliveries. Messages that were deleted are left alone.
+async function applyPendingEdit(client, { source, item_id: itemId, payload, attempts }) {
+    const { embed, components } = JSON.parse(payload);
+    const notifications = (await getItemNotifications(source, itemId))
+        .filter(row => row.status === 'posted' && row.message_id);
+
+    let edited = 0;
+    let failed = 0;
+    for (const notification of notifications) {
+        try {
+            const discordChannel = await client.channels.fetch(notification.channel_id);
+            const message = await discordChannel.messages.fetch(notification.message_id);
+            // Keep the footer the guild's template gave the original message
+            await message.edit({
+                embeds: [{ ...embed, footer: message.embeds[0]?.data.footer ?? embed.footer }],
+                ...(components ? { components } : {}),
+                allowedMentions: { parse: [] }
+            });
+            edited++;
+        } catch (error) {
+            const gone = error instanceof DiscordAPIError && goneErrorCodes.has(error.code);
+            if (!gone) {
+                failed++;
+            }
+            logger.warn(`Could not edit ${source} notification: ${notification.message_id}`, {
+                error: error.message,
+                code: error.code,
+                guildId: notification.guild_id,
+                channelId: notification.channel_id,
+                itemId,
+                retry: !gone
+            });
+        }
+    }
+
+    const queued = await countOpenDeliveries(source, itemId);
+    if (failed === 0 && queued === 0) {
+        await removePendingEdit(source, itemId, payload);
+    } else if (failed === 0) {
+        // Only waiting for deliveries, which bring the edit forward once sent
+        await schedulePendingEdit(source, itemId, payload, attempts, Date.now() + maxRetryDelay);
+    } else if (attempts + 1 >= maxAttempts) {
+        logger.error(`Giving up on editing ${source} notifications`, {
+            itemId,
+            failed,
+            queued,
+            attempts: attempts + 1
+        });
+        await removePendingEdit(source, itemId, payload);
+    } else {
+        await schedulePendingEdit(source, itemId, payload, attempts + 1, Date.now() + getRetryDelay(attempts));
+    }
+    return edited;
+}
+
+async function processPendingEdits(client) {
+    const edits = await getDuePendingEdits(Date.now(), batchSize);
+    for (const edit of edits) {
+        await applyPendingEdit(client, edit).catch(error => {
+            logger.error(`Error applying pending ${edit.source} edit:`, {
+                error: error.message,
+                stack: error.stack,
+                itemId: edit.item_id
+            });
+        });
+    }
+}
+
+// Updates every message of an item, e.g. when a livestream ends, and
+// resolves to the number edited right away. The edit is stored first, so
+// whatever can't be edited yet is retried by the delivery worker.
+async function editItemNotifications(client, source, itemId, { embed, components }) {
+    const payload = JSON.stringify({ embed, components });
+    await savePendingEdit(source, itemId, payload);
+    return applyPendingEdit(client, { source, item_id: itemId, payload, attempts: 0 });
+}
+
+module.exports = {
+    startDeliveryWorker,
+    stopDeliveryWorker,
+    processOutbox,
+    editItemNotifications
+};
@@ -1,14 +1,28 @@
 const fs = require('fs');
 const path = require('path');
 const { Events, Collection, DiscordAPIError } = require('discord.js');
-const twitterIntegration = require('../integrations/twitter');
-const youtubeIntegration = require('../integrations/youtube');
-const { getGuildChannels } = require('../database/database');
+const { getSources } = require('../sources');
+const { startDeliveryWorker, processOutbox } = require('./deliveryHandler');
+const {
+    getAccountSubscriptions,
+    getSubscriptionFilters,
+    getTemplatesForGuilds,
+    enqueueDelivery,
+    getItemNotifications,
+    recordNotification
+} = require('../database/database');
+const { getContentFilterReason } = require('../utils/filters');
+const { resolveTemplate, applyTemplate } = require('../utils/templates');
+const { formatMention, getAllowedMentions } = require('../utils/mentions');
 const { system: logger, commands: commandLogger } = require('../utils/logger');
 
 // Track interaction states
 const interactionStates = new Collection();
 
+// Commands are deferred, and a deferred reply can be edited for 15 minutes.
+// Lookups like resolving a YouTube handle can take several seconds.
+const commandTimeout = 14 * 60000;
+
 // Time utility functions
 function getNextCheckTime(skipCount = 0) {
     const now = new Date();
@@ -134,11 +148,14 @@ async function loadEvents(client) {
                 throw deferError;
             }
 
-            // Execute command with 2-second timeout
+            // Execute command, giving up shortly before the interaction expires
+            let timeout;
             try {
                 await Promise.race([
                     command.execute(interaction),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Command timeout')), 2000))
+                    new Promise((_, reject) => {
+                        timeout = setTimeout(() => reject(new Error('Command timeout')), commandTimeout);
+                    })
                 ]);
             } catch (error) {
                 if (error.message === 'Command timeout') {
@@ -154,6 +171,8 @@ async function loadEvents(client) {
                     return;
                 }
                 throw error;
+            } finally {
+                clearTimeout(timeout);
             }
 
             // Send success message if needed
@@ -218,7 +237,9 @@ async function loadEvents(client) {
 
     client.on(Events.ClientReady, () => {
         logger.info(`Bot logged in as ${client.user.tag}`);
+        startDeliveryWorker(client);
         startPolling(client);
+        startSources(client);
     });
 
     client.on(Events.GuildCreate, guild => {
@@ -243,16 +264,20 @@ async function loadEvents(client) {
 }
 
 async function startPolling(client) {
-    logger.info('Starting scheduled update polling system');
+    logger.info('Starting scheduled update polling system', {
+        sources: getSources().map(source => source.name)
+    });
 
+    // The next quarter hour, or when every source is rate limited, the first
+    // one after a source's limit resets
     async function findNextViableCheckTime() {
         let skipCount = 0;
         let nextCheck = getNextCheckTime(skipCount);
-        const rateLimitInfo = twitterIntegration.getRateLimitInfo();
+        const statuses = await Promise.all(getSources().map(source => source.getRateLimitStatus()));
 
-        // If we can't process now, find next viable time after rate limit reset
-        if (!await twitterIntegration.canProcessAccounts()) {
-            while (nextCheck.getTime() < rateLimitInfo.resetAt + 60000) { // Add 1 minute buffer
+        if (statuses.length > 0 && statuses.every(status => status.limited)) {
+            const resetAt = Math.min(...statuses.map(status => status.resetAt ?? Date.now()));
+            while (nextCheck.getTime() < resetAt + 60000) { // Add 1 minute buffer
                 skipCount++;
                 nextCheck = getNextCheckTime(skipCount);
             }
@@ -260,7 +285,7 @@ async function startPolling(client) {
             logger.info('Found next viable check time', {
                 currentTime: formatTime(new Date()),
                 nextCheckTime: formatTime(nextCheck),
-                rateLimitResetAt: formatTime(new Date(rateLimitInfo.resetAt)),
+                rateLimitResetAt: formatTime(new Date(resetAt)),
                 skippedIntervals: skipCount
             });
         }
@@ -268,54 +293,36 @@ async function startPolling(client) {
         return nextCheck;
     }
 
+    async function checkSource(source) {
+        const rateLimit = await source.getRateLimitStatus();
+        if (rateLimit.limited) {
+            logger.info(`Skipping ${source.name} check due to rate limits`, {
+                rateLimitResetAt: rateLimit.resetAt ? formatTime(new Date(rateLimit.resetAt)) : null
+            });
+            return;
+        }
+
+        logger.debug(`Starting ${source.name} update check`);
+        const items = await source.fetchNewItems();
+        await queueSourceItems(client, source, items);
+    }
+
     async function runChecks() {
         try {
             const now = new Date();
             logger.info(`Running scheduled checks at ${formatTime(now)}`);
 
-            // Pre-check if we can process
-            if (!await twitterIntegration.canProcessAccounts()) {
-                const nextViableCheck = await findNextViableCheckTime();
-                const skipDelay = nextViableCheck.getTime() - now.getTime();
-
-                logger.info('Skipping current check due to rate limits', {
-                    nextCheckTime: formatTime(nextViableCheck),
-                    delayMinutes: Math.round(skipDelay / 60000),
-                    rateLimitInfo: twitterIntegration.getRateLimitInfo()
-                });
-
-                setTimeout(runChecks, skipDelay);
-                return;
-            }
-
-            // Process Twitter updates
-            logger.debug('Starting Twitter update check');
-            const tweets = await twitterIntegration.checkNewTweets();
-            for (const tweetData of tweets) {
-                await sendTwitterUpdate(client, tweetData).catch(error => {
-                    logger.error('Error sending Twitter update:', {
+            // One failing source doesn't hold back the others
+            for (const source of getSources()) {
+                await checkSource(source).catch(error => {
+                    logger.error(`Error checking ${source.name} updates:`, {
                         error: error.message,
-                        stack: error.stack,
-                        tweetData: {
-                            id: tweetData.tweet.id,
-                            author: tweetData.author.username
-                        }
+                        stack: error.stack
                     });
                 });
             }
 
-            // Process YouTube updates
-            logger.debug('Starting YouTube update check');
-            const uploads = await youtubeIntegration.checkNewUploads();
-            for (const uploadData of uploads) {
-                await sendYouTubeUpdate(client, uploadData).catch(error => {
-                    logger.error('Error sending YouTube update:', {
-                        error: error.message,
-                        stack: error.stack,
-                        channelId: uploadData.channel.id
-                    });
-                });
-            }
+            processOutbox(client);
 
             // Schedule next check
             const nextCheck = await findNextViableCheckTime();
@@ -349,231 +356,166 @@ async function startPolling(client) {
     setTimeout(runChecks, initialDelay);
 }
 
-async function sendTwitterUpdate(client, tweetData) {
-    const { tweet, author, account } = tweetData;
-    const tweetUrl = `https://twitter.com/${author.username}/status/${tweet.id}`;
-    const vxTweetUrl = twitterIntegration.convertToVxTwitter(tweetUrl);
-    
-    logger.info(`Starting tweet update process`, {
-        author: author.username,
-        tweetId: tweet.id,
-        tweetUrl: vxTweetUrl
-    });
-
-    // Create embed and button
-    const embed = twitterIntegration.createTweetEmbed(tweet, author);
-    const button = twitterIntegration.createOriginalUrlButton(tweet.id, author.username);
-
-    // Get all guilds the bot is in
-    const guilds = Array.from(client.guilds.cache.values());
-    logger.info(`Processing ${guilds.length} guilds for tweet update`);
-
-    // Send to all configured guilds
-    for (const guild of guilds) {
-        try {
-            logger.debug(`Processing guild: ${guild.name} (${guild.id})`);
-            
-            // Get channel configuration
-            const channels = await getGuildChannels(guild.id);
-            logger.debug('Retrieved channel config:', {
-                guildId: guild.id,
-                guildName: guild.name,
-                channels: channels ? {
-                    twitter_channel_id: channels.twitter_channel_id,
-                    youtube_channel_id: channels.youtube_channel_id
-                } : null
-            });
-
-            if (!channels?.twitter_channel_id) {
-                logger.debug(`No Twitter channel configured for guild: ${guild.name}`);
-                continue;
-            }
-
-            // Try to fetch the channel
-            let channel;
-            try {
-                channel = await guild.channels.fetch(channels.twitter_channel_id);
-            } catch (fetchError) {
-                logger.error(`Failed to fetch channel for guild ${guild.name}:`, {
-                    error: fetchError.message,
-                    channelId: channels.twitter_channel_id
-                });
-                continue;
-            }
-
-            if (!channel) {
-                logger.warn(`Channel not found in guild ${guild.name}`, {
-                    channelId: channels.twitter_channel_id
-                });
-                continue;
-            }
-
-            // Check permissions
-            const permissions = channel.permissionsFor(client.user);
-            const requiredPermissions = ['ViewChannel', 'SendMessages', 'EmbedLinks'];
-            const missingPermissions = requiredPermissions.filter(perm => !permissions.has(perm));
-            
-            if (missingPermissions.length > 0) {
-                logger.warn(`Missing permissions in channel ${channel.name}:`, {
-                    guild: guild.name,
-                    channel: channel.name,
-                    missingPermissions
-                });
-                continue;
-            }
-
-            // Send the message
-            logger.info(`Attempting to send tweet to channel:`, {
-                guild: guild.name,
-                channel: channel.name,
-                channelId: channel.id,
-                author: author.username,
-                tweetId: tweet.id
-            });
-
-            try {
-                const message = await channel.send({
-                    content: `New tweet from ${author.username}!\n${vxTweetUrl}`,
-                    embeds: [embed],
-                    components: [button]
-                });
-
-                logger.info(`Successfully sent tweet`, {
-                    guild: guild.name,
-                    channel: channel.name,
-                    messageId: message.id,
-                    tweetId: tweet.id
-                });
-            } catch (sendError) {
-                logger.error(`Failed to send message`, {
-                    error: sendError.message,
-                    guild: guild.name,
-                    channel: channel.name,
-                    permissions: permissions.toArray()
+// Sources run their own jobs, e.g. push notifications, once the client is ready
+function startSources(client) {
+    const context = {
+        client,
+        queueItems: (source, items) => queueSourceItems(client, source, items),
+        processOutbox
+    };
+
+    for (const source of getSources().filter(source => source.start)) {
+        Promise.resolve()
+            .then(() => source.start(context))
+            .catch(error => {
+                logger.error(`Error starting ${source.name} source:`, {
+                    error: error.message,
+                    stack: error.stack
                 });
-                throw sendError;
-            }
-        } catch (error) {
-            logger.error(`Error sending Twitter update to guild ${guild.id}:`, {
-                error: error.message,
-                stack: error.stack,
-                guildName: guild.name,
-                tweetId: tweet.id
             });
-        }
     }
 }
 
-async function sendYouTubeUpdate(client, uploadData) {
-    const { channel, videos } = uploadData;
-
-    logger.info(`Starting YouTube update process`, {
-        channelName: channel.snippet.title,
-        videoCount: videos.length,
-        channelId: channel.id
+// Queues a notification for every subscribed guild. The delivery worker sends
+// them, so nothing here talks to Discord beyond checking the guild cache.
+// `templateKey` picks the template when it isn't the source's own (e.g.
+// livestreams), and `route` can pick another channel for the subscription.
+// `extraEmbeds` follow the templated embed unchanged, e.g. the rest of a
+// photo gallery. `values` can be a function of the subscription when they
+// differ per guild.
+async function queueForSubscribers(client, {
+    source,
+    accountId,
+    itemId,
+    embed,
+    extraEmbeds = [],
+    components = [],
+    values,
+    text = '',
+    filter = null,
+    templateKey = source,
+    route = null
+}) {
+    const subscriptions = await getAccountSubscriptions(source, accountId);
+    logger.info(`Queueing ${source} update for ${subscriptions.length} subscriptions`, {
+        accountId,
+        itemId
     });
 
-    // Get all guilds the bot is in
-    const guilds = Array.from(client.guilds.cache.values());
-    logger.info(`Processing ${guilds.length} guilds for YouTube update`);
-
-    // Send to all configured guilds
-    for (const guild of guilds) {
-        try {
-            logger.debug(`Processing guild: ${guild.name} (${guild.id})`);
-            
-            // Get channel configuration
-            const channels = await getGuildChannels(guild.id);
-            logger.debug('Retrieved channel config:', {
-                guildId: guild.id,
-                guildName: guild.name,
-                channels: channels ? {
-                    twitter_channel_id: channels.twitter_channel_id,
-                    youtube_channel_id: channels.youtube_channel_id
-                } : null
+    // Channels this item was already announced in, e.g. before a restart
+    const posted = new Set(
+        (await getItemNotifications(source, itemId))
+            .filter(row => row.status === 'posted')
+            .map(row => `${row.guild_id}:${row.channel_id}`)
+    );
+    const contentFilters = await getSubscriptionFilters(subscriptions.map(sub => sub.id));
+    const templates = await getTemplatesForGuilds([...new Set(subscriptions.map(sub => sub.guild_id))], templateKey);
+
+    let queued = 0;
+    for (const subscription of subscriptions) {
+        if (!client.guilds.cache.has(subscription.guild_id)) {
+            logger.debug(`Guild not available for subscription: ${subscription.guild_id}`, {
+                accountId
             });
+            continue;
+        }
 
-            if (!channels?.youtube_channel_id) {
-                logger.debug(`No YouTube channel configured for guild: ${guild.name}`);
-                continue;
-            }
+        const channelId = route?.(subscription) || subscription.target_channel_id;
+        if (!channelId) {
+            logger.debug(`No ${source} channel configured for guild: ${subscription.guild_id}`);
+            continue;
+        }
 
-            // Try to fetch the channel
-            let discordChannel;
-            try {
-                discordChannel = await guild.channels.fetch(channels.youtube_channel_id);
-            } catch (fetchError) {
-                logger.error(`Failed to fetch channel for guild ${guild.name}:`, {
-                    error: fetchError.message,
-                    channelId: channels.youtube_channel_id
-                });
-                continue;
-            }
+        if (posted.has(`${subscription.guild_id}:${channelId}`)) {
+            logger.debug(`${source} item ${itemId} already posted in guild: ${subscription.guild_id}`);
+            continue;
+        }
 
-            if (!discordChannel) {
-                logger.warn(`Channel not found in guild ${guild.name}`, {
-                    channelId: channels.youtube_channel_id
-                });
-                continue;
-            }
+        // Subscription settings (e.g. tweet types the guild opted out of), then keyword filters
+        const filterReason = filter?.(subscription) ||
+            getContentFilterReason(contentFilters.get(subscription.id) || [], text);
+        if (filterReason) {
+            logger.info(`Filtered ${source} item ${itemId} for guild: ${subscription.guild_id}`, {
+                reason: filterReason
+            });
+            await recordNotification({
+                source,
+                itemId,
+                accountId,
+                guildId: subscription.guild_id,
+                channelId,
+                status: 'filtered',
+                reason: filterReason
+            });
+            continue;
+        }
 
-            // Check permissions
-            const permissions = discordChannel.permissionsFor(client.user);
-            const requiredPermissions = ['ViewChannel', 'SendMessages', 'EmbedLinks'];
-            const missingPermissions = requiredPermissions.filter(perm => !permissions.has(perm));
-            
-            if (missingPermissions.length > 0) {
-                logger.warn(`Missing permissions in channel ${discordChannel.name}:`, {
-                    guild: guild.name,
-                    channel: discordChannel.name,
-                    missingPermissions
-                });
-                continue;
+        // Word the message with the subscription's template, else the guild's, else the default
+        const template = resolveTemplate(
+            templateKey,
+            templates.find(t => t.subscription_id === subscription.id),
+            templates.find(t => t.guild_id === subscription.guild_id && t.subscription_id === null)
+        );
+        const mention = subscription.mention || subscription.default_mention;
+        const itemValues = typeof values === 'function' ? values(subscription) : values;
+        const message = applyTemplate(template, { ...itemValues, mention: formatMention(mention) }, embed);
+
+        const added = await enqueueDelivery({
+            guildId: subscription.guild_id,
+            channelId,
+            source,
+            accountId,
+            itemId,
+            payload: {
+                content: message.content,
+                embeds: [message.embed, ...extraEmbeds],
+                components,
+                allowedMentions: getAllowedMentions(mention)
             }
+        });
+        if (added) {
+            queued++;
+        }
+    }
 
-            // Send each video update
-            for (const video of videos) {
-                logger.info(`Attempting to send video update to channel:`, {
-                    guild: guild.name,
-                    channel: discordChannel.name,
-                    channelId: discordChannel.id,
-                    videoId: video.id,
-                    videoTitle: video.snippet.title
-                });
+    return queued;
+}
 
-                try {
-                    const embed = youtubeIntegration.createVideoEmbed(video, channel);
-                    const message = await discordChannel.send({
-                        content: `New video from ${channel.snippet.title}!`,
-                        embeds: [embed]
-                    });
+// Queues a source's new items, then lets the source commit the ones that
+// were queued. Items that fail are left for the source to fetch again.
+async function queueSourceItems(client, source, items) {
+    const queuedItems = [];
+    const failedItems = [];
+    for (const item of items) {
+        try {
+            const notification = await source.createNotification(item);
+            const queued = await queueForSubscribers(client, {
+                ...notification,
+                source: source.name,
+                accountId: item.accountId,
+                itemId: item.id
+            });
+            queuedItems.push(item);
 
-                    logger.info(`Successfully sent video update`, {
-                        guild: guild.name,
-                        channel: discordChannel.name,
-                        messageId: message.id,
-                        videoId: video.id
-                    });
-                } catch (sendError) {
-                    logger.error(`Failed to send video update`, {
-                        error: sendError.message,
-                        guild: guild.name,
-                        channel: discordChannel.name,
-                        permissions: permissions.toArray(),
-                        videoId: video.id
-                    });
-                    throw sendError;
-                }
-            }
+            logger.info(`Queued ${source.name} item for ${queued} channels`, {
+                accountId: item.accountId,
+                itemId: item.id
+            });
         } catch (error) {
-            logger.error(`Error sending YouTube update to guild ${guild.id}:`, {
+            failedItems.push(item);
+            logger.error(`Error queueing ${source.name} update:`, {
                 error: error.message,
                 stack: error.stack,
-                guildName: guild.name,
-                channelName: channel.snippet.title
+                accountId: item.accountId,
+                itemId: item.id
             });
         }
     }
+
+    if (source.commitItems) {
+        await source.commitItems(queuedItems, failedItems);
+    }
+    return queuedItems.length;
 }
 
 module.exports = { loadEvents };
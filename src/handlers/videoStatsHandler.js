@@ -0,0 +1,139 @@
+const youtubeIntegration = require('../integrations/youtube');
+const { getRecentNotifications } = require('../database/database');
+const { system: logger } = require('../utils/logger');
+
+// Refresh settings. Every refresh edits each message whose numbers changed,
+// so YOUTUBE_STATS_REFRESH_HOURS is capped at two days; a higher value is
+// logged when refreshing starts.
+const maxRefreshHours = 48;
+const refreshHours = parseFloat(process.env.YOUTUBE_STATS_REFRESH_HOURS);
+const refreshPeriod = Math.min(Number.isNaN(refreshHours) ? 24 : refreshHours, maxRefreshHours) * 3600000; // 0 turns refreshing off
+const refreshInterval = (parseFloat(process.env.YOUTUBE_STATS_REFRESH_MINUTES) || 60) * 60000;
+
+let timer = null;
+let running = false;
+
+const normalizeFields = (fields = []) => fields.map(({ name, value, inline }) => ({ name, value, inline: Boolean(inline) }));
+
+// Rebuilds a posted video embed from fresh data. The colour and footer the
+// guild's template gave the message are kept. Returns false when the
+// statistics haven't changed, so unchanged messages aren't edited.
+async function refreshMessage(client, notification, video) {
+    const discordChannel = await client.channels.fetch(notification.channel_id);
+    const message = await discordChannel.messages.fetch(notification.message_id);
+    const current = message.embeds[0];
+    if (!current) {
+        return false;
+    }
+
+    const channel = await youtubeIntegration.fetchChannelDetails(video.snippet.channelId);
+    if (!channel) {
+        return false;
+    }
+
+    const short = Boolean(current.url?.includes('/shorts/'));
+    const { embed, components } = await youtubeIntegration.createVideoMessage(video, channel, { short });
+    const embedJson = embed.toJSON();
+    if (JSON.stringify(normalizeFields(embedJson.fields)) === JSON.stringify(normalizeFields(current.data.fields))) {
+        return false;
+    }
+
+    await message.edit({
+        embeds: [{ ...embedJson, color: current.data.color, footer: current.data.footer }],
+        components: components.map(row => row.toJSON()),
+        allowedMentions: { parse: [] }
+    });
+    return true;
+}
+
+async function refreshVideoStats(client) {
+    if (running) {
+        return;
+    }
+    running = true;
+
+    try {
+        const notifications = await getRecentNotifications('youtube', Date.now() - refreshPeriod);
+        if (notifications.length === 0) {
+            return;
+        }
+
+        const videoIds = [...new Set(notifications.map(notification => notification.item_id))];
+        const videos = new Map((await youtubeIntegration.fetchVideoDetails(videoIds)).map(video => [video.id, video]));
+
+        let edited = 0;
+        for (const notification of notifications) {
+            // Videos made private or deleted since are left as they were announced
+            const video = videos.get(notification.item_id);
+            if (!video) {
+                continue;
+            }
+
+            try {
+                if (await refreshMessage(client, notification, video)) {
+                    edited++;
+                }
+            } catch (error) {
+                // Usually a message that was deleted, nothing to act on
+                logger.debug(`Could not refresh video notification: ${notification.message_id}`, {
+                    error: error.message,
+                    code: error.code,
+                    guildId: notification.guild_id,
+                    channelId: notification.channel_id,
+                    videoId: notification.item_id
+                });
+            }
+        }
+
+        logger.info(`Refreshed statistics in ${edited} video notifications`, {
+            videos: videoIds.length,
+            messages: notifications.length
+        });
+    } catch (error) {
+        logger.error('Error refreshing video statistics:', {
+            error: error.message,
+            response: error.response?.data,
+            stack: error.stack
+        });
+    } finally {
+        running = false;
+    }
+}
+
+function startVideoStatsRefresh(client) {
+    if (timer) {
+        return;
+    }
+    if (refreshPeriod <= 0) {
+        logger.info('Video statistics refresh disabled (YOUTUBE_STATS_REFRESH_HOURS is 0)');
+        return;
+    }
+    if (refreshHours > maxRefreshHours) {
+        logger.warn(`YOUTUBE_STATS_REFRESH_HOURS is ${refreshHours}, refreshing for the maximum of ${maxRefreshHours} hours instead`);
+    }
+    logger.info('Starting video statistics refresh', {
+        refreshHours: refreshPeriod / 3600000,
+        intervalMinutes: refreshInterval / 60000
+    });
+
+    const tick = async () => {
+        await refreshVideoStats(client);
+        if (timer) {
+            timer = setTimeout(tick, refreshInterval);
+        }
+    };
+    timer = setTimeout(tick, refreshInterval);
+}
+
+function stopVideoStatsRefresh() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    startVideoStatsRefresh,
+    stopVideoStatsRefresh,
+    refreshVideoStats
+};
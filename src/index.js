@@ -1,7 +1,11 @@
 const { Client, GatewayIntentBits, Collection, Events } = require('discord.js');
 const { loadCommands } = require('./handlers/commandHandler');
 const { loadEvents } = require('./handlers/eventHandler');
+const { stopDeliveryWorker } = require('./handlers/deliveryHandler');
+const { stopVideoStatsRefresh } = require('./handlers/videoStatsHandler');
 const { initializeDatabase } = require('./database/database');
+const { stopHttpServer } = require('./server/httpServer');
+const youtubeWebSub = require('./integrations/websub');
 const { system: logger } = require('./utils/logger');
 require('dotenv').config();
 
@@ -96,6 +100,11 @@ client.commands = new Collection();
 const shutdown = async () => {
     logger.info('Shutting down bot...');
     try {
+        youtubeWebSub.stop();
+        stopDeliveryWorker();
+        stopVideoStatsRefresh();
+        await stopHttpServer();
+
         if (client.isReady()) {
             logger.info('Logging out of Discord');
             await client.destroy();
@@ -0,0 +1,422 @@
+const axios = require('axios');
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const {
+    getAllBlueskyAccounts,
+    updateBlueskyProfile,
+    updateBlueskyCursor
+} = require('../sources/bluesky/store');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('bluesky');
+
+// Discord merges at most four same-URL embeds into one gallery
+const maxGalleryImages = 4;
+
+const quoteLength = 300;
+
+const embedTypes = {
+    images: 'app.bsky.embed.images#view',
+    video: 'app.bsky.embed.video#view',
+    external: 'app.bsky.embed.external#view',
+    record: 'app.bsky.embed.record#view',
+    recordWithMedia: 'app.bsky.embed.recordWithMedia#view'
+};
+
+const reasonTypes = {
+    repost: 'app.bsky.feed.defs#reasonRepost',
+    pin: 'app.bsky.feed.defs#reasonPin'
+};
+
+// Self-applied and moderation labels that mean the media shouldn't be shown openly
+const sensitiveLabels = new Set(['porn', 'sexual', 'nudity', 'graphic-media', 'gore']);
+
+const truncate = (value, maxLength) => value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+
+// at://did:plc:abc/app.bsky.feed.post/3k... -> { did, rkey }
+const parsePostUri = (uri) => {
+    const match = /^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/#?]+)/.exec(uri || '');
+    return match ? { did: match[1], rkey: match[2] } : null;
+};
+
+class BlueskyIntegration {
+    constructor() {
+        logger.info('Initializing Bluesky integration');
+        // The public AppView serves profiles and feeds without authentication.
+        // Point this at a PDS, another AppView or a local stub of the XRPC endpoints.
+        this.serviceUrl = (process.env.BLUESKY_SERVICE_URL || 'https://public.api.bsky.app').replace(/\/+$/, '');
+        this.appUrl = (process.env.BLUESKY_APP_URL || 'https://bsky.app').replace(/\/+$/, '');
+        this.api = axios.create({
+            baseURL: `${this.serviceUrl}/xrpc`,
+            timeout: 10000
+        });
+        this.pageSize = 30;
+        // Pages read per account and check; a busy account can post more than
+        // a page between two checks, but not more than this
+        this.maxPages = parseInt(process.env.BLUESKY_MAX_PAGES || '3');
+        this.rateLimitedUntil = 0;
+        logger.debug('Bluesky API client created', {
+            serviceUrl: this.serviceUrl,
+            maxPages: this.maxPages
+        });
+    }
+
+    getRateLimitInfo() {
+        return {
+            limited: Date.now() < this.rateLimitedUntil,
+            resetAt: this.rateLimitedUntil || null
+        };
+    }
+
+    // XRPC query; a 429 pauses requests until the reset the server announced
+    async query(method, params) {
+        try {
+            const response = await this.api.get(`/${method}`, { params });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 429) {
+                const reset = parseInt(error.response.headers['ratelimit-reset'] || '0', 10) * 1000;
+                this.rateLimitedUntil = reset > Date.now() ? reset : Date.now() + 5 * 60000;
+                logger.warn('Bluesky rate limit reached', {
+                    method,
+                    resetAt: new Date(this.rateLimitedUntil).toISOString()
+                });
+            }
+            throw error;
+        }
+    }
+
+    // Accepts a handle, @handle, DID or bsky.app profile URL
+    parseActorInput(input) {
+        let value = input.trim();
+        const profile = /\/profile\/([^/?#]+)/.exec(value);
+        if (profile) {
+            try {
+                value = decodeURIComponent(profile[1]);
+            } catch (error) {
+                // A malformed escape like %E0 can't be a handle or DID; resolveActor rejects it as invalid
+                value = profile[1];
+            }
+        }
+        value = value.replace(/^@/, '');
+        return value.startsWith('did:') ? value : value.toLowerCase();
+    }
+
+    getProfileUrl(actor) {
+        return `${this.appUrl}/profile/${actor}`;
+    }
+
+    getPostUrl(post) {
+        const parsed = parsePostUri(post.uri);
+        return `${this.getProfileUrl(post.author?.handle || parsed?.did)}/post/${parsed?.rkey}`;
+    }
+
+    // Links a post by URI alone, e.g. from the notification history
+    getPostUrlFromUri(uri) {
+        const parsed = parsePostUri(uri);
+        return parsed ? `${this.getProfileUrl(parsed.did)}/post/${parsed.rkey}` : null;
+    }
+
+    /**
+     * Resolves a handle to its DID, then loads the profile. Resolves to
+     * { did, handle, displayName, avatar } or { error } where error is
+     * invalid, not_found or error.
+     */
+    async resolveActor(input) {
+        const actor = this.parseActorInput(input);
+        if (!/^did:[a-z]+:[\w.:%-]+$/i.test(actor) && !/^([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(actor)) {
+            return { error: 'invalid' };
+        }
+
+        try {
+            let did = actor;
+            if (!actor.startsWith('did:')) {
+                ({ did } = await this.query('com.atproto.identity.resolveHandle', { handle: actor }));
+                logger.debug(`Resolved Bluesky handle: ${actor}`, { did });
+            }
+
+            const profile = await this.query('app.bsky.actor.getProfile', { actor: did });
+            return {
+                did: profile.did,
+                handle: profile.handle,
+                displayName: profile.displayName || null,
+                avatar: profile.avatar || null
+            };
+        } catch (error) {
+            const notFound = error.response?.status === 400 &&
+                /resolve|not found|InvalidRequest|ActorNotFound/i.test(`${error.response.data?.error} ${error.response.data?.message}`);
+            logger.warn(`Could not resolve Bluesky account: ${actor}`, {
+                error: error.message,
+                status: error.response?.status,
+                response: error.response?.data
+            });
+            return { error: notFound ? 'not_found' : 'error' };
+        }
+    }
+
+    // When the feed item entered the account's feed: reposts count from the
+    // time of the repost, not of the original post
+    getItemTime(item) {
+        return Date.parse(item.reason?.indexedAt || item.post.indexedAt) || 0;
+    }
+
+    getItemId(item) {
+        return item.reason?.$type === reasonTypes.repost ? `${item.post.uri}#repost` : item.post.uri;
+    }
+
+    // Splits a post's embed view into its parts; recordWithMedia has both a quote and media
+    getEmbedParts(view) {
+        if (!view) {
+            return {};
+        }
+        if (view.$type === embedTypes.recordWithMedia) {
+            return { ...this.getEmbedParts(view.media), quote: view.record?.record };
+        }
+        return {
+            images: view.$type === embedTypes.images ? view.images : undefined,
+            video: view.$type === embedTypes.video ? view : undefined,
+            external: view.$type === embedTypes.external ? view.external : undefined,
+            quote: view.$type === embedTypes.record ? view.record : undefined
+        };
+    }
+
+    // Same kinds as tweets, see utils/postTypes
+    classifyPost(item) {
+        const { post } = item;
+        const parts = this.getEmbedParts(post.embed);
+        const parentDid = parsePostUri(post.record?.reply?.parent?.uri)?.did;
+        return {
+            repost: item.reason?.$type === reasonTypes.repost,
+            // Replies to yourself are threads, which read like regular posts
+            reply: Boolean(post.record?.reply) && parentDid !== post.author.did,
+            quote: Boolean(parts.quote),
+            mediaOnly: Boolean(parts.images?.length || parts.video) && !(post.record?.text || '').trim()
+        };
+    }
+
+    describeQuote(quote) {
+        if (!quote?.author) {
+            return { name: '💬 Quoted post', value: 'The quoted post is unavailable.' };
+        }
+        const text = quote.value?.text ? truncate(quote.value.text, quoteLength) : '*No text*';
+        return {
+            name: truncate(`💬 Quoting ${quote.author.displayName || quote.author.handle} (@${quote.author.handle})`, 256),
+            value: `${text}\n[Open quoted post](${this.getPostUrl(quote)})`
+        };
+    }
+
+    // Returns the post embed followed by one embed per extra image. Discord
+    // shows embeds that share a URL as a single gallery of up to four images.
+    createPostEmbeds(item) {
+        const { post } = item;
+        const { author } = post;
+        const postUrl = this.getPostUrl(post);
+        logger.debug('Creating Bluesky post embed', { uri: post.uri, author: author.handle });
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0085FF)
+            .setURL(postUrl)
+            .setAuthor({
+                name: truncate(`${author.displayName || author.handle} (@${author.handle})`, 256),
+                iconURL: author.avatar || undefined,
+                url: this.getProfileUrl(author.handle)
+            })
+            .setFooter({ text: 'Bluesky' });
+
+        const lines = [];
+        if (item.reason?.$type === reasonTypes.repost) {
+            lines.push(`🔁 *Reposted by ${item.reason.by.displayName || item.reason.by.handle}*`);
+        }
+        if (post.record?.text) {
+            lines.push(post.record.text);
+        }
+        if (lines.length > 0) {
+            embed.setDescription(truncate(lines.join('\n\n'), 4096));
+        }
+        const createdAt = Date.parse(post.record?.createdAt || post.indexedAt);
+        if (!Number.isNaN(createdAt)) {
+            embed.setTimestamp(createdAt);
+        }
+
+        const { images = [], video, external, quote } = this.getEmbedParts(post.embed);
+        if (quote) {
+            embed.addFields(this.describeQuote(quote));
+        }
+        if (external) {
+            embed.addFields({
+                name: truncate(`🔗 ${external.title || external.uri}`, 256),
+                value: truncate([external.description, external.uri].filter(Boolean).join('\n'), 1024)
+            });
+        }
+
+        const media = [
+            ...images.map(image => ({ label: '📷 Image', url: image.fullsize || image.thumb, alt: image.alt })),
+            ...(video?.thumbnail ? [{ label: '▶ Video', url: video.thumbnail, alt: video.alt }] : [])
+        ].filter(entry => entry.url);
+        if (media.length === 0) {
+            if (external?.thumb) {
+                embed.setImage(external.thumb);
+            }
+            return [embed];
+        }
+
+        const sensitive = (post.labels || []).some(label => sensitiveLabels.has(label.val));
+        const mediaLines = media.map((entry, index) => {
+            const name = media.length > 1 ? `${entry.label} ${index + 1}` : entry.label;
+            const altText = entry.alt ? `: ${truncate(entry.alt, 200)}` : '';
+            // Embed images can't be hidden behind a spoiler, so sensitive media
+            // is only linked, with the link spoilered
+            return sensitive ? `||[${name}](${entry.url})||${altText}` : `${name}${altText}`;
+        });
+
+        if (sensitive) {
+            embed.addFields({ name: '⚠️ Sensitive media', value: mediaLines.join('\n').slice(0, 1024) });
+            return [embed];
+        }
+        if (media.some(entry => entry.alt || entry.label !== '📷 Image')) {
+            embed.addFields({ name: 'Media', value: mediaLines.join('\n').slice(0, 1024) });
+        }
+
+        const [first, ...rest] = media.slice(0, maxGalleryImages);
+        embed.setImage(first.url);
+        return [
+            embed,
+            ...rest.map(entry => new EmbedBuilder().setURL(postUrl).setImage(entry.url))
+        ];
+    }
+
+    createOpenButton(item) {
+        const button = new ButtonBuilder()
+            .setLabel('Open in Bluesky')
+            .setStyle(ButtonStyle.Link)
+            .setURL(this.getPostUrl(item.post));
+
+        return new ActionRowBuilder().addComponents(button);
+    }
+
+    // Values for the {placeholders} in notification templates
+    getTemplateValues(item) {
+        const { post } = item;
+        const text = post.record?.text || '';
+        const createdAt = Date.parse(post.record?.createdAt || post.indexedAt);
+        return {
+            author: post.author.displayName || post.author.handle,
+            handle: post.author.handle,
+            url: this.getPostUrl(post),
+            title: text.split('\n')[0],
+            text,
+            published: Number.isNaN(createdAt) ? '' : `<t:${Math.floor(createdAt / 1000)}:f>`
+        };
+    }
+
+    // Whether a feed item is newer than the account's cursor. Items that
+    // share the cursor's time are new unless they were announced already, so
+    // posts indexed in the same millisecond are each announced once.
+    isAfterCursor(item, account) {
+        const time = this.getItemTime(item);
+        return time > account.last_seen_at ||
+            (time === account.last_seen_at && !(account.last_seen_ids || '').split(' ').includes(this.getItemId(item)));
+    }
+
+    // Feed items newer than the account's cursor, oldest first. Reads pages
+    // until it reaches the cursor; pinned posts are skipped.
+    async fetchNewFeedItems(account) {
+        const items = [];
+        let cursor;
+        for (let page = 0; page < this.maxPages; page++) {
+            const data = await this.query('app.bsky.feed.getAuthorFeed', {
+                actor: account.did,
+                limit: this.pageSize,
+                cursor
+            });
+            const feed = data.feed || [];
+            const unpinned = feed.filter(item => item.reason?.$type !== reasonTypes.pin);
+            items.push(...unpinned.filter(item => this.isAfterCursor(item, account)));
+
+            // The feed is newest first, so an item that isn't new means the cursor was reached
+            const reachedCursor = unpinned.some(item => !this.isAfterCursor(item, account));
+            if (reachedCursor || !data.cursor || feed.length === 0) {
+                break;
+            }
+            cursor = data.cursor;
+            if (page === this.maxPages - 1) {
+                logger.warn(`Stopped after ${this.maxPages} pages of new posts for ${account.handle}`, {
+                    did: account.did
+                });
+            }
+        }
+
+        const seen = new Set();
+        return items
+            .filter(item => !seen.has(this.getItemId(item)) && seen.add(this.getItemId(item)))
+            .sort((a, b) => this.getItemTime(a) - this.getItemTime(b));
+    }
+
+    async checkNewPosts() {
+        logger.info('Starting Bluesky posts check');
+        const accounts = await getAllBlueskyAccounts();
+        const results = [];
+
+        for (const account of accounts) {
+            if (this.getRateLimitInfo().limited) {
+                logger.info('Bluesky rate limited, leaving the other accounts for the next check', {
+                    resetAt: new Date(this.rateLimitedUntil).toISOString()
+                });
+                break;
+            }
+
+            try {
+                const items = await this.fetchNewFeedItems(account);
+
+                // Keep the stored handle current; posts carry the author's profile
+                const own = items.find(item => item.post.author.did === account.did)?.post.author;
+                if (own && (own.handle !== account.handle || (own.displayName || null) !== account.display_name)) {
+                    logger.info(`Bluesky profile changed: ${account.handle} -> ${own.handle}`, { did: account.did });
+                    await updateBlueskyProfile(account.did, own.handle, own.displayName || null);
+                }
+
+                if (items.length > 0) {
+                    logger.info(`Found ${items.length} new Bluesky posts for ${account.handle}`, {
+                        posts: items.map(item => this.getItemId(item))
+                    });
+                    results.push({ account, items });
+                }
+            } catch (error) {
+                logger.error(`Error checking Bluesky account: ${account.handle}`, {
+                    error: error.message,
+                    status: error.response?.status,
+                    response: error.response?.data,
+                    did: account.did
+                });
+            }
+        }
+
+        logger.info(`Bluesky check completed. Found new posts for ${results.length} accounts`, {
+            accounts: accounts.length
+        });
+        return results;
+    }
+
+    /**
+     * Moves each account's cursor to its newest queued item. Called after the
+     * items have been queued for delivery, so a crash in between means they
+     * are fetched (and deduplicated) again rather than lost.
+     */
+    async advanceCursors(items) {
+        const latest = new Map();
+        for (const { did, feedItem } of items) {
+            const time = this.getItemTime(feedItem);
+            const current = latest.get(did);
+            if (!current || time > current.time) {
+                latest.set(did, { time, itemIds: [this.getItemId(feedItem)] });
+            } else if (time === current.time) {
+                current.itemIds.push(this.getItemId(feedItem));
+            }
+        }
+
+        for (const [did, { time, itemIds }] of latest) {
+            await updateBlueskyCursor(did, time, itemIds);
+        }
+    }
+}
+
+module.exports = new BlueskyIntegration();
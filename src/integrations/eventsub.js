@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getAllTwitchChannels, getTwitchChannel } = require('../sources/twitch/store');
+const twitchIntegration = require('./twitch');
+const { registerRoute } = require('../server/httpServer');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('twitch');
+
+const subscriptionTypes = ['stream.online', 'stream.offline'];
+const maxMessageAge = 600000; // Twitch asks to drop messages older than 10 minutes
+const seenMessageLimit = 1000;
+// Twitch revokes subscriptions whose callback kept failing, e.g. while we were down
+const resubscribeDelay = 60000;
+
+/**
+ * Receives Twitch stream.online and stream.offline events through EventSub
+ * webhooks. Every tracked channel is subscribed for both, and Twitch calls
+ * our HTTP server when a channel goes live or offline.
+ * Emits `stream` with `{ type, userId }` for every notification.
+ */
+class TwitchEventSub extends EventEmitter {
+    constructor() {
+        super();
+        this.callbackUrl = process.env.TWITCH_EVENTSUB_CALLBACK_URL;
+        // Without a configured secret every restart gets a new one, so all subscriptions are recreated at startup
+        this.secretConfigured = Boolean(process.env.TWITCH_EVENTSUB_SECRET);
+        this.secret = process.env.TWITCH_EVENTSUB_SECRET || crypto.randomBytes(32).toString('hex');
+        // Twitch retries deliveries, the same message can arrive more than once
+        this.seenMessageIds = new Set();
+        this.routesRegistered = false;
+    }
+
+    isEnabled() {
+        return Boolean(this.callbackUrl) && twitchIntegration.isConfigured();
+    }
+
+    registerRoutes() {
+        if (this.routesRegistered) {
+            return;
+        }
+        const callbackPath = new URL(this.callbackUrl).pathname;
+        registerRoute('POST', callbackPath, (req, res, context) => this.handleRequest(req, res, context));
+        this.routesRegistered = true;
+    }
+
+    // Our subscriptions, optionally only those of one channel
+    async listSubscriptions(userId = null) {
+        const subscriptions = [];
+        let cursor;
+        do {
+            const response = await twitchIntegration.request('get', '/eventsub/subscriptions', {
+                params: { user_id: userId || undefined, after: cursor }
+            });
+            subscriptions.push(...response.data.filter(sub => sub.transport?.callback === this.callbackUrl));
+            cursor = response.pagination?.cursor;
+        } while (cursor);
+        return subscriptions;
+    }
+
+    async start() {
+        logger.info('Starting Twitch EventSub subscriptions', {
+            callbackUrl: this.callbackUrl
+        });
+
+        const channels = await getAllTwitchChannels();
+        const tracked = new Set(channels.map(channel => channel.user_id));
+        const existing = await this.listSubscriptions();
+
+        // Subscriptions signed with an old secret, failed ones and ones for
+        // channels no longer tracked are replaced or dropped
+        const active = new Set();
+        for (const sub of existing) {
+            const userId = sub.condition.broadcaster_user_id;
+            const usable = this.secretConfigured && tracked.has(userId) &&
+                ['enabled', 'webhook_callback_verification_pending'].includes(sub.status);
+            if (usable) {
+                active.add(`${userId}:${sub.type}`);
+            } else {
+                await this.deleteSubscription(sub);
+            }
+        }
+
+        for (const channel of channels) {
+            const missing = subscriptionTypes.filter(type => !active.has(`${channel.user_id}:${type}`));
+            if (missing.length > 0) {
+                await this.subscribe(channel.user_id, missing);
+            }
+        }
+    }
+
+    async subscribe(userId, types = subscriptionTypes) {
+        for (const type of types) {
+            try {
+                logger.debug(`Creating EventSub ${type} subscription for Twitch channel: ${userId}`);
+                await twitchIntegration.request('post', '/eventsub/subscriptions', {
+                    data: {
+                        type,
+                        version: '1',
+                        condition: { broadcaster_user_id: userId },
+                        transport: {
+                            method: 'webhook',
+                            callback: this.callbackUrl,
+                            secret: this.secret
+                        }
+                    }
+                });
+                logger.info(`EventSub ${type} subscription requested for Twitch channel: ${userId}`);
+            } catch (error) {
+                // 409: the subscription exists already
+                if (error.response?.status === 409) {
+                    logger.debug(`EventSub ${type} subscription already exists for Twitch channel: ${userId}`);
+                    continue;
+                }
+                logger.error(`EventSub ${type} subscription failed for Twitch channel: ${userId}`, {
+                    error: error.message,
+                    status: error.response?.status,
+                    response: error.response?.data
+                });
+            }
+        }
+    }
+
+    // Replaces a revoked subscription, unless the channel was removed meanwhile.
+    // Polling keeps covering the channel if Twitch refuses.
+    async resubscribe(userId, type) {
+        try {
+            if (!await getTwitchChannel(userId)) {
+                return;
+            }
+            logger.info(`Resubscribing to revoked EventSub ${type} for Twitch channel: ${userId}`);
+            await this.subscribe(userId, [type]);
+        } catch (error) {
+            logger.error(`Could not resubscribe to EventSub ${type} for Twitch channel: ${userId}`, {
+                error: error.message
+            });
+        }
+    }
+
+    async deleteSubscription(sub) {
+        try {
+            await twitchIntegration.request('delete', '/eventsub/subscriptions', { params: { id: sub.id } });
+            logger.info(`Deleted EventSub ${sub.type} subscription for Twitch channel: ${sub.condition.broadcaster_user_id}`, {
+                status: sub.status
+            });
+        } catch (error) {
+            logger.error(`Could not delete EventSub subscription: ${sub.id}`, {
+                error: error.message,
+                status: error.response?.status,
+                response: error.response?.data
+            });
+        }
+    }
+
+    async unsubscribe(userId) {
+        try {
+            for (const sub of await this.listSubscriptions(userId)) {
+                await this.deleteSubscription(sub);
+            }
+        } catch (error) {
+            logger.error(`Could not list EventSub subscriptions for Twitch channel: ${userId}`, {
+                error: error.message,
+                status: error.response?.status
+            });
+        }
+    }
+
+    // HMAC-SHA256 over the message ID, timestamp and raw body
+    verifySignature(req, body) {
+        const messageId = req.headers['twitch-eventsub-message-id'];
+        const timestamp = req.headers['twitch-eventsub-message-timestamp'];
+        const signature = req.headers['twitch-eventsub-message-signature'];
+        if (!messageId || !timestamp || !signature?.startsWith('sha256=')) {
+            return false;
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret)
+            .update(messageId + timestamp)
+            .update(body)
+            .digest();
+        const received = Buffer.from(signature.slice('sha256='.length), 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    async handleRequest(req, res, { body }) {
+        if (!this.verifySignature(req, body)) {
+            logger.warn('Rejecting EventSub message with invalid signature', {
+                messageId: req.headers['twitch-eventsub-message-id']
+            });
+            res.writeHead(403).end();
+            return;
+        }
+
+        const messageId = req.headers['twitch-eventsub-message-id'];
+        const messageType = req.headers['twitch-eventsub-message-type'];
+        const age = Date.now() - Date.parse(req.headers['twitch-eventsub-message-timestamp']);
+        if (this.seenMessageIds.has(messageId) || !(age < maxMessageAge)) {
+            logger.debug(`Ignoring repeated or stale EventSub message: ${messageId}`, { age });
+            res.writeHead(204).end();
+            return;
+        }
+        this.seenMessageIds.add(messageId);
+        if (this.seenMessageIds.size > seenMessageLimit) {
+            this.seenMessageIds.delete(this.seenMessageIds.values().next().value);
+        }
+
+        let message;
+        try {
+            message = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            logger.warn('Ignoring EventSub message that is not JSON', { messageId });
+            res.writeHead(400).end();
+            return;
+        }
+
+        const { subscription, event, challenge } = message;
+        const userId = subscription?.condition?.broadcaster_user_id;
+
+        switch (messageType) {
+            case 'webhook_callback_verification': {
+                // Only confirm subscriptions for channels we track
+                if (!await getTwitchChannel(userId)) {
+                    logger.warn(`Rejecting EventSub verification for untracked Twitch channel: ${userId}`, {
+                        type: subscription?.type
+                    });
+                    res.writeHead(404).end();
+                    return;
+                }
+                logger.info(`Verified EventSub ${subscription.type} subscription for Twitch channel: ${userId}`);
+                res.writeHead(200, { 'Content-Type': 'text/plain' }).end(challenge);
+                return;
+            }
+            case 'notification': {
+                res.writeHead(204).end();
+                const type = subscription.type === 'stream.online' ? 'online' : 'offline';
+                logger.info(`Received EventSub ${subscription.type} for Twitch channel: ${event?.broadcaster_user_login}`, {
+                    userId,
+                    streamId: event?.id
+                });
+                this.emit('stream', { type, userId });
+                return;
+            }
+            case 'revocation': {
+                res.writeHead(204).end();
+                logger.warn(`EventSub ${subscription?.type} subscription revoked for Twitch channel: ${userId}`, {
+                    status: subscription?.status
+                });
+                if (subscriptionTypes.includes(subscription?.type)) {
+                    setTimeout(() => this.resubscribe(userId, subscription.type), resubscribeDelay);
+                }
+                return;
+            }
+            default: {
+                logger.debug(`Ignoring EventSub message type: ${messageType}`);
+                res.writeHead(204).end();
+            }
+        }
+    }
+}
+
+module.exports = new TwitchEventSub();
@@ -0,0 +1,386 @@
+const axios = require('axios');
+const { EmbedBuilder } = require('discord.js');
+const { XMLParser } = require('fast-xml-parser');
+const {
+    getAllRssFeeds,
+    updateRssFeedState,
+    getSeenFeedEntryIds,
+    markFeedEntriesSeen,
+    pruneFeedEntries
+} = require('../sources/rss/store');
+const { getPublicUrl } = require('../utils/network');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('rss');
+
+const summaryLength = 300;
+
+// A feed that suddenly lists many unseen entries (a new GUID scheme, a
+// restored backup) only gets its newest few announced
+const maxEntriesPerCheck = 5;
+
+const htmlEntities = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+};
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return htmlEntities[entity.toLowerCase()] ?? match;
+});
+
+// Feed summaries are usually HTML; embeds get plain text
+const htmlToText = (html) => decodeEntities(
+    html.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+).replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+const truncate = (value, maxLength) => value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+// Elements can be plain text, or objects when they carry attributes
+const getText = (node) => {
+    if (node === undefined || node === null) {
+        return '';
+    }
+    if (typeof node === 'object') {
+        return String(node['#text'] ?? '').trim();
+    }
+    return String(node).trim();
+};
+
+const asArray = (value) => value === undefined || value === null ? [] : [].concat(value);
+
+// Atom links are elements with rel and href attributes
+const getAtomLink = (links, rel = 'alternate') => {
+    const link = asArray(links).find(item => typeof item === 'object' && (item['@_rel'] || 'alternate') === rel);
+    return link?.['@_href'] || '';
+};
+
+const parseTime = (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+// The first image of an entry: enclosures and media elements, else the first <img> in its HTML
+const findImage = (item, html) => {
+    const candidates = [
+        ...asArray(item.enclosure).filter(enclosure => String(enclosure['@_type'] || '').startsWith('image/')),
+        ...asArray(item['media:content']).filter(media => !media['@_medium'] || media['@_medium'] === 'image'),
+        ...asArray(item['media:thumbnail']),
+        ...asArray(item['media:group']?.['media:thumbnail'])
+    ].map(media => media['@_url']);
+    const inline = /<img[^>]+src=["']([^"']+)["']/i.exec(html)?.[1];
+    return [...candidates, inline && decodeEntities(inline)].find(isHttpUrl) || null;
+};
+
+class RssIntegration {
+    constructor() {
+        logger.info('Initializing RSS integration');
+        this.parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@_',
+            parseTagValue: false
+        });
+        this.http = axios.create({
+            timeout: 15000,
+            maxContentLength: 5 * 1024 * 1024,
+            responseType: 'text',
+            headers: {
+                'User-Agent': 'discord-social-bot (RSS reader)',
+                Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5'
+            },
+            validateStatus: (status) => status === 304 || (status >= 200 && status < 300)
+        });
+        // Feed URLs come from users, so by default only public addresses are
+        // fetched. Self-hosted setups can allow feeds on their own network.
+        this.allowPrivateNetworks = process.env.RSS_ALLOW_PRIVATE_NETWORKS === 'true';
+    }
+
+    // Resolves to { response, url } with the URL that finally answered
+    async get(url, headers = {}) {
+        if (this.allowPrivateNetworks) {
+            return { response: await this.http.get(url, { headers }), url };
+        }
+        return getPublicUrl(this.http, url, { headers });
+    }
+
+    // Reads an RSS 2.0, RSS 1.0 (RDF) or Atom document. Returns null when the
+    // document is not a feed.
+    parseFeed(xml) {
+        const document = this.parser.parse(xml);
+
+        if (document?.rss?.channel || document?.['rdf:RDF']) {
+            const channel = document.rss?.channel || document['rdf:RDF'].channel || {};
+            const items = asArray(document.rss ? channel.item : document['rdf:RDF'].item);
+            return {
+                title: htmlToText(getText(channel.title)),
+                siteUrl: getText(channel.link) || getAtomLink(channel['atom:link']),
+                entries: items.map(item => this.parseRssItem(item))
+            };
+        }
+
+        if (document?.feed) {
+            const { feed } = document;
+            return {
+                title: htmlToText(getText(feed.title)),
+                siteUrl: getAtomLink(feed.link),
+                entries: asArray(feed.entry).map(entry => this.parseAtomEntry(entry, feed))
+            };
+        }
+
+        return null;
+    }
+
+    parseRssItem(item) {
+        const link = getText(item.link);
+        const guid = getText(item.guid);
+        const html = getText(item['content:encoded']) || getText(item.description);
+        return {
+            id: guid || link,
+            link: isHttpUrl(link) ? link : (isHttpUrl(guid) ? guid : ''),
+            title: htmlToText(getText(item.title)),
+            summary: htmlToText(getText(item.description) || html),
+            author: getText(item['dc:creator']) || getText(item.author),
+            image: findImage(item, html),
+            published: parseTime(getText(item.pubDate) || getText(item['dc:date']))
+        };
+    }
+
+    parseAtomEntry(entry, feed) {
+        const link = getAtomLink(entry.link);
+        const html = getText(entry.content) || getText(entry.summary);
+        const author = asArray(entry.author)[0] || asArray(feed.author)[0];
+        return {
+            id: getText(entry.id) || link,
+            link,
+            title: htmlToText(getText(entry.title)),
+            summary: htmlToText(getText(entry.summary) || html),
+            author: getText(author?.name),
+            image: findImage(entry, html),
+            published: parseTime(getText(entry.published) || getText(entry.updated))
+        };
+    }
+
+    // Web pages usually advertise their feed in a <link rel="alternate">
+    findFeedLink(html, pageUrl) {
+        const tags = html.match(/<link\b[^>]*>/gi) || [];
+        const tag = tags.find(link => /rel=["']?alternate/i.test(link) &&
+            /type=["']?application\/(rss|atom)\+xml/i.test(link));
+        const href = tag && /href=["']([^"']+)["']/i.exec(tag)?.[1];
+        return href ? new URL(decodeEntities(href), pageUrl).href : null;
+    }
+
+    /**
+     * Fetches a feed, conditional on the validators of the last response.
+     * Resolves to null when the feed hasn't changed (304 Not Modified).
+     */
+    async fetchFeed(feedUrl, { etag = null, lastModified = null } = {}) {
+        const headers = {};
+        if (etag) {
+            headers['If-None-Match'] = etag;
+        }
+        if (lastModified) {
+            headers['If-Modified-Since'] = lastModified;
+        }
+
+        const { response, url } = await this.get(feedUrl, headers);
+        if (response.status === 304) {
+            logger.debug(`RSS feed not modified: ${feedUrl}`);
+            return null;
+        }
+
+        const feed = this.parseFeed(response.data);
+        if (!feed) {
+            const error = new Error(`Not an RSS or Atom feed: ${feedUrl}`);
+            error.code = 'NOT_A_FEED';
+            error.body = response.data;
+            error.url = url;
+            throw error;
+        }
+
+        return {
+            ...feed,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null
+        };
+    }
+
+    // Looks up what a user typed for /rss add. Page URLs are followed to the
+    // feed they advertise. Resolves to { error } when there is no feed.
+    async resolveFeed(input) {
+        const url = input.trim();
+        if (!isHttpUrl(url)) {
+            return { error: 'Give the full http(s) URL of the feed or of a page that links to it.' };
+        }
+
+        try {
+            return { feedUrl: url, feed: await this.fetchFeed(url) };
+        } catch (error) {
+            const feedUrl = error.code === 'NOT_A_FEED' && this.findFeedLink(String(error.body), error.url);
+            if (feedUrl) {
+                try {
+                    logger.info(`Found feed link on page: ${url}`, { feedUrl });
+                    return { feedUrl, feed: await this.fetchFeed(feedUrl) };
+                } catch (feedError) {
+                    error = feedError;
+                }
+            }
+
+            logger.warn(`Could not resolve RSS feed: ${url}`, {
+                error: error.message,
+                code: error.code,
+                status: error.response?.status
+            });
+            // Stay vague about why a URL couldn't be loaded, so /rss add can't
+            // be used to probe which hosts and ports answer
+            const errors = {
+                NOT_A_FEED: `${url} is not an RSS or Atom feed, and the page doesn't link to one.`,
+                NON_PUBLIC_ADDRESS: `${url} is not on a public address.`
+            };
+            return { error: errors[error.code] || `${url} could not be loaded. Please check the URL.` };
+        }
+    }
+
+    createEntryEmbed(entry, feed) {
+        logger.debug('Creating RSS entry embed', {
+            feedUrl: feed.feed_url,
+            entryId: entry.id
+        });
+
+        const embed = new EmbedBuilder()
+            .setAuthor({
+                name: truncate(entry.author || feed.title || feed.feed_url, 256),
+                url: isHttpUrl(feed.site_url) ? feed.site_url : undefined
+            })
+            .setTitle(truncate(entry.title || 'Untitled', 256))
+            .setColor(0xF26522);
+
+        if (entry.link) {
+            embed.setURL(entry.link);
+        }
+        if (entry.summary) {
+            embed.setDescription(truncate(entry.summary, summaryLength));
+        }
+        if (entry.image) {
+            embed.setImage(entry.image);
+        }
+        if (entry.published) {
+            embed.setTimestamp(entry.published);
+        }
+        return embed;
+    }
+
+    // Values for the {placeholders} in notification templates
+    getTemplateValues(entry, feed) {
+        const title = feed.title || feed.feed_url;
+        return {
+            author: entry.author || title,
+            handle: title,
+            url: entry.link || feed.site_url || feed.feed_url,
+            title: entry.title,
+            text: entry.summary,
+            published: entry.published ? `<t:${Math.floor(entry.published / 1000)}:f>` : ''
+        };
+    }
+
+    // Unseen entries of one feed, oldest first. Returns null when the feed hasn't changed.
+    async checkFeed(feedRow) {
+        const feed = await this.fetchFeed(feedRow.feed_url, {
+            etag: feedRow.etag,
+            lastModified: feedRow.last_modified
+        });
+        if (!feed) {
+            return null;
+        }
+
+        const entries = feed.entries.filter(entry => entry.id);
+        // An empty document is more likely a broken feed than one that was cleared
+        if (entries.length > 0) {
+            await pruneFeedEntries(feedRow.feed_url, entries.map(entry => entry.id));
+        }
+        const seen = await getSeenFeedEntryIds(feedRow.feed_url, entries.map(entry => entry.id));
+        const unseen = entries
+            .filter((entry, index) => !seen.has(entry.id) && entries.findIndex(other => other.id === entry.id) === index);
+        // Feeds list their newest entries first. Dated entries are sorted by
+        // date; without dates the document order is reversed instead.
+        if (unseen.every(entry => entry.published)) {
+            unseen.sort((a, b) => a.published - b.published);
+        } else {
+            unseen.reverse();
+        }
+
+        const skipped = unseen.slice(0, -maxEntriesPerCheck);
+        if (skipped.length > 0) {
+            logger.warn(`Skipping ${skipped.length} older unseen entries of RSS feed: ${feedRow.feed_url}`, {
+                announced: maxEntriesPerCheck
+            });
+            await markFeedEntriesSeen(feedRow.feed_url, skipped.map(entry => entry.id));
+        }
+
+        return { feed, entries: unseen.slice(-maxEntriesPerCheck) };
+    }
+
+    /**
+     * Checks every tracked feed. The feed state (validators, title) of a feed
+     * with new entries is returned rather than stored: it is saved together
+     * with the entries once they are queued, so a failure refetches them.
+     */
+    async checkNewEntries() {
+        logger.info('Starting RSS feeds check');
+        const feeds = await getAllRssFeeds();
+        const results = [];
+
+        for (const feedRow of feeds) {
+            try {
+                const result = await this.checkFeed(feedRow);
+                if (!result) {
+                    await updateRssFeedState(feedRow.feed_url, { etag: feedRow.etag, lastModified: feedRow.last_modified });
+                    continue;
+                }
+
+                const { feed, entries } = result;
+                const state = {
+                    title: feed.title || null,
+                    siteUrl: feed.siteUrl || null,
+                    etag: feed.etag,
+                    lastModified: feed.lastModified
+                };
+                if (entries.length === 0) {
+                    await updateRssFeedState(feedRow.feed_url, state);
+                    continue;
+                }
+
+                logger.info(`Found ${entries.length} new entries in RSS feed: ${feed.title || feedRow.feed_url}`, {
+                    entries: entries.map(entry => entry.id)
+                });
+                results.push({
+                    feed: { ...feedRow, title: state.title || feedRow.title, site_url: state.siteUrl || feedRow.site_url },
+                    entries,
+                    state
+                });
+            } catch (error) {
+                logger.warn(`Error checking RSS feed: ${feedRow.feed_url}`, {
+                    error: error.message,
+                    status: error.response?.status
+                });
+            }
+        }
+
+        logger.info(`RSS check completed. Found new entries in ${results.length} feeds`, {
+            feeds: feeds.length
+        });
+        return results;
+    }
+}
+
+module.exports = new RssIntegration();
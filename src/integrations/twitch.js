@@ -0,0 +1,408 @@
+const axios = require('axios');
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const {
+    getAllTwitchChannels,
+    updateTwitchProfile,
+    setTwitchStreamOnline
+} = require('../sources/twitch/store');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('twitch');
+
+// Helix takes up to 100 user IDs per request
+const batchSize = 100;
+
+const formatStreamDuration = (ms) => {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// VOD durations look like 3h8m33s
+const parseVodDuration = (duration) => {
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(duration || '');
+    if (!match) {
+        return null;
+    }
+    const [hours, minutes, seconds] = match.slice(1).map(part => parseInt(part, 10) || 0);
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+};
+
+class TwitchIntegration {
+    constructor() {
+        logger.info('Initializing Twitch integration');
+        this.clientId = process.env.TWITCH_CLIENT_ID;
+        this.clientSecret = process.env.TWITCH_CLIENT_SECRET;
+        // Both can point at a local stand-in for testing
+        this.authUrl = (process.env.TWITCH_AUTH_URL || 'https://id.twitch.tv/oauth2').replace(/\/+$/, '');
+        this.api = axios.create({
+            baseURL: (process.env.TWITCH_API_URL || 'https://api.twitch.tv/helix').replace(/\/+$/, ''),
+            timeout: 10000,
+            // Helix repeats parameters for lists: ?user_id=1&user_id=2
+            paramsSerializer: { indexes: null }
+        });
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+        this.rateLimitedUntil = 0;
+        logger.debug('Twitch API client created', {
+            configured: this.isConfigured(),
+            baseURL: this.api.defaults.baseURL
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.clientId && this.clientSecret);
+    }
+
+    getRateLimitInfo() {
+        return {
+            limited: Date.now() < this.rateLimitedUntil,
+            resetAt: this.rateLimitedUntil || null
+        };
+    }
+
+    // App access token from the client credentials flow, renewed shortly before it expires
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+            return this.accessToken;
+        }
+
+        logger.info('Requesting Twitch app access token');
+        const response = await axios.post(`${this.authUrl}/token`, null, {
+            params: {
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                grant_type: 'client_credentials'
+            },
+            timeout: 10000
+        });
+        this.accessToken = response.data.access_token;
+        this.tokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+        logger.debug('Received Twitch app access token', {
+            expiresAt: new Date(this.tokenExpiresAt).toISOString()
+        });
+        return this.accessToken;
+    }
+
+    /**
+     * Helix request with the app access token. A token Twitch no longer
+     * accepts is renewed once; a 429 pauses requests until the reset Twitch
+     * announced.
+     */
+    async request(method, url, { params, data } = {}, retried = false) {
+        try {
+            const response = await this.api.request({
+                method,
+                url,
+                params,
+                data,
+                headers: {
+                    'Client-Id': this.clientId,
+                    Authorization: `Bearer ${await this.getAccessToken()}`
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 401 && !retried) {
+                logger.warn('Twitch rejected the app access token, requesting a new one');
+                this.accessToken = null;
+                return this.request(method, url, { params, data }, true);
+            }
+            if (error.response?.status === 429) {
+                const reset = parseInt(error.response.headers['ratelimit-reset'] || '0', 10) * 1000;
+                this.rateLimitedUntil = reset > Date.now() ? reset : Date.now() + 60000;
+                logger.warn('Twitch rate limit reached', {
+                    url,
+                    resetAt: new Date(this.rateLimitedUntil).toISOString()
+                });
+            }
+            throw error;
+        }
+    }
+
+    // Accepts a login, @login or twitch.tv URL
+    parseLoginInput(input) {
+        const value = input.trim();
+        const url = /twitch\.tv\/([^/?#]+)/i.exec(value);
+        return (url ? url[1] : value).replace(/^@/, '').toLowerCase();
+    }
+
+    getChannelUrl(login) {
+        return `https://www.twitch.tv/${login}`;
+    }
+
+    /**
+     * Looks up a channel by login. Resolves to { user } or { error } where
+     * error is invalid, not_found or error.
+     */
+    async lookupUser(input) {
+        const login = this.parseLoginInput(input);
+        if (!/^\w{1,25}$/.test(login)) {
+            return { error: 'invalid' };
+        }
+
+        try {
+            const { data } = await this.request('get', '/users', { params: { login } });
+            if (!data?.length) {
+                logger.info(`Twitch user not found: ${login}`);
+                return { error: 'not_found' };
+            }
+            return { user: data[0] };
+        } catch (error) {
+            logger.error(`Error looking up Twitch user: ${login}`, {
+                error: error.message,
+                status: error.response?.status,
+                response: error.response?.data
+            });
+            return { error: 'error' };
+        }
+    }
+
+    async getUsers(userIds) {
+        const users = [];
+        for (let i = 0; i < userIds.length; i += batchSize) {
+            const { data } = await this.request('get', '/users', { params: { id: userIds.slice(i, i + batchSize) } });
+            users.push(...data);
+        }
+        return users;
+    }
+
+    // Live streams by user ID; channels that are offline are missing
+    async getStreams(userIds) {
+        const streams = new Map();
+        for (let i = 0; i < userIds.length; i += batchSize) {
+            const { data } = await this.request('get', '/streams', {
+                params: { user_id: userIds.slice(i, i + batchSize), type: 'live', first: batchSize }
+            });
+            for (const stream of data) {
+                streams.set(stream.user_id, stream);
+            }
+        }
+        return streams;
+    }
+
+    // The VOD of a broadcast, if the channel saves past broadcasts
+    async findVod(userId, streamId) {
+        try {
+            const { data } = await this.request('get', '/videos', {
+                params: { user_id: userId, type: 'archive', first: 5 }
+            });
+            return data.find(video => video.stream_id === streamId) || null;
+        } catch (error) {
+            logger.warn(`Could not look up VOD for Twitch stream: ${streamId}`, {
+                error: error.message,
+                status: error.response?.status,
+                userId
+            });
+            return null;
+        }
+    }
+
+    // Stream thumbnails are templates; the start time keeps Discord from
+    // showing a cached picture of an earlier stream
+    getThumbnailUrl(template, cacheKey) {
+        if (!template) {
+            return null;
+        }
+        const url = template.replace(/%?\{width\}/, '1280').replace(/%?\{height\}/, '720');
+        return cacheKey ? `${url}?t=${cacheKey}` : url;
+    }
+
+    /**
+     * Going-live embed, or with `ended` the same stream once it is over:
+     * how long it lasted and, when the channel keeps VODs, a link to it.
+     * `stream` is a Helix stream, or the stored stream columns of the
+     * channel for an ended stream.
+     */
+    createStreamEmbed(channel, stream, { ended = null, vod = null } = {}) {
+        logger.debug('Creating Twitch stream embed', {
+            userId: channel.user_id,
+            streamId: stream.id,
+            ended: Boolean(ended)
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(ended ? '#808080' : '#9146FF')
+            .setTitle(stream.title || `${channel.display_name || channel.login} is live`)
+            .setURL(ended && vod ? vod.url : this.getChannelUrl(channel.login))
+            .setAuthor({
+                name: channel.display_name || channel.login,
+                iconURL: channel.profile_image_url || undefined,
+                url: this.getChannelUrl(channel.login)
+            })
+            .setFooter({ text: 'Twitch' })
+            .setTimestamp(new Date(stream.startedAt));
+
+        if (stream.game) {
+            embed.addFields({ name: '🎮 Playing', value: stream.game, inline: true });
+        }
+
+        if (ended) {
+            embed.addFields({
+                name: 'Stream ended',
+                value: `Lasted ${formatStreamDuration(ended.duration)}, ended <t:${Math.floor(ended.endedAt / 1000)}:R>`,
+                inline: true
+            });
+            if (vod) {
+                embed.addFields({ name: '📼 VOD', value: `[Watch the broadcast](${vod.url})` });
+            }
+            const thumbnail = this.getThumbnailUrl(vod?.thumbnail_url);
+            if (thumbnail) {
+                embed.setImage(thumbnail);
+            }
+        } else {
+            embed.addFields({
+                name: '🔴 Live',
+                value: [
+                    `Started <t:${Math.floor(stream.startedAt / 1000)}:R>`,
+                    stream.viewers ? `${Number(stream.viewers).toLocaleString('en-US')} watching` : null
+                ].filter(Boolean).join(' · '),
+                inline: true
+            });
+            embed.setImage(this.getThumbnailUrl(stream.thumbnailUrl, stream.startedAt));
+        }
+
+        return embed;
+    }
+
+    createWatchButton(url, label = 'Watch on Twitch') {
+        const button = new ButtonBuilder()
+            .setLabel(label)
+            .setStyle(ButtonStyle.Link)
+            .setURL(url);
+
+        return new ActionRowBuilder().addComponents(button);
+    }
+
+    // Values for the {placeholders} in notification templates
+    getTemplateValues(channel, stream) {
+        return {
+            author: channel.display_name || channel.login,
+            handle: channel.login,
+            url: this.getChannelUrl(channel.login),
+            title: stream.title,
+            text: stream.title,
+            game: stream.game || '',
+            published: `<t:${Math.floor(stream.startedAt / 1000)}:f>`,
+            start: `<t:${Math.floor(stream.startedAt / 1000)}:R>`
+        };
+    }
+
+    // The fields of a Helix stream the notifications use
+    toStream(stream) {
+        return {
+            id: stream.id,
+            title: stream.title,
+            game: stream.game_name || null,
+            startedAt: Date.parse(stream.started_at) || Date.now(),
+            viewers: stream.viewer_count,
+            thumbnailUrl: stream.thumbnail_url
+        };
+    }
+
+    // Keeps the stored login and profile current, the stream lists carry them
+    async refreshProfiles(channels) {
+        const users = await this.getUsers(channels.map(channel => channel.user_id));
+        for (const user of users) {
+            const channel = channels.find(row => row.user_id === user.id);
+            if (channel && (channel.login !== user.login || channel.display_name !== user.display_name ||
+                channel.profile_image_url !== user.profile_image_url)) {
+                logger.info(`Twitch profile changed: ${channel.login} -> ${user.login}`, { userId: user.id });
+                await updateTwitchProfile(user.id, user.login, user.display_name, user.profile_image_url);
+                Object.assign(channel, {
+                    login: user.login,
+                    display_name: user.display_name,
+                    profile_image_url: user.profile_image_url
+                });
+            }
+        }
+    }
+
+    /**
+     * Compares the channels' live streams with the stored state. Returns
+     * `live` events for streams that started (recorded once they are queued),
+     * `ended` events for announced streams that are over (recorded once their
+     * messages' edit is stored) and `resumed` events for streams back after a
+     * gap (recorded right away).
+     * Checks every tracked channel, or only `userIds`, e.g. after an EventSub
+     * notification.
+     */
+    async checkStreams(userIds = null) {
+        const channels = (await getAllTwitchChannels())
+            .filter(channel => !userIds || userIds.includes(channel.user_id));
+        if (channels.length === 0) {
+            return [];
+        }
+
+        logger.info(`Checking ${channels.length} Twitch channels`);
+        const streams = await this.getStreams(channels.map(channel => channel.user_id));
+        const events = [];
+
+        // Only channels that went live need their profile for the embed
+        const started = channels.filter(channel => streams.get(channel.user_id) &&
+            streams.get(channel.user_id).id !== channel.stream_id);
+        if (started.length > 0) {
+            await this.refreshProfiles(started).catch(error => {
+                logger.warn('Could not refresh Twitch profiles', {
+                    error: error.message,
+                    status: error.response?.status
+                });
+            });
+        }
+
+        for (const channel of channels) {
+            const stream = streams.get(channel.user_id);
+
+            // Over, or replaced by a new broadcast between two checks
+            if (channel.live && channel.stream_id !== stream?.id) {
+                const endedAt = Date.now();
+                const vod = await this.findVod(channel.user_id, channel.stream_id);
+                const duration = parseVodDuration(vod?.duration) ?? endedAt - channel.stream_started_at;
+                logger.info(`Twitch stream ended: ${channel.login}`, {
+                    streamId: channel.stream_id,
+                    vod: vod?.url
+                });
+                events.push({
+                    type: 'ended',
+                    channel,
+                    stream: {
+                        id: channel.stream_id,
+                        itemId: channel.stream_item_id,
+                        title: channel.stream_title,
+                        game: channel.stream_game,
+                        startedAt: channel.stream_started_at
+                    },
+                    ended: { endedAt: channel.stream_started_at + duration, duration },
+                    vod
+                });
+            }
+
+            if (stream && stream.id !== channel.stream_id) {
+                logger.info(`Twitch channel went live: ${channel.login}`, {
+                    streamId: stream.id,
+                    title: stream.title,
+                    game: stream.game_name
+                });
+                events.push({ type: 'live', channel, stream: this.toStream(stream) });
+            } else if (stream && !channel.live) {
+                // The same broadcast back after a gap in the stream list; it
+                // was announced already, so it's only marked live again
+                logger.info(`Twitch stream is live again: ${channel.login}`, { streamId: stream.id });
+                const resumed = this.toStream(stream);
+                await setTwitchStreamOnline(channel.user_id, {
+                    ...resumed,
+                    streamId: resumed.id,
+                    itemId: channel.stream_item_id
+                });
+                events.push({ type: 'resumed', channel, stream: { ...resumed, itemId: channel.stream_item_id } });
+            }
+        }
+
+        logger.info(`Twitch check completed with ${events.length} updates`, {
+            events: events.map(event => `${event.type}:${event.channel.login}`)
+        });
+        return events;
+    }
+}
+
+module.exports = new TwitchIntegration();
@@ -1,7 +1,45 @@
 const axios = require('axios');
 const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
-const { getAllTwitterAccounts, updateLastTweetId, db, verifyDatabaseConnection } = require('../database/database');
-const { twitter: logger } = require('../utils/logger');
+const { getSubscribedGuilds, verifyDatabaseConnection } = require('../database/database');
+const {
+    getAllTwitterAccounts,
+    updateLastTweetId,
+    pinTwitterAccount,
+    updateTwitterHandle,
+    recordTwitterGap
+} = require('../sources/twitter/store');
+const { rewriteTweetUrl } = require('../utils/linkRewriters');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('twitter');
+
+// Tweet IDs are snowflakes beyond Number precision; missing IDs sort first
+const compareTweetIds = (a, b) => {
+    if (!a || !b) {
+        return (a ? 1 : 0) - (b ? 1 : 0);
+    }
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+};
+
+// Tweet IDs are snowflakes: milliseconds since the Twitter epoch, shifted left 22 bits.
+// The lowest ID a tweet created at `time` can have.
+const twitterEpoch = 1288834974657n;
+const tweetIdAt = (time) => ((BigInt(Math.floor(time)) - twitterEpoch) << 22n).toString();
+
+// Search can list a tweet a little after it was posted
+const searchIndexDelay = 5 * 60000;
+
+// Discord merges at most four same-URL embeds into one gallery
+const maxGalleryImages = 4;
+
+const mediaLabels = {
+    photo: '📷 Photo',
+    video: '▶ Video',
+    animated_gif: '▶ GIF'
+};
+
+const truncateAltText = (text) => text.length > 200 ? `${text.slice(0, 199)}…` : text;
 
 class TwitterIntegration {
     constructor() {
@@ -25,6 +63,10 @@ class TwitterIntegration {
         this.batchInterval = 60000; // 1 minute between batches
         this.bufferThreshold = 100; // Keep 100 requests as buffer
         this.maxRetries = 3; // Maximum retries per request
+        // Search query length limit: 512 on Basic, 1024 on Pro and above
+        this.maxQueryLength = parseInt(process.env.TWITTER_MAX_QUERY_LENGTH || '512');
+        // Pages followed per batch each cycle before older tweets are given up on
+        this.maxPages = parseInt(process.env.TWITTER_MAX_PAGES || '5');
 
         logger.debug('Twitter API client created with rate limit settings', {
             rateLimitRemaining: this.rateLimit.remaining,
@@ -48,7 +90,7 @@ class TwitterIntegration {
     async canProcessAccounts() {
         try {
             const accounts = await getAllTwitterAccounts();
-            const requiredRequests = accounts.length;
+            const requiredRequests = this.planBatches(accounts).length;
             const now = Date.now();
 
             // If we're in backoff, we can't process
@@ -92,15 +134,20 @@ class TwitterIntegration {
         }
     }
 
-    convertToVxTwitter(url) {
-        logger.debug('Converting Twitter URL to vxtwitter', { originalUrl: url });
-        return url.replace(/(twitter\.com|x\.com)/, 'vxtwitter.com');
+    // Rewrites a tweet link for the guild's embed-fix provider, null uses the global default
+    convertTweetUrl(url, provider = null) {
+        logger.debug('Rewriting Twitter URL', { originalUrl: url, provider });
+        return rewriteTweetUrl(url, provider);
     }
 
-    createTweetEmbed(tweet, authorData) {
+    // Returns the tweet embed followed by one embed per extra photo. Discord
+    // shows embeds that share a URL as a single gallery of up to four images.
+    createTweetEmbeds(tweet, authorData) {
         logger.debug('Creating tweet embed', { tweetId: tweet.id, author: authorData.username });
+        const tweetUrl = `https://twitter.com/${authorData.username}/status/${tweet.id}`;
         const embed = new EmbedBuilder()
             .setColor('#1DA1F2')
+            .setURL(tweetUrl)
             .setAuthor({
                 name: `${authorData.name} (@${authorData.username})`,
                 iconURL: authorData.profile_image_url,
@@ -110,16 +157,61 @@ class TwitterIntegration {
             .setTimestamp(new Date(tweet.created_at))
             .setFooter({ text: 'Twitter' });
 
-        // Only set image if media is available and has a valid URL
-        if (tweet.attachments?.media_keys && tweet.media?.[0]?.url) {
-            logger.debug('Adding media to tweet embed', { 
-                tweetId: tweet.id,
-                mediaUrl: tweet.media[0].url
-            });
-            embed.setImage(tweet.media[0].url);
+        // Videos and GIFs have no url, only a preview image
+        const media = (tweet.media || [])
+            .filter(Boolean)
+            .map(item => ({ ...item, imageUrl: item.url || item.preview_image_url }))
+            .filter(item => item.imageUrl);
+        if (media.length === 0) {
+            return [embed];
         }
 
-        return embed;
+        logger.debug('Adding media to tweet embed', {
+            tweetId: tweet.id,
+            mediaCount: media.length,
+            sensitive: Boolean(tweet.possibly_sensitive)
+        });
+
+        const lines = media.map((item, index) => {
+            const label = mediaLabels[item.type] || mediaLabels.photo;
+            const name = media.length > 1 ? `${label} ${index + 1}` : label;
+            const altText = item.alt_text ? `: ${truncateAltText(item.alt_text)}` : '';
+            // Embed images can't be hidden behind a spoiler, so sensitive media
+            // is only linked, with the link spoilered
+            return tweet.possibly_sensitive
+                ? `||[${name}](${item.imageUrl})||${altText}`
+                : `${name}${altText}`;
+        });
+
+        if (tweet.possibly_sensitive) {
+            embed.addFields({ name: '⚠️ Sensitive media', value: lines.join('\n').slice(0, 1024) });
+            return [embed];
+        }
+
+        // Only list the media when there is something to say beyond the images
+        if (media.some(item => item.alt_text || item.type !== 'photo')) {
+            embed.addFields({ name: 'Media', value: lines.join('\n').slice(0, 1024) });
+        }
+
+        const [first, ...rest] = media.slice(0, maxGalleryImages);
+        embed.setImage(first.imageUrl);
+        return [
+            embed,
+            ...rest.map(item => new EmbedBuilder().setURL(tweetUrl).setImage(item.imageUrl))
+        ];
+    }
+
+    // Values for the {placeholders} in notification templates
+    getTemplateValues(tweet, authorData, linkProvider = null) {
+        const publishedAt = Date.parse(tweet.created_at);
+        return {
+            author: authorData.name,
+            handle: authorData.username,
+            url: this.convertTweetUrl(`https://twitter.com/${authorData.username}/status/${tweet.id}`, linkProvider),
+            title: tweet.text.split('\n')[0],
+            text: tweet.text,
+            published: Number.isNaN(publishedAt) ? '' : `<t:${Math.floor(publishedAt / 1000)}:f>`
+        };
     }
 
     createOriginalUrlButton(tweetId, authorUsername) {
@@ -248,76 +340,306 @@ class TwitterIntegration {
         return this.handleRateLimit();
     }
 
-    async fetchTweets(account) {
+    // Subscriptions follow the user ID once an account is pinned, the handle before that
+    getAccountKey(account) {
+        return account.user_id || account.account_handle;
+    }
+
+    // Maps a v2 API error object to a reason we can show to users
+    describeUserError(error) {
+        const detail = `${error.title || ''} ${error.detail || ''}`.toLowerCase();
+        if (detail.includes('suspended')) {
+            return 'suspended';
+        }
+        if (error.title === 'Not Found Error' || detail.includes('could not find')) {
+            return 'not_found';
+        }
+        if (detail.includes('protected') || detail.includes('authorized')) {
+            return 'unavailable';
+        }
+        return 'error';
+    }
+
+    /**
+     * Looks a username up so typos and suspended accounts are rejected before
+     * anything is stored. Resolves to { user } or { error } where error is
+     * 'invalid', 'not_found', 'suspended', 'unavailable' or 'error'.
+     */
+    async lookupUser(username) {
+        const handle = username.trim().replace(/^@/, '');
+        if (!/^\w{1,15}$/.test(handle)) {
+            return { error: 'invalid' };
+        }
+
         try {
-            // Check rate limits before making request
-            if (!await this.handleRateLimit()) {
-                logger.warn(`Rate limit check failed for ${account.account_handle}, skipping`);
-                return null;
+            logger.info(`Looking up Twitter user: ${handle}`);
+            const response = await this.api.get(`/users/by/username/${handle}`, {
+                params: { 'user.fields': 'name,profile_image_url,protected' }
+            });
+
+            if (response.data.data) {
+                return { user: response.data.data };
             }
 
-            logger.info(`Fetching tweets for account: ${account.account_handle}`, {
-                lastTweetId: account.last_tweet_id
+            const reason = this.describeUserError(response.data.errors?.[0] || {});
+            logger.info(`Twitter user lookup failed: ${handle}`, {
+                reason,
+                errors: response.data.errors
             });
-
-            this.lastRequestTime = Date.now();
-            const response = await this.api.get('/tweets/search/recent', {
-                params: {
-                    query: `from:${account.account_handle}`,
-                    'tweet.fields': 'created_at,attachments',
-                    'user.fields': 'profile_image_url',
-                    'expansions': 'author_id,attachments.media_keys',
-                    'media.fields': 'url,preview_image_url',
-                    'since_id': account.last_tweet_id || undefined,
-                    'max_results': 10 // Minimum allowed by Twitter API
-                }
+            return { error: reason };
+        } catch (error) {
+            logger.error(`Error looking up Twitter user: ${handle}`, {
+                error: error.message,
+                status: error.response?.status,
+                response: error.response?.data
             });
+            return { error: error.response?.status === 404 ? 'not_found' : 'error' };
+        }
+    }
 
-            // Update rate limit info from response headers
-            this.rateLimit.remaining = parseInt(response.headers['x-rate-limit-remaining'] || '0');
-            this.rateLimit.resetAt = parseInt(response.headers['x-rate-limit-reset'] || '0') * 1000;
+    // Pins accounts added before user IDs were stored, 100 handles per request
+    async syncAccountIdentities(accounts) {
+        const unpinned = accounts.filter(account => !account.user_id);
+        if (unpinned.length === 0) {
+            return;
+        }
 
-            logger.debug('Rate limit updated', {
-                remaining: this.rateLimit.remaining,
-                resetAt: new Date(this.rateLimit.resetAt).toISOString(),
-                requestCount: this.requestCount
-            });
+        logger.info(`Resolving user IDs for ${unpinned.length} Twitter accounts`);
+        for (let i = 0; i < unpinned.length; i += 100) {
+            const batch = unpinned.slice(i, i + 100);
+            try {
+                const response = await this.api.get('/users/by', {
+                    params: {
+                        usernames: batch.map(account => account.account_handle).join(','),
+                        'user.fields': 'name'
+                    }
+                });
 
-            if (!response.data.data?.length) {
-                logger.debug(`No new tweets found for ${account.account_handle}`);
-                return null;
+                for (const user of response.data.data || []) {
+                    const account = batch.find(a => a.account_handle === user.username.toLowerCase());
+                    if (account) {
+                        await pinTwitterAccount(account.account_handle, user.id, user.name);
+                        account.user_id = user.id;
+                    }
+                }
+
+                (response.data.errors || []).forEach(error => {
+                    logger.warn(`Could not resolve Twitter account: ${error.value}`, {
+                        reason: this.describeUserError(error),
+                        detail: error.detail
+                    });
+                });
+            } catch (error) {
+                logger.error('Error resolving Twitter user IDs:', {
+                    error: error.message,
+                    status: error.response?.status,
+                    response: error.response?.data
+                });
+            }
+        }
+    }
+
+    /**
+     * Packs accounts into `(from:a OR from:b ...)` search queries that stay under
+     * the query length limit. Accounts are sorted by their last seen tweet so a
+     * batch shares a close since_id (the oldest in the batch), and accounts that
+     * have never been fetched are never mixed with ones that have.
+     */
+    planBatches(accounts) {
+        const sorted = [...accounts].sort((a, b) => compareTweetIds(b.last_tweet_id, a.last_tweet_id));
+        const batches = [];
+        let current = null;
+
+        for (const account of sorted) {
+            const term = `from:${account.user_id || account.account_handle}`;
+            const fits = current &&
+                Boolean(current.sinceId) === Boolean(account.last_tweet_id) &&
+                `(${[...current.terms, term].join(' OR ')})`.length <= this.maxQueryLength;
+
+            if (fits) {
+                current.accounts.push(account);
+                current.terms.push(term);
+                current.sinceId = account.last_tweet_id || null;
+            } else {
+                current = {
+                    accounts: [account],
+                    terms: [term],
+                    sinceId: account.last_tweet_id || null
+                };
+                batches.push(current);
             }
+        }
+
+        return batches.map(batch => ({
+            accounts: batch.accounts,
+            query: batch.terms.length > 1 ? `(${batch.terms.join(' OR ')})` : batch.terms[0],
+            sinceId: batch.sinceId
+        }));
+    }
+
+    describeBatch(batch) {
+        return batch.accounts.map(account => account.account_handle).join(', ');
+    }
 
-            // Update last tweet ID
-            const latestTweetId = response.data.data[0].id;
-            await updateLastTweetId(account.account_handle, latestTweetId);
-            logger.info(`Found ${response.data.data.length} new tweets for ${account.account_handle}`, {
-                latestTweetId
+    // Fetches one batch and returns a Map of account key -> tweet data, oldest first
+    async fetchBatch(batch) {
+        const label = this.describeBatch(batch);
+        try {
+            logger.info(`Fetching tweets for ${batch.accounts.length} accounts: ${label}`, {
+                query: batch.query,
+                sinceId: batch.sinceId
             });
 
-            // Process media attachments
+            const tweetData = [];
+            const users = new Map();
             const mediaMap = new Map();
-            if (response.data.includes?.media) {
-                response.data.includes.media.forEach(media => {
+            const startedAt = Date.now();
+            let nextToken;
+            let pages = 0;
+
+            // Follow pagination back to since_id so busy accounts don't lose tweets.
+            // Without a since_id (first fetch) only the newest page is wanted.
+            do {
+                // Check rate limits before making request
+                if (!await this.handleRateLimit()) {
+                    if (pages === 0) {
+                        logger.warn(`Rate limit check failed for ${label}, skipping`);
+                        return null;
+                    }
+                    logger.warn(`Rate limit check failed for ${label} after ${pages} pages, stopping pagination`);
+                    break;
+                }
+
+                this.lastRequestTime = Date.now();
+                const response = await this.api.get('/tweets/search/recent', {
+                    params: {
+                        // from: accepts the numeric ID too, which survives handle changes
+                        query: batch.query,
+                        'tweet.fields': 'created_at,attachments,author_id,referenced_tweets,in_reply_to_user_id,possibly_sensitive',
+                        'user.fields': 'profile_image_url',
+                        'expansions': 'author_id,attachments.media_keys',
+                        'media.fields': 'type,url,preview_image_url,alt_text',
+                        'since_id': batch.sinceId || undefined,
+                        'max_results': batch.accounts.length > 1 || batch.sinceId ? 100 : 10,
+                        'next_token': nextToken
+                    }
+                });
+                pages++;
+
+                // Update rate limit info from response headers
+                this.rateLimit.remaining = parseInt(response.headers['x-rate-limit-remaining'] || '0');
+                this.rateLimit.resetAt = parseInt(response.headers['x-rate-limit-reset'] || '0') * 1000;
+
+                logger.debug('Rate limit updated', {
+                    remaining: this.rateLimit.remaining,
+                    resetAt: new Date(this.rateLimit.resetAt).toISOString(),
+                    requestCount: this.requestCount,
+                    page: pages
+                });
+
+                tweetData.push(...(response.data.data || []));
+                (response.data.includes?.users || []).forEach(user => users.set(user.id, user));
+
+                // Process media attachments
+                (response.data.includes?.media || []).forEach(media => {
                     mediaMap.set(media.media_key, media);
                 });
+
+                nextToken = batch.sinceId ? response.data.meta?.next_token : undefined;
+            } while (nextToken && pages < this.maxPages);
+
+            const results = new Map();
+            // Anything older than the last page we fetched was skipped for good
+            const truncated = Boolean(nextToken);
+            const oldestFetchedId = tweetData.reduce((min, tweet) => compareTweetIds(tweet.id, min) < 0 ? tweet.id : min, tweetData[0]?.id);
+            const coveredId = tweetIdAt(startedAt - searchIndexDelay);
+            // An account whose whole range since its cursor was searched
+            const isCovered = (account) => !truncated || compareTweetIds(account.last_tweet_id, oldestFetchedId) >= 0;
+
+            if (tweetData.length === 0) {
+                logger.debug(`No new tweets found for ${label}`);
+                await this.markSearched(batch.accounts, coveredId);
+                return results;
+            }
+
+            if (truncated) {
+                logger.warn(`Pagination cap reached for ${label}, older tweets were skipped`, {
+                    pages,
+                    maxPages: this.maxPages,
+                    oldestFetchedId,
+                    sinceId: batch.sinceId
+                });
             }
 
-            // Add media to tweets
-            return response.data.data.map(tweet => {
-                if (tweet.attachments?.media_keys) {
-                    tweet.media = tweet.attachments.media_keys.map(key => mediaMap.get(key));
+            // Split the combined results back per account
+            for (const account of batch.accounts) {
+                const author = account.user_id
+                    ? users.get(account.user_id)
+                    : [...users.values()].find(u => u.username.toLowerCase() === account.account_handle);
+                if (!author) {
+                    if (isCovered(account)) {
+                        await this.markSearched([account], coveredId);
+                    }
+                    continue;
+                }
+
+                // The batch since_id is the oldest in the batch, so drop what this account already saw.
+                // Sorted oldest first so a backlog is posted in chronological order.
+                const tweets = tweetData
+                    .filter(tweet =>
+                        tweet.author_id === author.id &&
+                        compareTweetIds(tweet.id, account.last_tweet_id) > 0
+                    )
+                    .sort((a, b) => compareTweetIds(a.id, b.id));
+                if (tweets.length === 0) {
+                    if (isCovered(account)) {
+                        await this.markSearched([account], coveredId);
+                    }
+                    continue;
                 }
-                return {
-                    tweet,
-                    author: response.data.includes.users.find(u => u.id === tweet.author_id),
-                    media: tweet.media
-                };
-            });
+
+                // Only accounts whose since_id lies beyond the fetched range can have missed tweets
+                if (truncated && account.last_tweet_id && compareTweetIds(account.last_tweet_id, oldestFetchedId) < 0) {
+                    logger.warn(`Recording tweet gap for ${account.account_handle}`, {
+                        lastTweetId: account.last_tweet_id,
+                        oldestFetchedId
+                    });
+                    await recordTwitterGap(account.account_handle, Date.now());
+                }
+
+                // Follow renames: the author object always carries the current handle
+                if (account.user_id && author.username.toLowerCase() !== account.account_handle) {
+                    logger.info(`Twitter account renamed: ${account.account_handle} -> ${author.username}`, {
+                        userId: account.user_id
+                    });
+                    await updateTwitterHandle(account.user_id, author.username.toLowerCase());
+                    account.account_handle = author.username.toLowerCase();
+                }
+
+                // last_tweet_id is only advanced once the tweets are queued, see advanceCursors
+                logger.info(`Found ${tweets.length} new tweets for ${account.account_handle}`, {
+                    latestTweetId: tweets[tweets.length - 1].id
+                });
+
+                // Add media to tweets
+                results.set(this.getAccountKey(account), tweets.map(tweet => {
+                    if (tweet.attachments?.media_keys) {
+                        tweet.media = tweet.attachments.media_keys.map(key => mediaMap.get(key));
+                    }
+                    return {
+                        tweet,
+                        author,
+                        media: tweet.media,
+                        handle: account.account_handle
+                    };
+                }));
+            }
+
+            return results;
 
         } catch (error) {
             if (error.response?.status === 429) {
-                logger.warn(`Rate limit exceeded for ${account.account_handle}`, {
+                logger.warn(`Rate limit exceeded for ${label}`, {
                     resetAt: error.response.headers['x-rate-limit-reset'],
                     retryAfter: error.response.headers['retry-after']
                 });
@@ -327,7 +649,7 @@ class TwitterIntegration {
                 return null;
             }
 
-            logger.error(`Error fetching tweets for ${account.account_handle}:`, {
+            logger.error(`Error fetching tweets for ${label}:`, {
                 error: error.message,
                 response: error.response?.data,
                 stack: error.stack
@@ -336,25 +658,56 @@ class TwitterIntegration {
         }
     }
 
+    // Tells apart the kinds of tweets subscriptions can opt out of
+    classifyTweet(tweet) {
+        const referenced = tweet.referenced_tweets || [];
+        const text = (tweet.text || '').replace(/https:\/\/t\.co\/\w+/g, '').trim();
+        return {
+            repost: referenced.some(ref => ref.type === 'retweeted'),
+            // Replies to yourself are threads, which read like regular tweets
+            reply: referenced.some(ref => ref.type === 'replied_to') &&
+                tweet.in_reply_to_user_id !== tweet.author_id,
+            quote: referenced.some(ref => ref.type === 'quoted'),
+            mediaOnly: Boolean(tweet.attachments?.media_keys?.length) && text.length === 0
+        };
+    }
+
+    /**
+     * Moves the cursor of accounts that had no new tweets up to the time their
+     * search started. Nothing is queued for them, so this happens right away.
+     * Without it a quiet account's since_id would eventually fall outside the
+     * seven days search/recent covers, and hold back the since_id of its batch.
+     */
+    async markSearched(accounts, coveredId) {
+        for (const account of accounts) {
+            if (compareTweetIds(coveredId, account.last_tweet_id) > 0) {
+                await updateLastTweetId(account.account_handle, coveredId);
+            }
+        }
+    }
+
+    /**
+     * Stores the newest tweet ID per account from a checkNewTweets result.
+     * Called after the tweets have been queued for delivery, so a crash in
+     * between means they are fetched (and deduplicated) again rather than lost.
+     */
+    async advanceCursors(tweets) {
+        const latest = new Map();
+        for (const { tweet, handle } of tweets) {
+            if (compareTweetIds(tweet.id, latest.get(handle)) > 0) {
+                latest.set(handle, tweet.id);
+            }
+        }
+
+        for (const [handle, tweetId] of latest) {
+            await updateLastTweetId(handle, tweetId);
+        }
+    }
+
     async verifyChannelConfigurations() {
         try {
-            const guilds = await new Promise((resolve, reject) => {
-                db.all(
-                    'SELECT * FROM discord_channels WHERE twitter_channel_id IS NOT NULL',
-                    (err, rows) => {
-                        if (err) {
-                            logger.error('Database error checking channel configurations:', {
-                                error: err.message,
-                                stack: err.stack
-                            });
-                            reject(err);
-                            return;
-                        }
-                        logger.debug(`Found ${rows?.length || 0} guilds with Twitter channels configured`);
-                        resolve(rows || []);
-                    }
-                );
-            });
+            const guilds = await getSubscribedGuilds('twitter');
+            logger.debug(`Found ${guilds.length} guilds with Twitter subscriptions`);
             return guilds;
         } catch (error) {
             logger.error('Error checking channel configurations:', {
@@ -379,30 +732,37 @@ class TwitterIntegration {
             ]);
 
             if (guilds.length === 0) {
-            logger.info('No guilds have channels configured, skipping tweet check');
+            logger.info('No guilds have Twitter subscriptions, skipping tweet check');
             return [];
         }
 
+        await this.syncAccountIdentities(accounts);
+
         logger.info(`Found ${accounts.length} accounts to check and ${guilds.length} configured guilds`, {
             accounts: accounts.map(a => ({
                 handle: a.account_handle,
                 lastTweetId: a.last_tweet_id
             })),
-            guilds: guilds.map(g => ({
-                guildId: g.guild_id,
-                channelId: g.twitter_channel_id
-            }))
+            guilds: guilds.map(g => g.guild_id)
         });
         
         const results = [];
+        const batches = this.planBatches(accounts);
+        logger.info(`Planned ${batches.length} search requests for ${accounts.length} accounts`, {
+            batches: batches.map(batch => ({
+                accounts: batch.accounts.length,
+                queryLength: batch.query.length,
+                sinceId: batch.sinceId
+            }))
+        });
+
         let processedAccounts = 0;
 
-        // Process each account
-        while (processedAccounts < accounts.length) {
-            const account = accounts[processedAccounts];
+        // Process each batch
+        for (let index = 0; index < batches.length; index++) {
+            const batch = batches[index];
             try {
-                logger.info(`Processing account ${processedAccounts + 1}/${accounts.length}: ${account.account_handle}`, {
-                    lastTweetId: account.last_tweet_id,
+                logger.info(`Processing batch ${index + 1}/${batches.length}: ${this.describeBatch(batch)}`, {
                     processedAccounts,
                     totalAccounts: accounts.length
                 });
@@ -416,12 +776,11 @@ class TwitterIntegration {
                     requestCount: rateLimitInfo.requestCount
                 });
 
-                // Fetch tweets for this account
-                const tweets = await this.fetchTweets(account);
+                // Fetch tweets for every account in this batch
+                const batchResults = await this.fetchBatch(batch);
                 
-                if (tweets && tweets.length > 0) {
-                    logger.info(`Found ${tweets.length} new tweets for ${account.account_handle}`, {
-                        lastTweetId: account.last_tweet_id,
+                for (const [accountKey, tweets] of batchResults || []) {
+                    logger.info(`Found ${tweets.length} new tweets for ${tweets[0].author.username}`, {
                         newTweets: tweets.map(t => ({
                             id: t.tweet.id,
                             text: t.tweet.text.substring(0, 50) + '...',
@@ -430,45 +789,34 @@ class TwitterIntegration {
                     });
                     
                     // Add account info to tweet data
-                    const tweetsWithAccount = tweets.map(t => ({
+                    results.push(...tweets.map(t => ({
                         ...t,
-                        account: account.account_handle
-                    }));
-                    
-                    results.push(...tweetsWithAccount);
-                    
-                    logger.debug(`Added ${tweets.length} tweets to results array`, {
-                        totalResults: results.length,
-                        account: account.account_handle
-                    });
-                } else {
-                    logger.info(`No new tweets found for ${account.account_handle}`, {
-                        lastTweetId: account.last_tweet_id,
-                        account: account.account_handle
-                    });
+                        account: accountKey
+                    })));
                 }
 
-                // Add delay between accounts
-                if (processedAccounts < accounts.length - 1) {
-                    logger.debug(`Waiting ${this.minRequestInterval/1000} seconds before processing next account`, {
-                        currentAccount: account.account_handle,
-                        processedAccounts,
-                        totalAccounts: accounts.length,
+                logger.debug(`Batch ${index + 1} processed`, {
+                    totalResults: results.length,
+                    accountsWithTweets: batchResults?.size || 0
+                });
+
+                // Add delay between batches
+                if (index < batches.length - 1) {
+                    logger.debug(`Waiting ${this.minRequestInterval/1000} seconds before processing next batch`, {
                         delayMs: this.minRequestInterval
                     });
                     await new Promise(resolve => setTimeout(resolve, this.minRequestInterval));
                 }
-                processedAccounts++;
 
             } catch (error) {
-                logger.error(`Error processing account ${account.account_handle}:`, {
+                logger.error(`Error processing batch ${this.describeBatch(batch)}:`, {
                     error: error.message,
                     stack: error.stack,
                     processedAccounts,
                     totalAccounts: accounts.length
                 });
-                processedAccounts++; // Skip this account and move to next
             }
+            processedAccounts += batch.accounts.length; // Skip failed batches and move on
         }
 
         logger.info(`Tweet check completed. Found ${results.length} new tweets total`, {
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { EventEmitter } = require('events');
+const {
+    getAllYoutubeChannels,
+    getYoutubeChannel,
+    updateWebSubLease,
+    getYoutubeChannelsWithExpiringLeases
+} = require('../sources/youtube/store');
+const youtubeIntegration = require('./youtube');
+const { registerRoute } = require('../server/httpServer');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('youtube');
+
+const topicBaseUrl = 'https://www.youtube.com/xml/feeds/videos.xml?channel_id=';
+const signatureAlgorithms = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+/**
+ * Receives YouTube upload notifications through WebSub (PubSubHubbub).
+ * Each tracked channel is subscribed at the hub, which calls back our HTTP
+ * server with an Atom entry whenever a video is published or edited.
+ * Emits `videos` with `{ channelId, videoIds }` for every notification.
+ */
+class YouTubeWebSub extends EventEmitter {
+    constructor() {
+        super();
+        this.callbackUrl = process.env.YOUTUBE_WEBSUB_CALLBACK_URL;
+        this.hubUrl = process.env.YOUTUBE_WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe';
+        // Without a configured secret every restart gets a new one, so all leases are renewed at startup
+        this.secretConfigured = Boolean(process.env.YOUTUBE_WEBSUB_SECRET);
+        this.secret = process.env.YOUTUBE_WEBSUB_SECRET || crypto.randomBytes(32).toString('hex');
+        this.leaseSeconds = parseInt(process.env.YOUTUBE_WEBSUB_LEASE_SECONDS || '432000'); // 5 days
+        this.renewBefore = 86400000; // Renew leases expiring within a day
+        this.renewInterval = 3600000; // Check leases every hour
+        this.renewTimer = null;
+        this.routesRegistered = false;
+    }
+
+    isEnabled() {
+        return Boolean(this.callbackUrl);
+    }
+
+    getTopicUrl(channelId) {
+        return `${topicBaseUrl}${channelId}`;
+    }
+
+    getChannelIdFromTopic(topic) {
+        try {
+            const url = new URL(topic);
+            return url.searchParams.get('channel_id');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    registerRoutes() {
+        if (this.routesRegistered) {
+            return;
+        }
+        const callbackPath = new URL(this.callbackUrl).pathname;
+        registerRoute('GET', callbackPath, (req, res, context) => this.handleVerification(req, res, context));
+        registerRoute('POST', callbackPath, (req, res, context) => this.handleNotification(req, res, context));
+        this.routesRegistered = true;
+    }
+
+    async start() {
+        logger.info('Starting YouTube WebSub subscriptions', {
+            callbackUrl: this.callbackUrl,
+            hubUrl: this.hubUrl,
+            leaseSeconds: this.leaseSeconds
+        });
+
+        const channels = this.secretConfigured
+            ? await getYoutubeChannelsWithExpiringLeases(Date.now() + this.renewBefore)
+            : await getAllYoutubeChannels();
+
+        for (const channel of channels) {
+            await this.subscribe(channel.channel_id);
+        }
+
+        this.renewTimer = setInterval(() => {
+            this.renewLeases().catch(error => {
+                logger.error('Error renewing WebSub leases:', {
+                    error: error.message,
+                    stack: error.stack
+                });
+            });
+        }, this.renewInterval);
+    }
+
+    stop() {
+        if (this.renewTimer) {
+            clearInterval(this.renewTimer);
+            this.renewTimer = null;
+        }
+    }
+
+    async renewLeases() {
+        const channels = await getYoutubeChannelsWithExpiringLeases(Date.now() + this.renewBefore);
+        if (channels.length === 0) {
+            logger.debug('No WebSub leases need renewal');
+            return;
+        }
+
+        logger.info(`Renewing ${channels.length} WebSub leases`);
+        for (const channel of channels) {
+            await this.subscribe(channel.channel_id);
+        }
+    }
+
+    async subscribe(channelId, mode = 'subscribe') {
+        const params = new URLSearchParams({
+            'hub.callback': this.callbackUrl,
+            'hub.topic': this.getTopicUrl(channelId),
+            'hub.verify': 'async',
+            'hub.mode': mode
+        });
+        if (mode === 'subscribe') {
+            params.set('hub.secret', this.secret);
+            params.set('hub.lease_seconds', String(this.leaseSeconds));
+        }
+
+        try {
+            logger.debug(`Sending WebSub ${mode} request for channel: ${channelId}`);
+            await axios.post(this.hubUrl, params.toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 10000
+            });
+            logger.info(`WebSub ${mode} request accepted for channel: ${channelId}`);
+            return true;
+        } catch (error) {
+            logger.error(`WebSub ${mode} request failed for channel: ${channelId}`, {
+                error: error.message,
+                status: error.response?.status,
+                response: error.response?.data
+            });
+            return false;
+        }
+    }
+
+    unsubscribe(channelId) {
+        return this.subscribe(channelId, 'unsubscribe');
+    }
+
+    // The hub confirms every (un)subscribe request by echoing a challenge
+    async handleVerification(req, res, { url }) {
+        const mode = url.searchParams.get('hub.mode');
+        const topic = url.searchParams.get('hub.topic');
+        const challenge = url.searchParams.get('hub.challenge');
+        const leaseSeconds = parseInt(url.searchParams.get('hub.lease_seconds') || '0');
+        const channelId = this.getChannelIdFromTopic(topic);
+
+        if (mode === 'denied') {
+            logger.warn(`WebSub subscription denied for channel: ${channelId}`, {
+                reason: url.searchParams.get('hub.reason')
+            });
+            if (channelId) {
+                await updateWebSubLease(channelId, null);
+            }
+            res.writeHead(200).end();
+            return;
+        }
+
+        if (!channelId || !challenge || !['subscribe', 'unsubscribe'].includes(mode)) {
+            logger.warn('Invalid WebSub verification request', { mode, topic });
+            res.writeHead(400).end();
+            return;
+        }
+
+        // Only confirm requests that match what we track
+        const tracked = await getYoutubeChannel(channelId);
+        if ((mode === 'subscribe') !== Boolean(tracked)) {
+            logger.warn(`Rejecting WebSub ${mode} verification for channel: ${channelId}`, {
+                tracked: Boolean(tracked)
+            });
+            res.writeHead(404).end();
+            return;
+        }
+
+        if (mode === 'subscribe') {
+            const expiresAt = Date.now() + (leaseSeconds || this.leaseSeconds) * 1000;
+            await updateWebSubLease(channelId, expiresAt);
+        }
+
+        logger.info(`Verified WebSub ${mode} for channel: ${channelId}`, { leaseSeconds });
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end(challenge);
+    }
+
+    verifySignature(body, header) {
+        if (!header) {
+            return false;
+        }
+
+        const [algorithm, digest] = header.split('=');
+        if (!signatureAlgorithms.includes(algorithm) || !digest) {
+            return false;
+        }
+
+        const expected = crypto.createHmac(algorithm, this.secret).update(body).digest();
+        const received = Buffer.from(digest, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    parseNotification(xml) {
+        // Push payloads use the same Atom format as the public channel feeds
+        return youtubeIntegration.parseVideoFeed(xml);
+    }
+
+    async handleNotification(req, res, { body }) {
+        // Always acknowledge, otherwise the hub keeps retrying. Content with a bad
+        // signature must be ignored rather than rejected per the WebSub spec.
+        res.writeHead(204).end();
+
+        if (!this.verifySignature(body, req.headers['x-hub-signature'])) {
+            logger.warn('Ignoring WebSub notification with invalid signature', {
+                signature: req.headers['x-hub-signature']
+            });
+            return;
+        }
+
+        let entries;
+        try {
+            entries = this.parseNotification(body.toString('utf8'));
+        } catch (error) {
+            logger.error('Error parsing WebSub notification:', {
+                error: error.message,
+                stack: error.stack
+            });
+            return;
+        }
+
+        if (entries.length === 0) {
+            // Deletions arrive as at:deleted-entry and carry nothing to announce
+            logger.debug('WebSub notification contained no video entries');
+            return;
+        }
+
+        const videosByChannel = new Map();
+        for (const entry of entries) {
+            if (!videosByChannel.has(entry.channelId)) {
+                videosByChannel.set(entry.channelId, []);
+            }
+            videosByChannel.get(entry.channelId).push(entry.videoId);
+        }
+
+        for (const [channelId, videoIds] of videosByChannel) {
+            logger.info(`Received WebSub notification for channel: ${channelId}`, { videoIds });
+            this.emit('videos', { channelId, videoIds });
+        }
+    }
+}
+
+module.exports = new YouTubeWebSub();
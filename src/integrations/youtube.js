@@ -1,7 +1,68 @@
 const axios = require('axios');
-const { EmbedBuilder } = require('discord.js');
-const { getAllYoutubeChannels, updateLastVideoId } = require('../database/database');
-const { youtube: logger } = require('../utils/logger');
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const { XMLParser } = require('fast-xml-parser');
+const { LRUCache } = require('lru-cache');
+const { getGuildSubscriptions } = require('../database/database');
+const {
+    getAllYoutubeChannels,
+    getYoutubeChannel,
+    updateLastVideoId,
+    getAnnouncedVideoIds,
+    claimAnnouncedVideos,
+    upsertLiveStream,
+    getActiveLiveStreams,
+    setLiveStreamStatus
+} = require('../sources/youtube/store');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('youtube');
+
+// Parts requested for every video, liveStreamingDetails and contentDetails
+// tell livestreams and premieres apart from regular uploads, status has the
+// made-for-kids flag
+const videoParts = 'snippet,statistics,liveStreamingDetails,contentDetails,status';
+
+// Largest first; not every video has every size
+const thumbnailSizes = ['maxres', 'standard', 'high', 'medium', 'default'];
+
+const getThumbnailUrl = (thumbnails, sizes = thumbnailSizes) => {
+    const size = sizes.find(name => thumbnails?.[name]?.url);
+    return size ? thumbnails[size].url : null;
+};
+
+const compactNumber = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+// 3725 -> 1:02:05, 95 -> 1:35
+const formatVideoLength = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+const descriptionLength = 200;
+const tagsLength = 200;
+
+const parseTime = (value) => value ? Date.parse(value) : null;
+
+// Video durations are ISO 8601, e.g. PT1M30S. Returns seconds, null when unknown.
+const parseIsoDuration = (value) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part, 10) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+// Shorts can be up to three minutes long
+const shortsMaxDuration = 180;
+
+const formatStreamDuration = (ms) => {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
 
 class YouTubeIntegration {
     constructor() {
@@ -12,29 +73,265 @@ class YouTubeIntegration {
                 key: process.env.YOUTUBE_API_KEY
             }
         });
-        logger.debug('YouTube API client created');
+        // 'api' polls the Data API; 'feed' reads the public Atom feed and only
+        // calls the API for videos it hasn't seen, which saves most of the quota
+        this.fetchMode = process.env.YOUTUBE_FETCH_MODE === 'feed' ? 'feed' : 'api';
+        this.feedUrl = 'https://www.youtube.com/feeds/videos.xml';
+        this.feedParser = new XMLParser({ ignoreAttributes: true });
+        // Channel snippets rarely change, cache them to avoid a channels call per video batch
+        this.channelCache = new LRUCache({
+            max: 1000,
+            ttl: 6 * 60 * 60 * 1000 // 6 hours
+        });
+        // Category names are fixed, so they are looked up once
+        this.categoryCache = new LRUCache({ max: 100 });
+        // A video's Shorts status doesn't change, and pushes often repeat a video
+        this.shortsCache = new LRUCache({
+            max: 5000,
+            ttl: 24 * 60 * 60 * 1000 // 24 hours
+        });
+        // Minutes before a scheduled stream or premiere to post a reminder, 0 turns reminders off
+        this.liveReminderMinutes = parseInt(process.env.YOUTUBE_LIVE_REMINDER_MINUTES, 10) || 0;
+        // Streams scheduled further out than this are only rechecked hourly
+        this.liveLookahead = 15 * 60 * 1000;
+        this.upcomingRecheckInterval = 60 * 60 * 1000;
+        // Streams that never started this long after their scheduled time are given up on
+        this.upcomingExpiry = 24 * 60 * 60 * 1000;
+        logger.debug('YouTube API client created', {
+            fetchMode: this.fetchMode,
+            liveReminderMinutes: this.liveReminderMinutes
+        });
     }
 
-    createVideoEmbed(video, channel) {
+    getVideoUrl(video, short = false) {
+        return short
+            ? `https://www.youtube.com/shorts/${video.id}`
+            : `https://www.youtube.com/watch?v=${video.id}`;
+    }
+
+    setChannelAuthor(embed, channel) {
+        return embed.setAuthor({
+            name: channel.snippet.title,
+            iconURL: getThumbnailUrl(channel.snippet.thumbnails, ['default', 'medium', 'high']) ?? undefined,
+            url: `https://www.youtube.com/channel/${channel.id}`
+        });
+    }
+
+    // Duration, statistics, category, tags and audience flags, whichever the video has
+    getVideoFields(video, category = null) {
+        const stats = video.statistics || {};
+        const fields = [];
+
+        const length = parseIsoDuration(video.contentDetails?.duration);
+        if (length) {
+            fields.push({ name: 'Duration', value: formatVideoLength(length), inline: true });
+        }
+        // Likes and comments are missing when the channel hides or disables them
+        for (const [name, key] of [['Views', 'viewCount'], ['Likes', 'likeCount'], ['Comments', 'commentCount']]) {
+            if (stats[key] !== undefined) {
+                fields.push({ name, value: compactNumber.format(Number(stats[key])), inline: true });
+            }
+        }
+        if (category) {
+            fields.push({ name: 'Category', value: category, inline: true });
+        }
+
+        const tags = video.snippet.tags || [];
+        if (tags.length > 0) {
+            const list = tags.join(', ');
+            fields.push({ name: 'Tags', value: list.length > tagsLength ? `${list.slice(0, tagsLength - 1)}…` : list });
+        }
+
+        const audience = [];
+        if (video.status?.madeForKids) {
+            audience.push('🧒 Made for kids');
+        }
+        if (video.contentDetails?.contentRating?.ytRating === 'ytAgeRestricted') {
+            audience.push('🔞 Age-restricted');
+        }
+        if (audience.length > 0) {
+            fields.push({ name: 'Audience', value: audience.join(' · ') });
+        }
+
+        return fields;
+    }
+
+    createVideoEmbed(video, channel, { short = false, category = null } = {}) {
         logger.debug('Creating video embed', { 
             videoId: video.id,
             channelId: channel.id,
-            channelTitle: channel.snippet.title
+            channelTitle: channel.snippet.title,
+            short
         });
 
         const embed = new EmbedBuilder()
-            .setColor('#FF0000')
+            .setColor(short ? '#FF0050' : '#FF0000')
             .setTitle(video.snippet.title)
-            .setURL(`https://www.youtube.com/watch?v=${video.id}`)
-            .setAuthor({
-                name: channel.snippet.title,
-                iconURL: channel.snippet.thumbnails.default.url,
-                url: `https://www.youtube.com/channel/${channel.id}`
-            })
-            .setDescription(video.snippet.description?.slice(0, 200) + '...')
-            .setImage(video.snippet.thumbnails.high.url)
+            .setURL(this.getVideoUrl(video, short))
             .setTimestamp(new Date(video.snippet.publishedAt))
+            .setFooter({ text: short ? 'YouTube Shorts' : 'YouTube' });
+        this.setChannelAuthor(embed, channel);
+
+        const description = video.snippet.description?.trim();
+        if (description) {
+            embed.setDescription(description.length > descriptionLength
+                ? `${description.slice(0, descriptionLength).trimEnd()}…`
+                : description);
+        }
+
+        const fields = this.getVideoFields(video, category);
+        if (fields.length > 0) {
+            embed.addFields(fields);
+        }
+
+        // Shorts are vertical, a wide image would mostly be letterboxing
+        const thumbnail = getThumbnailUrl(video.snippet.thumbnails);
+        if (thumbnail && short) {
+            embed.setThumbnail(thumbnail);
+        } else if (thumbnail) {
+            embed.setImage(thumbnail);
+        }
+
+        return embed;
+    }
+
+    createWatchButton(video, short = false) {
+        logger.debug('Creating watch button', { videoId: video.id, short });
+        const button = new ButtonBuilder()
+            .setLabel('Watch on YouTube')
+            .setStyle(ButtonStyle.Link)
+            .setURL(this.getVideoUrl(video, short));
+
+        return new ActionRowBuilder().addComponents(button);
+    }
+
+    // Embed and button for an upload or Short, with the category name looked up
+    async createVideoMessage(video, channel, { short = false } = {}) {
+        const category = await this.getCategoryName(video.snippet.categoryId);
+        return {
+            embed: this.createVideoEmbed(video, channel, { short, category }),
+            components: [this.createWatchButton(video, short)]
+        };
+    }
+
+    async getCategoryName(categoryId) {
+        if (!categoryId) {
+            return null;
+        }
+        const cached = this.categoryCache.get(categoryId);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        try {
+            const response = await this.api.get('/videoCategories', {
+                params: {
+                    part: 'snippet',
+                    id: categoryId
+                }
+            });
+            const name = response.data.items?.[0]?.snippet.title || null;
+            this.categoryCache.set(categoryId, name);
+            return name;
+        } catch (error) {
+            // The embed just goes without a category
+            logger.warn(`Could not look up video category: ${categoryId}`, {
+                error: error.message,
+                response: error.response?.data
+            });
+            return null;
+        }
+    }
+
+    // Values for the {placeholders} in notification templates
+    getTemplateValues(video, channel, { short = false } = {}) {
+        const publishedAt = Date.parse(video.snippet.publishedAt);
+        return {
+            author: channel.snippet.title,
+            handle: channel.snippet.customUrl || channel.snippet.title,
+            url: this.getVideoUrl(video, short),
+            title: video.snippet.title,
+            text: video.snippet.description || '',
+            published: Number.isNaN(publishedAt) ? '' : `<t:${Math.floor(publishedAt / 1000)}:f>`,
+            start: this.getStartPlaceholder(video)
+        };
+    }
+
+    getStartPlaceholder(video) {
+        const state = this.getLiveState(video);
+        const start = state && (state.actualStart || state.scheduledStart);
+        return start ? `<t:${Math.floor(start / 1000)}:R>` : '';
+    }
+
+    // Livestreams and premieres carry liveStreamingDetails, regular uploads
+    // don't. Returns null for a regular upload, otherwise the stream's state.
+    getLiveState(video) {
+        const details = video.liveStreamingDetails;
+        if (!details) {
+            return null;
+        }
+
+        const broadcast = video.snippet.liveBroadcastContent;
+        let status = 'upcoming';
+        if (details.actualEndTime || (broadcast === 'none' && details.actualStartTime)) {
+            status = 'ended';
+        } else if (details.actualStartTime || broadcast === 'live') {
+            status = 'live';
+        }
+
+        return {
+            status,
+            // A premiere plays an uploaded video, so it has a duration before it
+            // starts; a livestream reports P0D until it ends
+            premiere: Boolean(video.contentDetails?.duration) && video.contentDetails.duration !== 'P0D',
+            scheduledStart: parseTime(details.scheduledStartTime),
+            actualStart: parseTime(details.actualStartTime),
+            actualEnd: parseTime(details.actualEndTime)
+        };
+    }
+
+    createLiveEmbed(video, channel, state = this.getLiveState(video)) {
+        logger.debug('Creating live embed', {
+            videoId: video.id,
+            channelId: channel.id,
+            status: state.status
+        });
+
+        const kind = state.premiere ? 'Premiere' : 'Livestream';
+        const embed = new EmbedBuilder()
+            .setColor(state.status === 'ended' ? '#808080' : '#FF0000')
+            .setTitle(video.snippet.title)
+            .setURL(this.getVideoUrl(video))
+            .setImage(getThumbnailUrl(video.snippet.thumbnails))
             .setFooter({ text: 'YouTube' });
+        this.setChannelAuthor(embed, channel);
+
+        if (state.status === 'upcoming' && state.scheduledStart) {
+            embed.addFields({ name: `⏰ Upcoming ${kind.toLowerCase()}`, value: `Starts <t:${Math.floor(state.scheduledStart / 1000)}:R>` });
+        } else if (state.status === 'live') {
+            const viewers = video.liveStreamingDetails.concurrentViewers;
+            embed.addFields({
+                name: `🔴 ${kind} is live`,
+                value: [
+                    state.actualStart ? `Started <t:${Math.floor(state.actualStart / 1000)}:R>` : 'Live now',
+                    viewers ? `${Number(viewers).toLocaleString('en-US')} watching` : null
+                ].filter(Boolean).join(' · ')
+            });
+        } else if (state.status === 'ended') {
+            // A stream that is still listed after it ended kept its recording under the same URL
+            const recording = `[${state.premiere ? 'Watch the video' : 'Watch the recording'}](${this.getVideoUrl(video)})`;
+            embed.addFields({
+                name: `${kind} ended`,
+                value: state.actualStart && state.actualEnd
+                    ? `Lasted ${formatStreamDuration(state.actualEnd - state.actualStart)}, ended <t:${Math.floor(state.actualEnd / 1000)}:R>\n${recording}`
+                    : recording
+            });
+        }
+
+        const time = state.actualStart || state.scheduledStart;
+        if (time) {
+            embed.setTimestamp(new Date(time));
+        }
 
         return embed;
     }
@@ -67,7 +364,7 @@ class YouTubeIntegration {
                 params: {
                     part: 'snippet',
                     playlistId: uploadsPlaylistId,
-                    maxResults: 5,
+                    maxResults: 15, // Enough to catch up after downtime, same quota cost as 5
                     order: 'date'
                 }
             });
@@ -83,7 +380,7 @@ class YouTubeIntegration {
             
             const videoDetailsResponse = await this.api.get('/videos', {
                 params: {
-                    part: 'snippet,statistics',
+                    part: videoParts,
                     id: videoIds.join(',')
                 }
             });
@@ -104,6 +401,469 @@ class YouTubeIntegration {
         }
     }
 
+    async fetchChannelDetails(channelId) {
+        const cached = this.channelCache.get(channelId);
+        if (cached) {
+            return cached;
+        }
+
+        logger.debug(`Fetching channel details for: ${channelId}`);
+        const response = await this.api.get('/channels', {
+            params: {
+                part: 'snippet',
+                id: channelId
+            }
+        });
+
+        const channel = response.data.items?.[0] || null;
+        if (channel) {
+            this.channelCache.set(channelId, channel);
+        }
+        return channel;
+    }
+
+    // Works out what kind of reference the user typed without calling the API.
+    // Returns { type, value } where type is id, handle, username, custom, video or name.
+    parseChannelInput(input) {
+        const value = input.trim().replace(/^<|>$/g, '');
+
+        if (/^UC[\w-]{22}$/.test(value)) {
+            return { type: 'id', value };
+        }
+        if (/^@[\w.-]+$/.test(value)) {
+            return { type: 'handle', value: value.slice(1) };
+        }
+
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        } catch (error) {
+            return { type: 'name', value };
+        }
+
+        const host = url.hostname.replace(/^(www|m|music)\./, '');
+        const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (host === 'youtu.be' && segments[0]) {
+            return { type: 'video', value: segments[0] };
+        }
+        if (host !== 'youtube.com') {
+            return { type: 'name', value };
+        }
+
+        const [first, second] = segments;
+        if (first === 'watch' && url.searchParams.get('v')) {
+            return { type: 'video', value: url.searchParams.get('v') };
+        }
+        if (['shorts', 'live', 'embed'].includes(first) && second) {
+            return { type: 'video', value: second };
+        }
+        if (first === 'channel' && second) {
+            return { type: 'id', value: second };
+        }
+        if (first?.startsWith('@')) {
+            return { type: 'handle', value: first.slice(1) };
+        }
+        if (first === 'user' && second) {
+            return { type: 'username', value: second };
+        }
+        if (first === 'c' && second) {
+            return { type: 'custom', value: second };
+        }
+        if (first) {
+            // Legacy youtube.com/<name> custom URLs
+            return { type: 'custom', value: first };
+        }
+        return { type: 'name', value };
+    }
+
+    async findChannel(params) {
+        const response = await this.api.get('/channels', {
+            params: {
+                part: 'snippet',
+                ...params
+            }
+        });
+        const channel = response.data.items?.[0] || null;
+        if (channel) {
+            this.channelCache.set(channel.id, channel);
+        }
+        return channel;
+    }
+
+    async searchChannel(query) {
+        // search.list costs 100 quota units, so it is only the last resort
+        logger.debug(`Searching for channel: ${query}`);
+        const response = await this.api.get('/search', {
+            params: {
+                part: 'snippet',
+                type: 'channel',
+                q: query,
+                maxResults: 1
+            }
+        });
+        const channelId = response.data.items?.[0]?.snippet?.channelId;
+        return channelId ? this.fetchChannelDetails(channelId) : null;
+    }
+
+    /**
+     * Resolves a channel ID, @handle, channel/handle/custom/user URL or video URL
+     * to the channel it belongs to. Returns { channelId, title, handle, channel }
+     * or null when nothing matches.
+     */
+    async resolveChannel(input) {
+        const { type, value } = this.parseChannelInput(input);
+        logger.info(`Resolving YouTube channel reference`, { input, type, value });
+
+        try {
+            let channel = null;
+            switch (type) {
+                case 'id':
+                    channel = await this.fetchChannelDetails(value);
+                    break;
+                case 'handle':
+                    channel = await this.findChannel({ forHandle: `@${value}` });
+                    break;
+                case 'username':
+                    channel = await this.findChannel({ forUsername: value });
+                    break;
+                case 'video': {
+                    const response = await this.api.get('/videos', {
+                        params: {
+                            part: 'snippet',
+                            id: value
+                        }
+                    });
+                    const channelId = response.data.items?.[0]?.snippet?.channelId;
+                    channel = channelId ? await this.fetchChannelDetails(channelId) : null;
+                    break;
+                }
+                default:
+                    // Most custom names are also handles, which is a cheap lookup
+                    channel = await this.findChannel({ forHandle: `@${value}` })
+                        || await this.findChannel({ forUsername: value })
+                        || await this.searchChannel(value);
+            }
+
+            if (!channel) {
+                logger.info(`No YouTube channel found for: ${input}`);
+                return null;
+            }
+
+            return {
+                channelId: channel.id,
+                title: channel.snippet.title,
+                handle: channel.snippet.customUrl?.replace(/^@/, '') || null,
+                channel
+            };
+        } catch (error) {
+            logger.error(`Error resolving YouTube channel: ${input}`, {
+                error: error.message,
+                response: error.response?.data,
+                stack: error.stack
+            });
+            return null;
+        }
+    }
+
+    // Matches an ID, @handle or URL against the guild's subscriptions first so
+    // commands acting on a followed channel usually need no API call
+    async resolveSubscribedChannelId(guildId, input) {
+        const { type, value } = this.parseChannelInput(input);
+        if (type === 'id') {
+            return value;
+        }
+
+        const subscriptions = await getGuildSubscriptions(guildId, 'youtube');
+        const channels = await Promise.all(subscriptions.map(sub => getYoutubeChannel(sub.account_id)));
+        const lowered = value.toLowerCase();
+        const match = channels.find(ch => ch && (
+            ch.handle?.toLowerCase() === lowered ||
+            ch.title?.toLowerCase() === lowered
+        ));
+        if (match) {
+            return match.channel_id;
+        }
+
+        const resolved = await this.resolveChannel(input);
+        return resolved?.channelId || null;
+    }
+
+    parseVideoFeed(xml) {
+        const document = this.feedParser.parse(xml);
+        const entries = [].concat(document?.feed?.entry || []);
+
+        return entries
+            .map(entry => ({
+                videoId: entry['yt:videoId'],
+                channelId: entry['yt:channelId'],
+                published: entry.published,
+                updated: entry.updated
+            }))
+            .filter(entry => entry.videoId && entry.channelId);
+    }
+
+    async fetchFeedEntries(channelId) {
+        logger.debug(`Fetching Atom feed for channel: ${channelId}`);
+        const response = await axios.get(this.feedUrl, {
+            params: { channel_id: channelId },
+            responseType: 'text',
+            timeout: 10000
+        });
+        return this.parseVideoFeed(response.data);
+    }
+
+    // Throws on feed errors so the caller can fall back to the Data API
+    async fetchNewVideosFromFeed(channelRow) {
+        const entries = await this.fetchFeedEntries(channelRow.channel_id);
+        const newVideoIds = await this.selectNewVideoIds(channelRow, entries.map(entry => ({
+            id: entry.videoId,
+            publishedAt: entry.published
+        })));
+
+        logger.debug(`Feed lists ${entries.length} videos, ${newVideoIds.length} new`, {
+            channelId: channelRow.channel_id
+        });
+
+        if (newVideoIds.length === 0) {
+            return null;
+        }
+        return this.fetchVideosById(channelRow.channel_id, newVideoIds);
+    }
+
+    async fetchChannelUploads(channelRow) {
+        if (this.fetchMode === 'feed') {
+            try {
+                return await this.fetchNewVideosFromFeed(channelRow);
+            } catch (error) {
+                logger.warn(`Feed fetch failed for ${channelRow.channel_id}, falling back to the Data API`, {
+                    error: error.message,
+                    status: error.response?.status
+                });
+            }
+        }
+        return this.fetchLatestVideos(channelRow.channel_id);
+    }
+
+    // Throws on API errors, so a feed check falls back to the Data API and a
+    // pushed video is left for the next poll instead of being dropped
+    async fetchVideosById(channelId, videoIds) {
+        try {
+            logger.info(`Fetching ${videoIds.length} videos for channel: ${channelId}`, {
+                videoIds
+            });
+            const [channel, videoDetailsResponse] = await Promise.all([
+                this.fetchChannelDetails(channelId),
+                this.api.get('/videos', {
+                    params: {
+                        part: videoParts,
+                        id: videoIds.join(',')
+                    }
+                })
+            ]);
+
+            if (!channel) {
+                logger.warn(`Channel not found: ${channelId}`);
+                return null;
+            }
+
+            return {
+                channel,
+                // Private or deleted videos are simply missing from the response
+                videos: videoDetailsResponse.data.items.filter(video => video.snippet.channelId === channelId)
+            };
+        } catch (error) {
+            logger.error(`Error fetching videos by ID for channel ${channelId}:`, {
+                error: error.message,
+                response: error.response?.data,
+                stack: error.stack
+            });
+            throw error;
+        }
+    }
+
+    // Current details of already announced videos, e.g. to refresh their statistics
+    async fetchVideoDetails(videoIds) {
+        const videos = [];
+        // The videos endpoint takes up to 50 IDs per call
+        for (let i = 0; i < videoIds.length; i += 50) {
+            const response = await this.api.get('/videos', {
+                params: {
+                    part: videoParts,
+                    id: videoIds.slice(i, i + 50).join(',')
+                }
+            });
+            videos.push(...response.data.items);
+        }
+        return videos;
+    }
+
+    // Polling, feeds and push notifications all decide what to announce here.
+    // A video is new when it hasn't been announced yet and was published after
+    // the channel started being tracked. That survives restarts and skipped
+    // polls, copes with out-of-order publish times, and ignores edits to older
+    // videos. Candidates are `{ id, publishedAt }` pairs.
+    async selectNewVideoIds(channelRow, candidates) {
+        const trackedSince = channelRow.tracked_since || 0;
+        const recent = candidates.filter(video => new Date(video.publishedAt).getTime() > trackedSince);
+        const announced = await getAnnouncedVideoIds(channelRow.channel_id, recent.map(video => video.id));
+        return recent
+            .filter(video => !announced.has(video.id))
+            .map(video => video.id);
+    }
+
+    // Returns the new videos among the fetched ones, oldest first. They are
+    // only recorded as announced once queued, see markVideosAnnounced.
+    async selectNewVideos(channelRow, videos) {
+        const newVideoIds = new Set(await this.selectNewVideoIds(channelRow, videos.map(video => ({
+            id: video.id,
+            publishedAt: video.snippet.publishedAt
+        }))));
+        return videos
+            .filter(video => newVideoIds.has(video.id))
+            .sort((a, b) => new Date(a.snippet.publishedAt) - new Date(b.snippet.publishedAt));
+    }
+
+    // Records videos as announced, so neither polling nor push picks them up
+    // again. A video that couldn't be queued is not passed here and is still
+    // new at the next check.
+    async markVideosAnnounced(channelId, videos) {
+        if (videos.length === 0) {
+            return;
+        }
+
+        const sorted = [...videos].sort((a, b) => new Date(a.snippet.publishedAt) - new Date(b.snippet.publishedAt));
+        await claimAnnouncedVideos(channelId, sorted.map(video => ({
+            id: video.id,
+            publishedAt: video.snippet.publishedAt
+        })));
+        await updateLastVideoId(channelId, sorted[sorted.length - 1].id);
+    }
+
+    // Shorts are at most three minutes long, but so are plenty of regular
+    // videos. youtube.com/shorts/<id> only serves Shorts and redirects every
+    // other video to /watch, which settles it; if that can't be read, short
+    // videos tagged #shorts or under a minute are taken to be Shorts.
+    async isShort(video) {
+        if (video.liveStreamingDetails) {
+            return false;
+        }
+        // P0D means the duration isn't known yet, e.g. while processing
+        const duration = parseIsoDuration(video.contentDetails?.duration);
+        if (!duration || duration > shortsMaxDuration) {
+            return false;
+        }
+
+        const cached = this.shortsCache.get(video.id);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        let short = await this.probeShortsUrl(video.id);
+        if (short === null) {
+            const text = `${video.snippet.title}\n${video.snippet.description || ''}`;
+            short = duration <= 60 || /#shorts?\b/i.test(text);
+        }
+        this.shortsCache.set(video.id, short);
+        logger.debug(`Classified video ${video.id} as ${short ? 'a Short' : 'a regular video'}`, {
+            duration
+        });
+        return short;
+    }
+
+    // Returns true or false when the Shorts URL answered clearly, null otherwise
+    async probeShortsUrl(videoId) {
+        try {
+            const response = await axios.head(`https://www.youtube.com/shorts/${videoId}`, {
+                maxRedirects: 0,
+                validateStatus: status => status < 400,
+                timeout: 5000
+            });
+            if (response.status === 200) {
+                return true;
+            }
+            // Anything but a redirect to the watch page (e.g. a cookie consent page) is inconclusive
+            return /\/watch\b/.test(response.headers.location || '') ? false : null;
+        } catch (error) {
+            logger.debug(`Could not probe Shorts URL for video: ${videoId}`, {
+                error: error.message,
+                status: error.response?.status
+            });
+            return null;
+        }
+    }
+
+    // Regular uploads and Shorts are announced as they are. Upcoming and
+    // running streams are tracked by checkLiveStreams instead; the ones
+    // already live are returned to be announced right away. A stream that
+    // already ended when it was first seen is announced like an upload.
+    async classifyNewVideos(channelId, videos) {
+        const uploads = [];
+        const shorts = [];
+        const live = [];
+        const upcoming = [];
+        for (const video of videos) {
+            const state = this.getLiveState(video);
+            if (!state || state.status === 'ended') {
+                if (await this.isShort(video)) {
+                    shorts.push(video);
+                } else {
+                    uploads.push(video);
+                }
+                continue;
+            }
+
+            logger.info(`Tracking ${state.status} ${state.premiere ? 'premiere' : 'livestream'}: ${video.id}`, {
+                channelId,
+                scheduledStart: state.scheduledStart
+            });
+            await upsertLiveStream({ videoId: video.id, channelId, ...state });
+            if (state.status === 'live') {
+                live.push(video);
+            } else {
+                upcoming.push(video);
+            }
+        }
+
+        // Upcoming streams are handed to checkLiveStreams, nothing is queued for them now
+        await this.markVideosAnnounced(channelId, upcoming);
+        return { uploads, shorts, live };
+    }
+
+    // Handles video IDs pushed by the WebSub hub for a tracked channel
+    async checkPushedUploads(channelId, videoIds) {
+        logger.info(`Checking pushed uploads for channel: ${channelId}`, { videoIds });
+        const channelRow = await getYoutubeChannel(channelId);
+        if (!channelRow) {
+            logger.debug(`Ignoring push for untracked channel: ${channelId}`);
+            return null;
+        }
+
+        const data = await this.fetchVideosById(channelId, videoIds);
+        if (!data) {
+            return null;
+        }
+
+        // The hub also pushes title and description edits of older videos
+        const newVideos = await this.selectNewVideos(channelRow, data.videos);
+        const { uploads, shorts, live } = await this.classifyNewVideos(channelId, newVideos);
+        if (uploads.length === 0 && shorts.length === 0 && live.length === 0) {
+            logger.debug(`Pushed videos are not new uploads for channel: ${channelId}`, { videoIds });
+            return null;
+        }
+
+        logger.info(`Found ${uploads.length} new pushed videos for channel: ${data.channel.snippet.title}`, {
+            shorts: shorts.length,
+            live: live.length
+        });
+        return {
+            channel: data.channel,
+            videos: uploads,
+            shorts,
+            live
+        };
+    }
+
     async checkNewUploads() {
         logger.info('Starting new uploads check');
         const channels = await getAllYoutubeChannels();
@@ -111,29 +871,28 @@ class YouTubeIntegration {
 
         for (const channel of channels) {
             try {
-                const data = await this.fetchLatestVideos(channel.channel_id);
+                const data = await this.fetchChannelUploads(channel);
                 if (!data) {
-                    logger.debug(`No data returned for channel: ${channel.channel_id}`);
+                    logger.debug(`No new data returned for channel: ${channel.channel_id}`);
                     continue;
                 }
 
                 const { channel: channelInfo, videos } = data;
                 
                 // Filter only new videos
-                const newVideos = videos.filter(video => {
-                    const videoDate = new Date(video.snippet.publishedAt);
-                    // Check if video is newer than last check (within last 15 minutes)
-                    return videoDate > new Date(Date.now() - 15 * 60 * 1000);
-                });
+                const newVideos = await this.selectNewVideos(channel, videos);
+                const { uploads, shorts, live } = await this.classifyNewVideos(channel.channel_id, newVideos);
 
-                if (newVideos.length > 0) {
-                    logger.info(`Found ${newVideos.length} new videos for channel: ${channelInfo.snippet.title}`);
-                    // Update last video ID
-                    await updateLastVideoId(channel.channel_id, newVideos[0].id);
-                    
+                if (uploads.length > 0 || shorts.length > 0 || live.length > 0) {
+                    logger.info(`Found ${uploads.length} new videos for channel: ${channelInfo.snippet.title}`, {
+                        shorts: shorts.length,
+                        live: live.length
+                    });
                     results.push({
                         channel: channelInfo,
-                        videos: newVideos
+                        videos: uploads,
+                        shorts,
+                        live
                     });
                 } else {
                     logger.debug(`No new videos found for channel: ${channelInfo.snippet.title}`);
@@ -149,6 +908,124 @@ class YouTubeIntegration {
         logger.info(`Upload check completed. Found new videos in ${results.length} channels`);
         return results;
     }
+
+    isLiveCheckDue(stream, now) {
+        if (stream.status === 'live') {
+            return true;
+        }
+        const window = this.liveReminderMinutes * 60000 + this.liveLookahead;
+        if (stream.scheduled_start && stream.scheduled_start - now <= window) {
+            return true;
+        }
+        // Far-off streams only need to notice reschedules and cancellations
+        return !stream.checked_at || now - stream.checked_at >= this.upcomingRecheckInterval;
+    }
+
+    // Follows tracked streams and premieres and returns what to announce:
+    // `reminder` before the scheduled start, `live` once it starts and `ended`
+    // once it is over. A stream that started and ended between two checks
+    // only gets a `live` event, announced in its ended state.
+    async checkLiveStreams() {
+        const now = Date.now();
+        const streams = (await getActiveLiveStreams()).filter(stream => this.isLiveCheckDue(stream, now));
+        if (streams.length === 0) {
+            return [];
+        }
+
+        logger.info(`Checking ${streams.length} tracked livestreams`);
+        const events = [];
+        // The videos endpoint takes up to 50 IDs per call
+        for (let i = 0; i < streams.length; i += 50) {
+            const batch = streams.slice(i, i + 50);
+            try {
+                const response = await this.api.get('/videos', {
+                    params: {
+                        part: videoParts,
+                        id: batch.map(stream => stream.video_id).join(',')
+                    }
+                });
+                const videos = new Map(response.data.items.map(video => [video.id, video]));
+
+                for (const stream of batch) {
+                    const event = await this.updateLiveStream(stream, videos.get(stream.video_id), now);
+                    if (event) {
+                        events.push(event);
+                    }
+                }
+            } catch (error) {
+                logger.error('Error checking tracked livestreams:', {
+                    error: error.message,
+                    response: error.response?.data,
+                    videoIds: batch.map(stream => stream.video_id)
+                });
+            }
+        }
+
+        logger.info(`Livestream check completed with ${events.length} updates`, {
+            events: events.map(event => `${event.type}:${event.video.id}`)
+        });
+        return events;
+    }
+
+    async updateLiveStream(stream, video, now) {
+        const state = video && this.getLiveState(video);
+        if (!state) {
+            // Deleted or made private, nothing left to announce
+            logger.info(`Tracked livestream is no longer available: ${stream.video_id}`);
+            await setLiveStreamStatus(stream.video_id, 'cancelled');
+            return null;
+        }
+
+        if (state.status === 'upcoming' && state.scheduledStart && now - state.scheduledStart > this.upcomingExpiry) {
+            logger.info(`Tracked livestream never started: ${stream.video_id}`, {
+                scheduledStart: state.scheduledStart
+            });
+            await setLiveStreamStatus(stream.video_id, 'cancelled');
+            return null;
+        }
+
+        // Premiere detection only works before the video starts, keep what was first seen
+        const tracked = { ...state, premiere: Boolean(stream.premiere) };
+
+        let type = null;
+        if (state.status === 'upcoming') {
+            const untilStart = state.scheduledStart - now;
+            if (this.liveReminderMinutes > 0 && !stream.reminded_at && state.scheduledStart &&
+                untilStart > 0 && untilStart <= this.liveReminderMinutes * 60000) {
+                type = 'reminder';
+            }
+        } else if (stream.status === 'upcoming') {
+            type = 'live';
+        } else if (state.status === 'ended') {
+            type = 'ended';
+        }
+
+        // A stream that went live or ended is recorded in its new state, and a
+        // reminder as sent, by the caller once the notification is queued or
+        // the edit stored, so a failure before then means the next check
+        // finds the same change again
+        if (type !== 'live' && type !== 'ended') {
+            await upsertLiveStream({ videoId: video.id, channelId: stream.channel_id, ...state });
+        }
+
+        if (!type) {
+            return null;
+        }
+
+        const channel = await this.fetchChannelDetails(stream.channel_id);
+        if (!channel) {
+            logger.warn(`Channel not found for livestream: ${stream.video_id}`, {
+                channelId: stream.channel_id
+            });
+            return null;
+        }
+
+        logger.info(`Livestream ${type}: ${video.id}`, {
+            channelId: stream.channel_id,
+            status: state.status
+        });
+        return { type, channel, video, state: tracked };
+    }
 }
 
 module.exports = new YouTubeIntegration();
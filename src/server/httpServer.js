@@ -0,0 +1,111 @@
+const http = require('http');
+const { system: logger } = require('../utils/logger');
+
+// Webhook receivers (WebSub, EventSub, ...) register their routes here and
+// share a single HTTP server. The server only listens when a route exists.
+const routes = new Map();
+const maxBodySize = 1024 * 1024; // 1 MB
+
+let server = null;
+
+const registerRoute = (method, pathname, handler) => {
+    const key = `${method.toUpperCase()} ${pathname}`;
+    if (routes.has(key)) {
+        throw new Error(`HTTP route already registered: ${key}`);
+    }
+    logger.debug(`Registered HTTP route: ${key}`);
+    routes.set(key, handler);
+};
+
+const readBody = (req) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+};
+
+const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes.get(`${req.method} ${url.pathname}`);
+
+    if (!handler) {
+        logger.debug('No HTTP route for request', {
+            method: req.method,
+            path: url.pathname
+        });
+        res.writeHead(404).end();
+        return;
+    }
+
+    try {
+        // Handlers get the raw body so they can verify signatures over the exact bytes
+        const body = await readBody(req);
+        await handler(req, res, { url, body });
+    } catch (error) {
+        logger.error('Error handling HTTP request:', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            path: url.pathname
+        });
+        if (!res.headersSent) {
+            res.writeHead(500).end();
+        }
+    }
+};
+
+const startHttpServer = () => {
+    if (server || routes.size === 0) {
+        return Promise.resolve(server);
+    }
+
+    const port = parseInt(process.env.HTTP_PORT || '8080', 10);
+    const host = process.env.HTTP_HOST || '0.0.0.0';
+
+    return new Promise((resolve, reject) => {
+        server = http.createServer(handleRequest);
+        server.once('error', (error) => {
+            logger.error('HTTP server error:', {
+                error: error.message,
+                stack: error.stack
+            });
+            server = null;
+            reject(error);
+        });
+        server.listen(port, host, () => {
+            logger.info(`HTTP server listening on ${host}:${port}`, {
+                routes: Array.from(routes.keys())
+            });
+            resolve(server);
+        });
+    });
+};
+
+const stopHttpServer = () => {
+    if (!server) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        logger.info('Stopping HTTP server');
+        server.close(() => resolve());
+        server = null;
+    });
+};
+
+module.exports = {
+    registerRoute,
+    startHttpServer,
+    stopHttpServer
+};
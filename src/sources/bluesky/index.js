@@ -0,0 +1,112 @@
+const {
+    addBlueskyAccount,
+    removeBlueskyAccount,
+    getBlueskyAccount
+} = require('./store');
+const blueskyIntegration = require('../../integrations/bluesky');
+const { getPostTypeFilterReason } = require('../../utils/postTypes');
+
+const lookupErrorMessages = {
+    invalid: 'is not a valid Bluesky handle or DID.',
+    not_found: 'does not exist on Bluesky. Please check the spelling.',
+    error: 'could not be looked up right now. Please try again later.'
+};
+
+// Post types a subscription can opt out of, as options on /bluesky add and edit
+const postTypes = [
+    { kind: 'repost', name: 'reposts', label: 'reposts', reason: 'repost', description: 'Announce reposts (default: yes)' },
+    { kind: 'reply', name: 'replies', label: 'replies', reason: 'reply', description: 'Announce replies to other accounts (default: yes)' },
+    { kind: 'quote', name: 'quotes', label: 'quote posts', reason: 'quote post', description: 'Announce quote posts (default: yes)' },
+    { kind: 'mediaOnly', name: 'media_only', label: 'media-only posts', reason: 'media-only post', description: 'Announce posts that are only images or videos (default: yes)' }
+];
+
+module.exports = {
+    name: 'bluesky',
+    displayName: 'Bluesky',
+    postTypes,
+
+    templates: {
+        bluesky: {
+            name: 'Bluesky',
+            content: 'New post from {handle}!\\n{url}',
+            color: 0x0085FF,
+            footer: 'Bluesky',
+            sample: {
+                author: 'Example Account',
+                handle: 'example.bsky.social',
+                url: 'https://bsky.app/profile/example.bsky.social/post/3kexample2a',
+                title: 'Just shipped a new update!',
+                text: 'Just shipped a new update! Check out the patch notes.'
+            }
+        }
+    },
+
+    // Accounts are stored by DID, so they keep working after a handle change
+    async resolveAccount(input) {
+        const actor = await blueskyIntegration.resolveActor(input);
+        if (actor.error) {
+            return { error: `${input.trim()} ${lookupErrorMessages[actor.error]}` };
+        }
+
+        return {
+            accountId: actor.did,
+            name: actor.displayName ? `${actor.displayName} (@${actor.handle})` : `@${actor.handle}`,
+            actor
+        };
+    },
+
+    async trackAccount({ actor }) {
+        await addBlueskyAccount(actor.did, actor.handle, actor.displayName);
+    },
+
+    async untrackAccount(accountId) {
+        await removeBlueskyAccount(accountId);
+    },
+
+    async findAccountId(guildId, input) {
+        const actor = blueskyIntegration.parseActorInput(input);
+        return (await getBlueskyAccount(actor))?.did || actor;
+    },
+
+    async getAccountName(accountId) {
+        return `@${(await getBlueskyAccount(accountId))?.handle || accountId}`;
+    },
+
+    // Reposts are recorded as `<post URI>#repost`
+    getItemUrl(itemId) {
+        return blueskyIntegration.getPostUrlFromUri(itemId.replace(/#repost$/, ''));
+    },
+
+    async getRateLimitStatus() {
+        return blueskyIntegration.getRateLimitInfo();
+    },
+
+    async fetchNewItems() {
+        const results = await blueskyIntegration.checkNewPosts();
+        return results.flatMap(({ account, items }) => items.map(feedItem => ({
+            id: blueskyIntegration.getItemId(feedItem),
+            accountId: account.did,
+            did: account.did,
+            feedItem
+        })));
+    },
+
+    async createNotification({ feedItem }) {
+        const [embed, ...galleryEmbeds] = blueskyIntegration.createPostEmbeds(feedItem);
+
+        return {
+            embed: embed.toJSON(),
+            extraEmbeds: galleryEmbeds.map(extra => extra.toJSON()),
+            components: [blueskyIntegration.createOpenButton(feedItem).toJSON()],
+            values: blueskyIntegration.getTemplateValues(feedItem),
+            text: feedItem.post.record?.text || '',
+            filter: (subscription) => getPostTypeFilterReason(blueskyIntegration.classifyPost(feedItem), subscription, postTypes)
+        };
+    },
+
+    // Accounts whose posts couldn't be queued are fetched again next cycle
+    async commitItems(queued, failed) {
+        const failedAccounts = new Set(failed.map(item => item.did));
+        await blueskyIntegration.advanceCursors(queued.filter(item => !failedAccounts.has(item.did)));
+    }
+};
@@ -0,0 +1,20 @@
+// Bluesky accounts are keyed by DID, which survives handle changes. The
+// cursor is the time of the newest announced feed item (post or repost)
+// and the IDs of every announced item at that time, separated by spaces,
+// since several items can share a millisecond. Accounts start at the time
+// they were added so their history isn't posted.
+module.exports = {
+    description: 'Bluesky accounts',
+    up: `
+        CREATE TABLE IF NOT EXISTS bluesky_accounts (
+            did TEXT PRIMARY KEY,
+            handle TEXT NOT NULL,
+            display_name TEXT,
+            last_seen_at INTEGER NOT NULL,
+            last_seen_ids TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_bluesky_accounts_handle ON bluesky_accounts(handle);
+    `
+};
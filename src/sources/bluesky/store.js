@@ -0,0 +1,86 @@
+// Queries on the Bluesky tables, which this source's migrations create
+const database = require('../../database/database');
+const { runStatement } = database;
+const { database: logger } = require('../../utils/logger');
+
+const addBlueskyAccount = (did, handle, displayName) => {
+    logger.info(`Adding Bluesky account: ${handle}`, { did });
+    return runStatement(
+        `INSERT INTO bluesky_accounts (did, handle, display_name, last_seen_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(did) DO UPDATE SET handle = excluded.handle, display_name = excluded.display_name`,
+        [did, handle.toLowerCase(), displayName, Date.now()]
+    );
+};
+
+const removeBlueskyAccount = (did) => {
+    logger.info(`Removing Bluesky account: ${did}`);
+    return runStatement('DELETE FROM bluesky_accounts WHERE did = ?', [did]);
+};
+
+// Looks an account up by DID or by its current handle
+const getBlueskyAccount = (accountKey) => {
+    return new Promise((resolve, reject) => {
+        database.db.get(
+            'SELECT * FROM bluesky_accounts WHERE did = ? OR handle = ? LIMIT 1',
+            [accountKey, String(accountKey).toLowerCase()],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error fetching Bluesky account: ${accountKey}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            }
+        );
+    });
+};
+
+const getAllBlueskyAccounts = () => {
+    return new Promise((resolve, reject) => {
+        logger.debug('Fetching all Bluesky accounts');
+        database.db.all('SELECT * FROM bluesky_accounts', (err, rows) => {
+            if (err) {
+                logger.error('Error fetching Bluesky accounts', {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const updateBlueskyProfile = (did, handle, displayName) => {
+    logger.debug(`Updating Bluesky profile: ${did}`, { handle, displayName });
+    return runStatement(
+        'UPDATE bluesky_accounts SET handle = ?, display_name = ? WHERE did = ?',
+        [handle.toLowerCase(), displayName, did]
+    );
+};
+
+// last_seen_ids holds the feed item IDs at last_seen_at (`<post URI>#repost`
+// for reposts); items announced at the same time as the cursor are added to them
+const updateBlueskyCursor = (did, lastSeenAt, itemIds) => {
+    logger.debug(`Updating Bluesky cursor: ${did}`, { lastSeenAt, itemIds });
+    const ids = itemIds.join(' ');
+    return runStatement(
+        `UPDATE bluesky_accounts SET
+             last_seen_ids = CASE WHEN last_seen_at = ? AND last_seen_ids IS NOT NULL
+                 THEN last_seen_ids || ' ' || ? ELSE ? END,
+             last_seen_at = ?
+         WHERE did = ? AND last_seen_at <= ?`,
+        [lastSeenAt, ids, ids, lastSeenAt, did, lastSeenAt]
+    );
+};
+
+module.exports = {
+    addBlueskyAccount,
+    removeBlueskyAccount,
+    getBlueskyAccount,
+    getAllBlueskyAccounts,
+    updateBlueskyProfile,
+    updateBlueskyCursor
+};
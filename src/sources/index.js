@@ -0,0 +1,118 @@
+// Registry of the platforms notifications come from. Every directory here is
+// a source and is loaded automatically; the scheduler, the delivery code and
+// the commands only talk to sources through this registry. A source keeps
+// everything of its own in its directory: the source module (index.js), the
+// queries on its tables (store.js) and the migrations that create them
+// (migrations/, applied by the migrator), so a new platform is one new
+// directory here plus its API client in src/integrations.
+const fs = require('fs');
+const { registerDefaultTemplate } = require('../utils/templates');
+const { system: logger } = require('../utils/logger');
+
+/**
+ * An item fetched from a source, announced once per subscribed channel.
+ * @typedef {Object} SourceItem
+ * @property {string} id - Unique within the source; recorded in the notification history
+ * @property {string} accountId - Account the item belongs to, as stored with subscriptions
+ */
+
+/**
+ * What queueForSubscribers needs to announce an item.
+ * @typedef {Object} SourceNotification
+ * @property {Object} embed - Embed JSON the template is applied to
+ * @property {Object[]} [extraEmbeds] - Embed JSON sent after it unchanged
+ * @property {Object[]} [components] - Message component JSON, e.g. link buttons
+ * @property {Object|function(Object): Object} values - Template placeholder values, or a function of the subscription
+ * @property {string} [text] - Text keyword filters are matched against
+ * @property {function(Object): ?string} [filter] - Returns why a subscription doesn't want the item, if it doesn't
+ * @property {string} [templateKey] - Template to use, defaults to the source name
+ * @property {function(Object): ?string} [route] - Picks a subscription's channel for this kind of item, when it has its own
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} name - Key stored with subscriptions, e.g. 'twitter'
+ * @property {string} displayName - Shown in command choices
+ * @property {Object[]} [postTypes] - Kinds of posts subscriptions can opt out of, see utils/postTypes
+ * @property {Object[]} [subscriptionOptions] - Further options of a subscription, on /follow and the source's own command; each has a `name`, a `type` ('boolean', 'string' or 'channel'), a `description` and optional `choices`
+ * @property {function(Object): Object} [getSubscriptionSettings] - Turns the subscriptionOptions set on an interaction into `{ settings }` for updateSubscriptionSettings, or `{ error }`
+ * @property {Object<string, Object>} templates - Default templates by key; each has a `name`, `content`, `color`, `footer` and `sample` placeholder values
+ * @property {function(string): Promise<Object>} resolveAccount - Looks up what a user typed; resolves to `{ accountId, name }` or `{ error }`
+ * @property {function(Object): Promise<void>} trackAccount - Starts fetching a resolved account
+ * @property {function(string): Promise<void>} untrackAccount - Stops fetching an account no guild follows any more
+ * @property {function(string, string): Promise<?string>} findAccountId - Maps what a user typed to the account ID of one of the guild's subscriptions
+ * @property {function(string): Promise<string>} getAccountName - Display name of a followed account
+ * @property {function(string): ?string} getItemUrl - Link to an item in the notification history
+ * @property {function(): Promise<{limited: boolean, resetAt: ?number}>} getRateLimitStatus - Whether fetching has to wait
+ * @property {function(): Promise<SourceItem[]>} fetchNewItems - Items to announce since the last check
+ * @property {function(SourceItem): Promise<SourceNotification>} createNotification - Turns an item into embeds and template values
+ * @property {function(SourceItem[], SourceItem[]): Promise<void>} [commitItems] - Called with the queued and the failed items of a check, e.g. to advance cursors
+ * @property {function(Object): Promise<void>} [start] - Starts the source's own jobs once the client is ready; gets `{ client, queueItems, processOutbox }`
+ */
+
+const requiredMembers = [
+    'name',
+    'displayName',
+    'templates',
+    'resolveAccount',
+    'trackAccount',
+    'untrackAccount',
+    'findAccountId',
+    'getAccountName',
+    'getItemUrl',
+    'getRateLimitStatus',
+    'fetchNewItems',
+    'createNotification'
+];
+
+const sources = new Map();
+
+const registerSource = (source) => {
+    const missing = requiredMembers.filter(member => source[member] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Source ${source.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+
+    sources.set(source.name, source);
+    for (const [key, template] of Object.entries(source.templates)) {
+        registerDefaultTemplate(key, { ...template, source: source.name });
+    }
+    logger.debug(`Registered source: ${source.name}`, {
+        templates: Object.keys(source.templates)
+    });
+};
+
+const sourceDirs = fs.readdirSync(__dirname, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+for (const dir of sourceDirs) {
+    try {
+        registerSource(require(`./${dir}`));
+    } catch (error) {
+        logger.error(`Error loading source: ${dir}`, {
+            error: error.message,
+            stack: error.stack
+        });
+    }
+}
+
+const getSource = (name) => sources.get(name) || null;
+
+const getSources = () => [...sources.values()];
+
+// Choices for a slash command option that picks a source
+const getSourceChoices = () => getSources().map(source => ({ name: source.displayName, value: source.name }));
+
+// Choices for a slash command option that picks a template, e.g. YouTube also has livestream templates
+const getTemplateChoices = () => getSources().flatMap(source =>
+    Object.entries(source.templates).map(([key, template]) => ({ name: template.name, value: key })));
+
+module.exports = {
+    registerSource,
+    getSource,
+    getSources,
+    getSourceChoices,
+    getTemplateChoices
+};
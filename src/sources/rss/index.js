@@ -0,0 +1,123 @@
+const { getGuildSubscriptions } = require('../../database/database');
+const {
+    addRssFeed,
+    removeRssFeed,
+    getRssFeed,
+    updateRssFeedState,
+    markFeedEntriesSeen
+} = require('./store');
+const rssIntegration = require('../../integrations/rss');
+
+module.exports = {
+    name: 'rss',
+    displayName: 'RSS/Atom feed',
+
+    templates: {
+        rss: {
+            name: 'RSS/Atom feed',
+            content: 'New post from {handle}!\\n{url}',
+            color: 0xF26522,
+            footer: 'RSS',
+            sample: {
+                author: 'Example Author',
+                handle: 'Example Blog',
+                url: 'https://example.com/blog/new-release',
+                title: 'Version 2.0 is out',
+                text: 'Today we are releasing version 2.0 with a brand new editor.'
+            }
+        }
+    },
+
+    async resolveAccount(input) {
+        const resolved = await rssIntegration.resolveFeed(input);
+        if (resolved.error) {
+            return resolved;
+        }
+
+        const { feedUrl, feed } = resolved;
+        return {
+            accountId: feedUrl,
+            name: feed.title ? `${feed.title} (${feedUrl})` : feedUrl,
+            feed
+        };
+    },
+
+    // Entries already in the feed when it is first added are not announced
+    async trackAccount({ accountId, feed }) {
+        const result = await addRssFeed(accountId, feed.title || null, feed.siteUrl || null);
+        if (result.changes > 0) {
+            await markFeedEntriesSeen(accountId, feed.entries.map(entry => entry.id).filter(Boolean));
+            await updateRssFeedState(accountId, {
+                etag: feed.etag,
+                lastModified: feed.lastModified
+            });
+        }
+    },
+
+    async untrackAccount(accountId) {
+        await removeRssFeed(accountId);
+    },
+
+    // Feeds are followed by URL, but their title is easier to type
+    async findAccountId(guildId, input) {
+        const value = input.trim();
+        const subscriptions = await getGuildSubscriptions(guildId, 'rss');
+        const feeds = await Promise.all(subscriptions.map(sub => getRssFeed(sub.account_id)));
+        const lowered = value.toLowerCase();
+        const match = feeds.find(feed => feed && (
+            feed.feed_url === value ||
+            feed.title?.toLowerCase() === lowered
+        ));
+        return match?.feed_url || value;
+    },
+
+    async getAccountName(accountId) {
+        return (await getRssFeed(accountId))?.title || accountId;
+    },
+
+    // Items are recorded by their link, or by feed URL and GUID when they have none
+    getItemUrl(itemId) {
+        return /^https?:\/\//i.test(itemId) ? itemId : null;
+    },
+
+    // Requests are conditional, an unchanged feed costs a 304
+    async getRateLimitStatus() {
+        return { limited: false, resetAt: null };
+    },
+
+    async fetchNewItems() {
+        const results = await rssIntegration.checkNewEntries();
+        return results.flatMap(({ feed, entries, state }) => entries.map(entry => ({
+            id: entry.link || `${feed.feed_url}#${entry.id}`,
+            accountId: feed.feed_url,
+            entry,
+            feed,
+            state
+        })));
+    },
+
+    async createNotification({ entry, feed }) {
+        return {
+            embed: rssIntegration.createEntryEmbed(entry, feed).toJSON(),
+            values: rssIntegration.getTemplateValues(entry, feed),
+            text: `${entry.title}\n${entry.summary}`
+        };
+    },
+
+    // Queued entries are remembered. A feed with failed entries keeps its old
+    // validators, so the next check downloads it again and retries them.
+    async commitItems(queued, failed) {
+        const failedFeeds = new Set(failed.map(item => item.accountId));
+        const feeds = new Map();
+        for (const item of queued) {
+            feeds.set(item.accountId, [...(feeds.get(item.accountId) || []), item]);
+        }
+
+        for (const [feedUrl, items] of feeds) {
+            await markFeedEntriesSeen(feedUrl, items.map(item => item.entry.id));
+            if (!failedFeeds.has(feedUrl)) {
+                await updateRssFeedState(feedUrl, items[0].state);
+            }
+        }
+    }
+};
@@ -0,0 +1,24 @@
+// RSS and Atom feeds. The validators of the last response are kept for
+// conditional GETs, and entries are remembered by GUID (or link) so a feed
+// that reorders or republishes entries doesn't announce them again.
+module.exports = {
+    description: 'RSS and Atom feeds',
+    up: `
+        CREATE TABLE IF NOT EXISTS rss_feeds (
+            feed_url TEXT PRIMARY KEY,
+            title TEXT,
+            site_url TEXT,
+            etag TEXT,
+            last_modified TEXT,
+            checked_at INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS rss_feed_entries (
+            feed_url TEXT NOT NULL,
+            entry_id TEXT NOT NULL,
+            seen_at INTEGER NOT NULL,
+            PRIMARY KEY (feed_url, entry_id)
+        );
+    `
+};
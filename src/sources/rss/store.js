@@ -0,0 +1,147 @@
+// Queries on the RSS tables, which this source's migrations create
+const database = require('../../database/database');
+const { runStatement } = database;
+const { database: logger } = require('../../utils/logger');
+
+const addRssFeed = (feedUrl, title, siteUrl) => {
+    logger.info(`Adding RSS feed: ${feedUrl}`, { title });
+    return runStatement(
+        'INSERT OR IGNORE INTO rss_feeds (feed_url, title, site_url) VALUES (?, ?, ?)',
+        [feedUrl, title, siteUrl]
+    );
+};
+
+const removeRssFeed = async (feedUrl) => {
+    logger.info(`Removing RSS feed: ${feedUrl}`);
+    await runStatement('DELETE FROM rss_feed_entries WHERE feed_url = ?', [feedUrl]);
+    return runStatement('DELETE FROM rss_feeds WHERE feed_url = ?', [feedUrl]);
+};
+
+const getRssFeed = (feedUrl) => {
+    return new Promise((resolve, reject) => {
+        database.db.get('SELECT * FROM rss_feeds WHERE feed_url = ?', [feedUrl], (err, row) => {
+            if (err) {
+                logger.error(`Error fetching RSS feed: ${feedUrl}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+};
+
+const getAllRssFeeds = () => {
+    return new Promise((resolve, reject) => {
+        logger.debug('Fetching all RSS feeds');
+        database.db.all('SELECT * FROM rss_feeds', (err, rows) => {
+            if (err) {
+                logger.error('Error fetching RSS feeds', {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+// Stores what the last response said about the feed, including the ETag and
+// Last-Modified validators the next request is made conditional on
+const updateRssFeedState = (feedUrl, { title, siteUrl, etag, lastModified }) => {
+    logger.debug(`Updating RSS feed state: ${feedUrl}`, { etag, lastModified });
+    return runStatement(
+        `UPDATE rss_feeds SET
+            title = COALESCE(?, title),
+            site_url = COALESCE(?, site_url),
+            etag = ?,
+            last_modified = ?,
+            checked_at = ?
+         WHERE feed_url = ?`,
+        [title, siteUrl, etag, lastModified, Date.now(), feedUrl]
+    );
+};
+
+const getSeenFeedEntryIds = (feedUrl, entryIds) => {
+    return new Promise((resolve, reject) => {
+        if (entryIds.length === 0) {
+            resolve(new Set());
+            return;
+        }
+
+        const placeholders = entryIds.map(() => '?').join(', ');
+        database.db.all(
+            `SELECT entry_id FROM rss_feed_entries WHERE feed_url = ? AND entry_id IN (${placeholders})`,
+            [feedUrl, ...entryIds],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching seen entries for RSS feed: ${feedUrl}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(new Set(rows.map(row => row.entry_id)));
+                }
+            }
+        );
+    });
+};
+
+// Remembers entries so they aren't announced again
+const markFeedEntriesSeen = async (feedUrl, entryIds) => {
+    if (entryIds.length === 0) {
+        return;
+    }
+
+    const now = Date.now();
+    for (const entryId of entryIds) {
+        await runStatement(
+            'INSERT OR IGNORE INTO rss_feed_entries (feed_url, entry_id, seen_at) VALUES (?, ?, ?)',
+            [feedUrl, entryId, now]
+        );
+    }
+    logger.debug(`Recorded ${entryIds.length} seen entries for RSS feed: ${feedUrl}`);
+};
+
+// Forgets the entries a feed no longer lists. Entries still in the feed are
+// always kept, however many there are, so none of them comes back as unseen.
+const pruneFeedEntries = async (feedUrl, currentEntryIds) => {
+    const current = new Set(currentEntryIds);
+    const stored = await new Promise((resolve, reject) => {
+        database.db.all('SELECT entry_id FROM rss_feed_entries WHERE feed_url = ?', [feedUrl], (err, rows) => {
+            if (err) {
+                logger.error(`Error fetching entries of RSS feed: ${feedUrl}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(rows.map(row => row.entry_id));
+            }
+        });
+    });
+
+    const gone = stored.filter(entryId => !current.has(entryId));
+    for (let i = 0; i < gone.length; i += 500) {
+        const batch = gone.slice(i, i + 500);
+        await runStatement(
+            `DELETE FROM rss_feed_entries WHERE feed_url = ? AND entry_id IN (${batch.map(() => '?').join(', ')})`,
+            [feedUrl, ...batch]
+        );
+    }
+    if (gone.length > 0) {
+        logger.debug(`Forgot ${gone.length} entries no longer listed by RSS feed: ${feedUrl}`);
+    }
+};
+
+module.exports = {
+    addRssFeed,
+    removeRssFeed,
+    getRssFeed,
+    getAllRssFeeds,
+    updateRssFeedState,
+    getSeenFeedEntryIds,
+    markFeedEntriesSeen,
+    pruneFeedEntries
+};
@@ -0,0 +1,253 @@
+const {
+    addTwitchChannel,
+    removeTwitchChannel,
+    getTwitchChannel,
+    setTwitchStreamOnline,
+    setTwitchStreamOffline
+} = require('./store');
+const twitchIntegration = require('../../integrations/twitch');
+const twitchEventSub = require('../../integrations/eventsub');
+const { startHttpServer } = require('../../server/httpServer');
+const { editItemNotifications } = require('../../handlers/deliveryHandler');
+const { getLogger } = require('../../utils/logger');
+
+const logger = getLogger('twitch');
+
+const lookupErrorMessages = {
+    invalid: 'is not a valid Twitch login.',
+    not_found: 'does not exist on Twitch. Please check the spelling.',
+    error: 'could not be looked up right now. Please try again later.'
+};
+
+// Helix lists a stream a little after EventSub reports it online, and keeps
+// listing it for a little while after it went offline
+const recheckDelay = 60000;
+
+// Streams are announced under the login they started with, so the history
+// can be searched by login; the stream ID keeps every broadcast apart
+const streamItemId = (login, streamId) => `${login}:${streamId}`;
+
+// Checks run one at a time, so a poll and an EventSub notification arriving
+// together can't announce or end the same stream twice
+let checkQueue = Promise.resolve();
+
+// Turns the going-live messages of a finished stream into an "ended" notice
+// with a button to the VOD, when the channel keeps them. The stream is only
+// marked offline once the edit is stored, which the delivery worker retries
+// until every message has it, so a failure here means the next check ends it again.
+async function editEndedStreamNotifications(client, { channel, stream, ended, vod }) {
+    const embed = twitchIntegration.createStreamEmbed(channel, stream, { ended, vod }).toJSON();
+    const components = vod ? [twitchIntegration.createWatchButton(vod.url, 'Watch VOD').toJSON()] : undefined;
+    const edited = await editItemNotifications(client, 'twitch', stream.itemId, { embed, components });
+    await setTwitchStreamOffline(channel.user_id);
+
+    logger.info(`Marked Twitch stream as ended in ${edited} messages`, {
+        userId: channel.user_id,
+        streamId: stream.id
+    });
+}
+
+// A stream that came back after being marked ended gets its live embed back
+async function editResumedStreamNotifications(client, { channel, stream }) {
+    const embed = twitchIntegration.createStreamEmbed(channel, stream).toJSON();
+    const components = [twitchIntegration.createWatchButton(twitchIntegration.getChannelUrl(channel.login)).toJSON()];
+    await editItemNotifications(client, 'twitch', stream.itemId, { embed, components });
+}
+
+function runStreamChecks({ client, queueItems, processOutbox }, userIds = null) {
+    const check = async () => {
+        const events = await twitchIntegration.checkStreams(userIds);
+        for (const event of events.filter(event => event.type !== 'live')) {
+            const edit = event.type === 'ended' ? editEndedStreamNotifications : editResumedStreamNotifications;
+            await edit(client, event).catch(error => {
+                logger.error(`Error handling Twitch stream ${event.type}:`, {
+                    error: error.message,
+                    stack: error.stack,
+                    streamId: event.stream.id
+                });
+            });
+        }
+
+        const items = events
+            .filter(event => event.type === 'live')
+            .map(({ channel, stream }) => ({
+                id: streamItemId(channel.login, stream.id),
+                accountId: channel.user_id,
+                channel,
+                stream
+            }));
+        if (items.length > 0) {
+            await queueItems(module.exports, items);
+            processOutbox(client);
+        }
+    };
+
+    checkQueue = checkQueue.then(check).catch(error => {
+        logger.error('Error in Twitch stream checks:', {
+            error: error.message,
+            stack: error.stack,
+            userIds
+        });
+    });
+    return checkQueue;
+}
+
+// Streams are checked far more often than the 15 minute polling cycle so
+// going-live notifications are timely. With EventSub, Twitch reports streams
+// as they start and end, and polling only catches what was missed.
+function startStreamPolling(context, minutes) {
+    const interval = minutes * 60000;
+    logger.info('Starting Twitch stream polling', {
+        intervalMinutes: minutes
+    });
+
+    const poll = async () => {
+        if (!twitchIntegration.getRateLimitInfo().limited) {
+            await runStreamChecks(context);
+        }
+        setTimeout(poll, interval);
+    };
+    setTimeout(poll, 0);
+}
+
+async function startEventSub(context) {
+    twitchEventSub.on('stream', ({ userId }) => {
+        runStreamChecks(context, [userId]);
+        setTimeout(() => runStreamChecks(context, [userId]), recheckDelay);
+    });
+
+    twitchEventSub.registerRoutes();
+    await startHttpServer();
+    await twitchEventSub.start();
+}
+
+module.exports = {
+    name: 'twitch',
+    displayName: 'Twitch',
+
+    templates: {
+        twitch: {
+            name: 'Twitch',
+            content: '🔴 {author} is live now!',
+            color: 0x9146FF,
+            footer: 'Twitch',
+            sample: {
+                author: 'Example Streamer',
+                handle: 'examplestreamer',
+                url: 'https://www.twitch.tv/examplestreamer',
+                title: 'Ranked grind, then viewer games!',
+                text: 'Ranked grind, then viewer games!',
+                game: 'Just Chatting'
+            }
+        }
+    },
+
+    // Channels are stored by user ID, so they keep working after a login change
+    async resolveAccount(input) {
+        if (!twitchIntegration.isConfigured()) {
+            return { error: 'Twitch is not set up on this bot (TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET are missing).' };
+        }
+
+        const lookup = await twitchIntegration.lookupUser(input);
+        if (lookup.error) {
+            return { error: `${twitchIntegration.parseLoginInput(input)} ${lookupErrorMessages[lookup.error]}` };
+        }
+
+        const { user } = lookup;
+        return {
+            accountId: user.id,
+            name: user.display_name && user.display_name.toLowerCase() !== user.login
+                ? `${user.display_name} (${user.login})`
+                : user.display_name || user.login,
+            user
+        };
+    },
+
+    // A channel that is live when it is added is not announced until its next stream
+    async trackAccount({ user }) {
+        await addTwitchChannel(user.id, user.login, user.display_name, user.profile_image_url);
+        if (!(await getTwitchChannel(user.id)).stream_id) {
+            const stream = (await twitchIntegration.getStreams([user.id])).get(user.id);
+            if (stream) {
+                const current = twitchIntegration.toStream(stream);
+                await setTwitchStreamOnline(user.id, {
+                    ...current,
+                    streamId: current.id,
+                    itemId: streamItemId(user.login, current.id)
+                });
+            }
+        }
+        if (twitchEventSub.isEnabled()) {
+            // Not awaited: Twitch verifies asynchronously and the reply must stay fast
+            twitchEventSub.subscribe(user.id);
+        }
+    },
+
+    async untrackAccount(accountId) {
+        await removeTwitchChannel(accountId);
+        if (twitchEventSub.isEnabled()) {
+            twitchEventSub.unsubscribe(accountId);
+        }
+    },
+
+    async findAccountId(guildId, input) {
+        const login = twitchIntegration.parseLoginInput(input);
+        return (await getTwitchChannel(login))?.user_id || login;
+    },
+
+    async getAccountName(accountId) {
+        const channel = await getTwitchChannel(accountId);
+        return channel?.display_name || channel?.login || accountId;
+    },
+
+    // Stream items are `<login>:<stream ID>`; Twitch links the channel, the
+    // VOD of a stream isn't known from its ID
+    getItemUrl(itemId) {
+        return twitchIntegration.getChannelUrl(itemId.split(':')[0]);
+    },
+
+    async getRateLimitStatus() {
+        return twitchIntegration.getRateLimitInfo();
+    },
+
+    // Streams are checked by the source's own polling and EventSub, see start
+    async fetchNewItems() {
+        return [];
+    },
+
+    async createNotification({ channel, stream }) {
+        const embed = twitchIntegration.createStreamEmbed(channel, stream);
+        const button = twitchIntegration.createWatchButton(twitchIntegration.getChannelUrl(channel.login));
+
+        return {
+            embed: embed.toJSON(),
+            components: [button.toJSON()],
+            values: twitchIntegration.getTemplateValues(channel, stream),
+            text: `${stream.title}\n${stream.game || ''}`
+        };
+    },
+
+    // Streams that couldn't be queued are still new at the next check
+    async commitItems(queued) {
+        for (const { id, channel, stream } of queued) {
+            await setTwitchStreamOnline(channel.user_id, { ...stream, streamId: stream.id, itemId: id });
+        }
+    },
+
+    async start(context) {
+        if (!twitchIntegration.isConfigured()) {
+            logger.info('Twitch disabled (TWITCH_CLIENT_ID or TWITCH_CLIENT_SECRET not set)');
+            return;
+        }
+
+        const eventSub = twitchEventSub.isEnabled();
+        if (!eventSub) {
+            logger.info('Twitch EventSub disabled (TWITCH_EVENTSUB_CALLBACK_URL not set), using polling only');
+        }
+        const minutes = parseFloat(process.env.TWITCH_CHECK_MINUTES) || (eventSub ? 10 : 2);
+        startStreamPolling(context, minutes);
+        if (eventSub) {
+            await startEventSub(context);
+        }
+    }
+};
@@ -0,0 +1,23 @@
+// Twitch channels are keyed by user ID, which survives login changes. The
+// stream columns hold the broadcast last seen, so a stream is announced once
+// when it goes live and its messages are edited once when it ends.
+module.exports = {
+    description: 'Twitch channels',
+    up: `
+        CREATE TABLE IF NOT EXISTS twitch_channels (
+            user_id TEXT PRIMARY KEY,
+            login TEXT NOT NULL,
+            display_name TEXT,
+            profile_image_url TEXT,
+            live INTEGER NOT NULL DEFAULT 0,
+            stream_id TEXT,
+            stream_item_id TEXT,
+            stream_title TEXT,
+            stream_game TEXT,
+            stream_started_at INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_twitch_channels_login ON twitch_channels(login);
+    `
+};
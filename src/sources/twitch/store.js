@@ -0,0 +1,89 @@
+// Queries on the Twitch tables, which this source's migrations create
+const database = require('../../database/database');
+const { runStatement } = database;
+const { database: logger } = require('../../utils/logger');
+
+const addTwitchChannel = (userId, login, displayName, profileImageUrl) => {
+    logger.info(`Adding Twitch channel: ${login}`, { userId });
+    return runStatement(
+        `INSERT INTO twitch_channels (user_id, login, display_name, profile_image_url) VALUES (?, ?, ?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET login = excluded.login, display_name = excluded.display_name,
+             profile_image_url = excluded.profile_image_url`,
+        [userId, login.toLowerCase(), displayName, profileImageUrl]
+    );
+};
+
+const removeTwitchChannel = (userId) => {
+    logger.info(`Removing Twitch channel: ${userId}`);
+    return runStatement('DELETE FROM twitch_channels WHERE user_id = ?', [userId]);
+};
+
+// Looks a channel up by user ID or by its current login
+const getTwitchChannel = (channelKey) => {
+    return new Promise((resolve, reject) => {
+        database.db.get(
+            'SELECT * FROM twitch_channels WHERE user_id = ? OR login = ? LIMIT 1',
+            [channelKey, String(channelKey).toLowerCase()],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error fetching Twitch channel: ${channelKey}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            }
+        );
+    });
+};
+
+const getAllTwitchChannels = () => {
+    return new Promise((resolve, reject) => {
+        logger.debug('Fetching all Twitch channels');
+        database.db.all('SELECT * FROM twitch_channels', (err, rows) => {
+            if (err) {
+                logger.error('Error fetching Twitch channels', {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const updateTwitchProfile = (userId, login, displayName, profileImageUrl) => {
+    logger.debug(`Updating Twitch profile: ${userId}`, { login, displayName });
+    return runStatement(
+        'UPDATE twitch_channels SET login = ?, display_name = ?, profile_image_url = ? WHERE user_id = ?',
+        [login.toLowerCase(), displayName, profileImageUrl, userId]
+    );
+};
+
+const setTwitchStreamOnline = (userId, { streamId, itemId, title, game, startedAt }) => {
+    logger.debug(`Recording Twitch stream as live: ${userId}`, { streamId, itemId });
+    return runStatement(
+        `UPDATE twitch_channels SET live = 1, stream_id = ?, stream_item_id = ?, stream_title = ?,
+             stream_game = ?, stream_started_at = ? WHERE user_id = ?`,
+        [streamId, itemId, title, game, startedAt, userId]
+    );
+};
+
+// The stream columns are kept: a stream that shows up again after a hiccup
+// in the API is recognised and not announced twice
+const setTwitchStreamOffline = (userId) => {
+    logger.debug(`Recording Twitch stream as ended: ${userId}`);
+    return runStatement('UPDATE twitch_channels SET live = 0 WHERE user_id = ?', [userId]);
+};
+
+module.exports = {
+    addTwitchChannel,
+    removeTwitchChannel,
+    getTwitchChannel,
+    getAllTwitchChannels,
+    updateTwitchProfile,
+    setTwitchStreamOnline,
+    setTwitchStreamOffline
+};
@@ -0,0 +1,126 @@
+const {
+    pinTwitterAccount,
+    getTwitterAccount,
+    removeTwitterAccount
+} = require('./store');
+const twitterIntegration = require('../../integrations/twitter');
+const { getPostTypeFilterReason } = require('../../utils/postTypes');
+
+const lookupErrorMessages = {
+    invalid: 'is not a valid Twitter username.',
+    not_found: 'does not exist on Twitter. Please check the spelling.',
+    suspended: 'is suspended on Twitter and can\'t be monitored.',
+    unavailable: 'is not available to the bot (it may be protected).',
+    error: 'could not be looked up right now. Please try again later.'
+};
+
+// Tweet types a subscription can opt out of, as options on /twitter add and edit
+const postTypes = [
+    { kind: 'repost', name: 'retweets', label: 'retweets', reason: 'retweet', description: 'Announce retweets (default: yes)' },
+    { kind: 'reply', name: 'replies', label: 'replies', reason: 'reply', description: 'Announce replies to other accounts (default: yes)' },
+    { kind: 'quote', name: 'quotes', label: 'quote tweets', reason: 'quote tweet', description: 'Announce quote tweets (default: yes)' },
+    { kind: 'mediaOnly', name: 'media_only', label: 'media-only tweets', reason: 'media-only tweet', description: 'Announce tweets that are only photos or videos (default: yes)' }
+];
+
+const normalizeUsername = (input) => input.trim().replace(/^@/, '').toLowerCase();
+
+module.exports = {
+    name: 'twitter',
+    displayName: 'Twitter',
+    postTypes,
+
+    templates: {
+        twitter: {
+            name: 'Twitter',
+            content: 'New tweet from {handle}!\\n{url}',
+            color: 0x1DA1F2,
+            footer: 'Twitter',
+            sample: {
+                author: 'Example Account',
+                handle: 'example',
+                url: 'https://twitter.com/example/status/1234567890',
+                title: 'Just shipped a new update!',
+                text: 'Just shipped a new update! Check out the patch notes.'
+            }
+        }
+    },
+
+    // Makes sure the account exists before anything is stored
+    async resolveAccount(input) {
+        const username = normalizeUsername(input);
+        const lookup = await twitterIntegration.lookupUser(username);
+        if (lookup.error) {
+            return { error: `@${username} ${lookupErrorMessages[lookup.error]}` };
+        }
+
+        const { user } = lookup;
+        return {
+            accountId: user.id,
+            name: `${user.name} (@${user.username})`,
+            user
+        };
+    },
+
+    async trackAccount({ user }) {
+        await pinTwitterAccount(user.username.toLowerCase(), user.id, user.name);
+    },
+
+    async untrackAccount(accountId) {
+        const account = await getTwitterAccount(accountId);
+        if (account) {
+            await removeTwitterAccount(account.account_handle);
+        }
+    },
+
+    // Accounts added before user IDs were stored are still keyed by handle
+    async findAccountId(guildId, input) {
+        const username = normalizeUsername(input);
+        const account = await getTwitterAccount(username);
+        return account ? twitterIntegration.getAccountKey(account) : username;
+    },
+
+    async getAccountName(accountId) {
+        return `@${(await getTwitterAccount(accountId))?.account_handle || accountId}`;
+    },
+
+    getItemUrl(itemId) {
+        return `https://twitter.com/i/web/status/${itemId}`;
+    },
+
+    async getRateLimitStatus() {
+        return {
+            limited: !await twitterIntegration.canProcessAccounts(),
+            resetAt: twitterIntegration.getRateLimitInfo().resetAt
+        };
+    },
+
+    async fetchNewItems() {
+        const tweets = await twitterIntegration.checkNewTweets();
+        return tweets.map(tweetData => ({
+            ...tweetData,
+            id: tweetData.tweet.id,
+            accountId: tweetData.account
+        }));
+    },
+
+    async createNotification({ tweet, author }) {
+        const [embed, ...galleryEmbeds] = twitterIntegration.createTweetEmbeds(tweet, author);
+        const button = twitterIntegration.createOriginalUrlButton(tweet.id, author.username);
+
+        return {
+            embed: embed.toJSON(),
+            extraEmbeds: galleryEmbeds.map(extra => extra.toJSON()),
+            components: [button.toJSON()],
+            // Each guild links the tweet through its own embed-fix provider
+            values: (subscription) => twitterIntegration.getTemplateValues(tweet, author, subscription.link_provider),
+            text: tweet.text,
+            filter: (subscription) => getPostTypeFilterReason(twitterIntegration.classifyTweet(tweet), subscription, postTypes)
+        };
+    },
+
+    // Accounts whose tweets couldn't be queued are fetched again next cycle
+    async commitItems(queued, failed) {
+        const failedHandles = new Set(failed.map(item => item.handle));
+        await twitterIntegration.advanceCursors(queued.filter(item => !failedHandles.has(item.handle)));
+    }
+};
@@ -0,0 +1,193 @@
+// Queries on the Twitter tables. They predate per-source migrations, so the
+// core migrations in src/database/migrations create them.
+const database = require('../../database/database');
+const { runStatement, runTransaction } = database;
+const { database: logger } = require('../../utils/logger');
+
+/**
+ * Adds a Twitter account, or pins an existing one, to its numeric user ID.
+ * Subscriptions created before accounts were pinned reference the handle and
+ * are moved over to the user ID, so renames no longer break them.
+ */
+const pinTwitterAccount = async (handle, userId, displayName = null) => {
+    logger.info(`Pinning Twitter account: ${handle}`, { userId, displayName });
+
+    try {
+        const inserted = await runTransaction(async () => {
+            // A different pinned user may still hold this handle from before a rename;
+            // park it under its ID until its next poll picks up the new handle
+            await runStatement(
+                'UPDATE twitter_accounts SET account_handle = user_id WHERE account_handle = ? AND user_id IS NOT NULL AND user_id <> ?',
+                [handle, userId]
+            );
+            await runStatement(
+                'UPDATE twitter_accounts SET user_id = ? WHERE account_handle = ? AND user_id IS NULL',
+                [userId, handle]
+            );
+            await runStatement(
+                'UPDATE twitter_accounts SET account_handle = ?, display_name = ? WHERE user_id = ?',
+                [handle, displayName, userId]
+            );
+            const insert = await runStatement(
+                'INSERT OR IGNORE INTO twitter_accounts (account_handle, user_id, display_name) VALUES (?, ?, ?)',
+                [handle, userId, displayName]
+            );
+
+            // Move legacy handle-keyed subscriptions onto the user ID
+            await runStatement(
+                `UPDATE OR IGNORE subscriptions SET account_id = ? WHERE source = 'twitter' AND account_id = ?`,
+                [userId, handle]
+            );
+            await runStatement(
+                `DELETE FROM subscriptions WHERE source = 'twitter' AND account_id = ?`,
+                [handle]
+            );
+            return insert;
+        });
+
+        logger.info(`Twitter account pinned successfully: ${handle}`, {
+            userId,
+            created: inserted.changes > 0
+        });
+        return { created: inserted.changes > 0 };
+    } catch (err) {
+        logger.error(`Error pinning Twitter account: ${handle}`, {
+            error: err.message,
+            userId
+        });
+        throw err;
+    }
+};
+
+const updateTwitterHandle = (userId, handle) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Updating Twitter handle for user ${userId}: ${handle}`);
+        const stmt = database.db.prepare('UPDATE OR IGNORE twitter_accounts SET account_handle = ? WHERE user_id = ?');
+        stmt.run(handle, userId, function(err) {
+            if (err) {
+                logger.error(`Error updating Twitter handle for user ${userId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Looks an account up by the key subscriptions use: the user ID, or the handle
+// for accounts that haven't been pinned yet
+const getTwitterAccount = (accountKey) => {
+    return new Promise((resolve, reject) => {
+        database.db.get(
+            'SELECT * FROM twitter_accounts WHERE user_id = ? OR account_handle = ? ORDER BY user_id IS NULL LIMIT 1',
+            [accountKey, String(accountKey).toLowerCase()],
+            (err, row) => {
+                if (err) {
+                    logger.error(`Error fetching Twitter account: ${accountKey}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            }
+        );
+    });
+};
+
+const removeTwitterAccount = (handle) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Removing Twitter account: ${handle}`);
+        const stmt = database.db.prepare('DELETE FROM twitter_accounts WHERE account_handle = ?');
+        stmt.run(handle, function(err) {
+            if (err) {
+                logger.error(`Error removing Twitter account: ${handle}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.info(`Twitter account removed successfully: ${handle}`, {
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const getAllTwitterAccounts = () => {
+    return new Promise((resolve, reject) => {
+        logger.debug('Fetching all Twitter accounts');
+        database.db.all('SELECT * FROM twitter_accounts', (err, rows) => {
+            if (err) {
+                logger.error('Error fetching Twitter accounts', {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.debug('Twitter accounts fetched successfully', {
+                    count: rows.length
+                });
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const updateLastTweetId = (handle, tweetId) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Updating last tweet ID for ${handle}`, {
+            tweetId
+        });
+        const stmt = database.db.prepare('UPDATE twitter_accounts SET last_tweet_id = ? WHERE account_handle = ?');
+        stmt.run(tweetId, handle, function(err) {
+            if (err) {
+                logger.error(`Error updating last tweet ID for ${handle}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.debug(`Last tweet ID updated for ${handle}`, {
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Marks that tweets were skipped because a check hit the pagination cap
+const recordTwitterGap = (handle, gapAt) => {
+    return new Promise((resolve, reject) => {
+        logger.warn(`Recording missed tweets for ${handle}`, {
+            gapAt: new Date(gapAt).toISOString()
+        });
+        const stmt = database.db.prepare('UPDATE twitter_accounts SET last_gap_at = ? WHERE account_handle = ?');
+        stmt.run(gapAt, handle, function(err) {
+            if (err) {
+                logger.error(`Error recording tweet gap for ${handle}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+module.exports = {
+    pinTwitterAccount,
+    updateTwitterHandle,
+    getTwitterAccount,
+    removeTwitterAccount,
+    getAllTwitterAccounts,
+    updateLastTweetId,
+    recordTwitterGap
+};
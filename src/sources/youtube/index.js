@@ -0,0 +1,336 @@
+const {
+    addYoutubeChannel,
+    removeYoutubeChannel,
+    getYoutubeChannel,
+    updateYoutubeChannelInfo,
+    upsertLiveStream,
+    markLiveStreamReminded
+} = require('./store');
+const youtubeIntegration = require('../../integrations/youtube');
+const youtubeWebSub = require('../../integrations/websub');
+const { startHttpServer } = require('../../server/httpServer');
+const { startVideoStatsRefresh } = require('../../handlers/videoStatsHandler');
+const { editItemNotifications } = require('../../handlers/deliveryHandler');
+const { getLogger } = require('../../utils/logger');
+
+const logger = getLogger('youtube');
+
+const sample = {
+    author: 'Example Channel',
+    handle: '@example',
+    url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    title: 'Our Newest Video',
+    text: 'In this video we take a look at the new update.'
+};
+
+// Going-live notifications and reminders have their own item IDs so they
+// don't collide with each other or with the video's upload notification
+const liveItemId = (videoId, type) => `${videoId}:${type}`;
+
+// One item per video; `kind` is video, short, live or reminder
+const toItems = ({ channel, videos, shorts = [], live = [] }) => [
+    ...shorts.map(video => ({ id: video.id, accountId: channel.id, kind: 'short', channel, video })),
+    ...live.map(video => ({ id: liveItemId(video.id, 'live'), accountId: channel.id, kind: 'live', channel, video })),
+    ...videos.map(video => ({ id: video.id, accountId: channel.id, kind: 'video', channel, video }))
+];
+
+const getText = (video) => `${video.snippet.title}\n${video.snippet.description || ''}`;
+
+// A subscription can send Shorts and livestreams to their own channel
+const routes = {
+    live: (subscription) => subscription.live_channel_id || subscription.default_live_channel_id,
+    shorts: (subscription) => subscription.shorts_mode === 'reroute' ? subscription.shorts_channel_id : null
+};
+
+// Options that change how a channel's videos are routed, on /youtube add
+// and edit and on /follow
+const subscriptionOptions = [
+    {
+        name: 'shorts',
+        type: 'string',
+        description: 'Announce Shorts or mute them (default: announce)',
+        choices: [
+            { name: 'Announce', value: 'include' },
+            { name: 'Mute', value: 'exclude' }
+        ]
+    },
+    { name: 'shorts_channel', type: 'channel', description: 'Send Shorts to this channel instead' },
+    { name: 'live_channel', type: 'channel', description: 'Channel for its livestreams and premieres (defaults to the server live channel)' }
+];
+
+// Turns the going-live messages of a finished stream into an "ended" notice
+// linking the recording. The stream is only recorded as ended once the edit
+// is stored, which the delivery worker retries until every message has it.
+async function editEndedLiveNotifications(client, { channel, video, state }) {
+    const embed = youtubeIntegration.createLiveEmbed(video, channel, state).toJSON();
+    const components = [youtubeIntegration.createWatchButton(video).toJSON()];
+    const edited = await editItemNotifications(client, 'youtube', liveItemId(video.id, 'live'), { embed, components });
+    await upsertLiveStream({ videoId: video.id, channelId: channel.id, ...state });
+
+    logger.info(`Marked livestream as ended in ${edited} messages`, {
+        channelId: channel.id,
+        videoId: video.id
+    });
+}
+
+// Tracked streams are checked far more often than the 15 minute upload poll
+// so going-live notifications are timely. Nothing is requested from YouTube
+// while no stream is upcoming or live.
+function startLivePolling({ client, queueItems, processOutbox }) {
+    const interval = (parseFloat(process.env.YOUTUBE_LIVE_CHECK_MINUTES) || 2) * 60000;
+    logger.info('Starting YouTube livestream polling', {
+        intervalMinutes: interval / 60000
+    });
+
+    async function runLiveChecks() {
+        try {
+            const events = await youtubeIntegration.checkLiveStreams();
+            for (const event of events.filter(event => event.type === 'ended')) {
+                await editEndedLiveNotifications(client, event).catch(error => {
+                    logger.error('Error handling livestream ended:', {
+                        error: error.message,
+                        stack: error.stack,
+                        videoId: event.video.id
+                    });
+                });
+            }
+
+            const items = events
+                .filter(event => event.type !== 'ended')
+                .map(({ type, channel, video, state }) => ({
+                    id: liveItemId(video.id, type),
+                    accountId: channel.id,
+                    kind: type,
+                    channel,
+                    video,
+                    state
+                }));
+            if (items.length > 0) {
+                await queueItems(module.exports, items);
+                processOutbox(client);
+            }
+        } catch (error) {
+            logger.error('Error in livestream checks:', {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+        setTimeout(runLiveChecks, interval);
+    }
+
+    setTimeout(runLiveChecks, interval);
+}
+
+// Push notifications complement polling: uploads pushed by the WebSub hub are
+// announced right away, and scheduled polling still catches anything missed
+async function startPushNotifications({ client, queueItems, processOutbox }) {
+    if (!youtubeWebSub.isEnabled()) {
+        logger.info('YouTube WebSub disabled (YOUTUBE_WEBSUB_CALLBACK_URL not set), using polling only');
+        return;
+    }
+
+    youtubeWebSub.on('videos', async ({ channelId, videoIds }) => {
+        try {
+            const uploadData = await youtubeIntegration.checkPushedUploads(channelId, videoIds);
+            if (uploadData) {
+                await queueItems(module.exports, toItems(uploadData));
+                processOutbox(client);
+            }
+        } catch (error) {
+            logger.error('Error handling pushed YouTube update:', {
+                error: error.message,
+                stack: error.stack,
+                channelId,
+                videoIds
+            });
+        }
+    });
+
+    youtubeWebSub.registerRoutes();
+    await startHttpServer();
+    await youtubeWebSub.start();
+}
+
+module.exports = {
+    name: 'youtube',
+    displayName: 'YouTube',
+
+    templates: {
+        youtube: {
+            name: 'YouTube',
+            content: 'New video from {author}!',
+            color: 0xFF0000,
+            footer: 'YouTube',
+            sample
+        },
+        youtube_short: {
+            name: 'YouTube Shorts',
+            content: 'New Short from {author}!',
+            color: 0xFF0050,
+            footer: 'YouTube Shorts',
+            sample: {
+                ...sample,
+                url: 'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+                title: 'Quick tip #shorts'
+            }
+        },
+        youtube_live: {
+            name: 'YouTube livestream',
+            content: '🔴 {author} is live now!',
+            color: 0xFF0000,
+            footer: 'YouTube',
+            sample: { ...sample, title: 'Live Q&A' }
+        },
+        youtube_reminder: {
+            name: 'YouTube livestream reminder',
+            content: '⏰ {author} goes live {start}!',
+            color: 0xFF0000,
+            footer: 'YouTube',
+            sample: { ...sample, title: 'Live Q&A' }
+        }
+    },
+
+    subscriptionOptions,
+
+    // Only the options the user actually set, so the others keep their value.
+    // Returns { error } when the options contradict each other.
+    getSubscriptionSettings(interaction) {
+        const shorts = interaction.options.getString('shorts');
+        const shortsChannel = interaction.options.getChannel('shorts_channel');
+        const liveChannel = interaction.options.getChannel('live_channel');
+        // Only on /youtube edit: drops the override so the server live channel applies again
+        const defaultLiveChannel = interaction.options.getBoolean('default_live_channel');
+        if (shorts === 'exclude' && shortsChannel) {
+            return { error: 'Shorts can either be muted or sent to `shorts_channel`, not both.' };
+        }
+        if (liveChannel && defaultLiveChannel) {
+            return { error: 'Choose either `live_channel` or `default_live_channel`, not both.' };
+        }
+
+        const settings = {};
+        if (shortsChannel) {
+            settings.shorts_mode = 'reroute';
+            settings.shorts_channel_id = shortsChannel.id;
+        } else if (shorts) {
+            settings.shorts_mode = shorts;
+            settings.shorts_channel_id = null;
+        }
+        if (liveChannel) {
+            settings.live_channel_id = liveChannel.id;
+        } else if (defaultLiveChannel) {
+            settings.live_channel_id = null;
+        }
+        return { settings };
+    },
+
+    // Resolves handles and URLs to the canonical channel
+    async resolveAccount(input) {
+        const resolved = await youtubeIntegration.resolveChannel(input);
+        if (!resolved) {
+            return { error: 'Could not find the YouTube channel. Please check the channel ID, @handle or URL.' };
+        }
+
+        const { channelId, title, handle } = resolved;
+        return {
+            accountId: channelId,
+            name: `${title}${handle ? ` (@${handle})` : ''}`,
+            title,
+            handle
+        };
+    },
+
+    async trackAccount({ accountId, title, handle }) {
+        const result = await addYoutubeChannel(accountId);
+        await updateYoutubeChannelInfo(accountId, title, handle);
+        if (result.changes > 0 && youtubeWebSub.isEnabled()) {
+            // Not awaited: the hub verifies asynchronously and the reply must stay fast
+            youtubeWebSub.subscribe(accountId);
+        }
+    },
+
+    async untrackAccount(accountId) {
+        await removeYoutubeChannel(accountId);
+        if (youtubeWebSub.isEnabled()) {
+            youtubeWebSub.unsubscribe(accountId);
+        }
+    },
+
+    findAccountId(guildId, input) {
+        return youtubeIntegration.resolveSubscribedChannelId(guildId, input);
+    },
+
+    async getAccountName(accountId) {
+        return (await getYoutubeChannel(accountId))?.title || accountId;
+    },
+
+    // Livestream notifications are stored as `<video ID>:live` or `:reminder`
+    getItemUrl(itemId) {
+        return `https://youtu.be/${itemId.split(':')[0]}`;
+    },
+
+    // Polling uses the RSS feed and a few cheap API calls, quota is not tracked
+    async getRateLimitStatus() {
+        return { limited: false, resetAt: null };
+    },
+
+    async fetchNewItems() {
+        const uploads = await youtubeIntegration.checkNewUploads();
+        return uploads.flatMap(toItems);
+    },
+
+    async createNotification({ kind, channel, video, state }) {
+        if (kind === 'live' || kind === 'reminder') {
+            const embed = youtubeIntegration.createLiveEmbed(video, channel, state);
+            return {
+                embed: embed.toJSON(),
+                values: youtubeIntegration.getTemplateValues(video, channel),
+                text: getText(video),
+                templateKey: kind === 'reminder' ? 'youtube_reminder' : 'youtube_live',
+                route: routes.live
+            };
+        }
+
+        const short = kind === 'short';
+        const { embed, components } = await youtubeIntegration.createVideoMessage(video, channel, { short });
+        const notification = {
+            embed: embed.toJSON(),
+            components: components.map(row => row.toJSON()),
+            values: youtubeIntegration.getTemplateValues(video, channel, { short }),
+            text: getText(video)
+        };
+        if (short) {
+            notification.filter = (subscription) => subscription.shorts_mode === 'exclude' ? 'Short' : null;
+            notification.templateKey = 'youtube_short';
+            notification.route = routes.shorts;
+        }
+        return notification;
+    },
+
+    // Videos are recorded as announced, and streams found live or due a
+    // reminder by the livestream check as such, only once queued, so an item
+    // that failed is found again at the next check
+    async commitItems(queued) {
+        const byChannel = new Map();
+        for (const { kind, channel, video, state } of queued) {
+            if (kind === 'reminder') {
+                await markLiveStreamReminded(video.id);
+                continue;
+            }
+            // Streams that were live when uploaded are already tracked as live
+            if (kind === 'live' && state) {
+                await upsertLiveStream({ videoId: video.id, channelId: channel.id, ...state });
+            }
+            const videos = byChannel.get(channel.id) || new Map();
+            byChannel.set(channel.id, videos.set(video.id, video));
+        }
+        for (const [channelId, videos] of byChannel) {
+            await youtubeIntegration.markVideosAnnounced(channelId, [...videos.values()]);
+        }
+    },
+
+    async start(context) {
+        startVideoStatsRefresh(context.client);
+        startLivePolling(context);
+        await startPushNotifications(context);
+    }
+};
@@ -0,0 +1,325 @@
+// Queries on the YouTube tables. They predate per-source migrations, so the
+// core migrations in src/database/migrations create them.
+const database = require('../../database/database');
+const { runStatement } = database;
+const { database: logger } = require('../../utils/logger');
+
+const addYoutubeChannel = (channelId) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Adding YouTube channel: ${channelId}`);
+        const stmt = database.db.prepare('INSERT OR IGNORE INTO youtube_channels (channel_id, tracked_since) VALUES (?, ?)');
+        stmt.run(channelId, Date.now(), function(err) {
+            if (err) {
+                logger.error(`Error adding YouTube channel: ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.info(`YouTube channel added successfully: ${channelId}`, {
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const removeYoutubeChannel = (channelId) => {
+    return new Promise((resolve, reject) => {
+        logger.info(`Removing YouTube channel: ${channelId}`);
+        const stmt = database.db.prepare('DELETE FROM youtube_channels WHERE channel_id = ?');
+        stmt.run(channelId, function(err) {
+            if (err) {
+                logger.error(`Error removing YouTube channel: ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.info(`YouTube channel removed successfully: ${channelId}`, {
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const getAllYoutubeChannels = () => {
+    return new Promise((resolve, reject) => {
+        logger.debug('Fetching all YouTube channels');
+        database.db.all('SELECT * FROM youtube_channels', (err, rows) => {
+            if (err) {
+                logger.error('Error fetching YouTube channels', {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.debug('YouTube channels fetched successfully', {
+                    count: rows.length
+                });
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const updateLastVideoId = (channelId, videoId) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Updating last video ID for ${channelId}`, {
+            videoId
+        });
+        const stmt = database.db.prepare('UPDATE youtube_channels SET last_video_id = ? WHERE channel_id = ?');
+        stmt.run(videoId, channelId, function(err) {
+            if (err) {
+                logger.error(`Error updating last video ID for ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                logger.debug(`Last video ID updated for ${channelId}`, {
+                    changes: this.changes
+                });
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const updateYoutubeChannelInfo = (channelId, title, handle) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Updating channel info for ${channelId}`, { title, handle });
+        const stmt = database.db.prepare('UPDATE youtube_channels SET title = ?, handle = ? WHERE channel_id = ?');
+        stmt.run(title, handle, channelId, function(err) {
+            if (err) {
+                logger.error(`Error updating channel info for ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const getAnnouncedVideoIds = (channelId, videoIds) => {
+    return new Promise((resolve, reject) => {
+        if (videoIds.length === 0) {
+            resolve(new Set());
+            return;
+        }
+
+        const placeholders = videoIds.map(() => '?').join(', ');
+        database.db.all(
+            `SELECT video_id FROM youtube_announced_videos WHERE channel_id = ? AND video_id IN (${placeholders})`,
+            [channelId, ...videoIds],
+            (err, rows) => {
+                if (err) {
+                    logger.error(`Error fetching announced videos for ${channelId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(new Set(rows.map(row => row.video_id)));
+                }
+            }
+        );
+    });
+};
+
+// Records videos as announced and returns the IDs that weren't recorded yet.
+// Polling and push can both queue an upload; the outbox keeps that to one
+// delivery, and recording it twice is harmless.
+const claimAnnouncedVideos = (channelId, videos) => {
+    return new Promise((resolve, reject) => {
+        const claimed = [];
+        let insertError = null;
+        const stmt = database.db.prepare(
+            'INSERT OR IGNORE INTO youtube_announced_videos (channel_id, video_id, published_at) VALUES (?, ?, ?)'
+        );
+
+        database.db.serialize(() => {
+            videos.forEach(video => {
+                stmt.run(channelId, video.id, video.publishedAt, function(err) {
+                    if (err) {
+                        insertError = insertError || err;
+                    } else if (this.changes > 0) {
+                        claimed.push(video.id);
+                    }
+                });
+            });
+            stmt.finalize((finalizeErr) => {
+                const err = insertError || finalizeErr;
+                if (err) {
+                    logger.error(`Error recording announced videos for ${channelId}`, {
+                        error: err.message
+                    });
+                    reject(err);
+                    return;
+                }
+
+                // Keep the newest 100 per channel, far more than any listing returns
+                database.db.run(`
+                    DELETE FROM youtube_announced_videos
+                    WHERE channel_id = ? AND video_id NOT IN (
+                        SELECT video_id FROM youtube_announced_videos
+                        WHERE channel_id = ?
+                        ORDER BY published_at DESC
+                        LIMIT 100
+                    )
+                `, [channelId, channelId], (pruneErr) => {
+                    if (pruneErr) {
+                        logger.warn(`Error pruning announced videos for ${channelId}`, {
+                            error: pruneErr.message
+                        });
+                    }
+                    logger.debug(`Recorded ${claimed.length} announced videos for ${channelId}`, {
+                        claimed
+                    });
+                    resolve(claimed);
+                });
+            });
+        });
+    });
+};
+
+// Livestreams and premieres
+const upsertLiveStream = ({ videoId, channelId, status, premiere, scheduledStart, actualStart, actualEnd }) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Saving live stream state for video: ${videoId}`, {
+            channelId,
+            status,
+            premiere
+        });
+        const stmt = database.db.prepare(`
+            INSERT INTO youtube_live_streams
+                (video_id, channel_id, status, premiere, scheduled_start, actual_start, actual_end, checked_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(video_id) DO UPDATE SET
+                status = excluded.status,
+                scheduled_start = excluded.scheduled_start,
+                actual_start = excluded.actual_start,
+                actual_end = excluded.actual_end,
+                checked_at = excluded.checked_at
+        `);
+        stmt.run(videoId, channelId, status, premiere ? 1 : 0, scheduledStart, actualStart, actualEnd, Date.now(), function(err) {
+            if (err) {
+                logger.error(`Error saving live stream state for video: ${videoId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+const getActiveLiveStreams = () => {
+    return new Promise((resolve, reject) => {
+        database.db.all(
+            "SELECT * FROM youtube_live_streams WHERE status IN ('upcoming', 'live') ORDER BY scheduled_start",
+            (err, rows) => {
+                if (err) {
+                    logger.error('Error fetching active live streams', {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+const setLiveStreamStatus = (videoId, status) => {
+    return runStatement(
+        'UPDATE youtube_live_streams SET status = ?, checked_at = ? WHERE video_id = ?',
+        [status, Date.now(), videoId]
+    );
+};
+
+const markLiveStreamReminded = (videoId) => {
+    return runStatement(
+        'UPDATE youtube_live_streams SET reminded_at = ? WHERE video_id = ?',
+        [Date.now(), videoId]
+    );
+};
+
+const getYoutubeChannel = (channelId) => {
+    return new Promise((resolve, reject) => {
+        database.db.get('SELECT * FROM youtube_channels WHERE channel_id = ?', [channelId], (err, row) => {
+            if (err) {
+                logger.error(`Error fetching YouTube channel: ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+};
+
+const updateWebSubLease = (channelId, expiresAt) => {
+    return new Promise((resolve, reject) => {
+        logger.debug(`Updating WebSub lease for ${channelId}`, {
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
+        const stmt = database.db.prepare('UPDATE youtube_channels SET websub_expires_at = ? WHERE channel_id = ?');
+        stmt.run(expiresAt, channelId, function(err) {
+            if (err) {
+                logger.error(`Error updating WebSub lease for ${channelId}`, {
+                    error: err.message
+                });
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        });
+        stmt.finalize();
+    });
+};
+
+// Channels with no WebSub lease or one that expires before the given time
+const getYoutubeChannelsWithExpiringLeases = (before) => {
+    return new Promise((resolve, reject) => {
+        database.db.all(
+            'SELECT * FROM youtube_channels WHERE websub_expires_at IS NULL OR websub_expires_at < ?',
+            [before],
+            (err, rows) => {
+                if (err) {
+                    logger.error('Error fetching YouTube channels with expiring WebSub leases', {
+                        error: err.message
+                    });
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            }
+        );
+    });
+};
+
+module.exports = {
+    addYoutubeChannel,
+    removeYoutubeChannel,
+    getAllYoutubeChannels,
+    updateLastVideoId,
+    updateYoutubeChannelInfo,
+    getAnnouncedVideoIds,
+    claimAnnouncedVideos,
+    upsertLiveStream,
+    getActiveLiveStreams,
+    setLiveStreamStatus,
+    markLiveStreamReminded,
+    getYoutubeChannel,
+    updateWebSubLease,
+    getYoutubeChannelsWithExpiringLeases
+};
@@ -0,0 +1,132 @@
+// Content filters attached to subscriptions. Include filters require at least
+// one match, exclude filters reject any match. Keywords are case-insensitive
+// substrings; regexes are case-insensitive JavaScript regular expressions.
+const { LRUCache } = require('lru-cache');
+
+const maxPatternLength = 200;
+const regexCache = new LRUCache({ max: 500 });
+
+// Filters run on the main thread against every post, so a pattern that can
+// backtrack exponentially would stall the bot for every guild. Refuses
+// backreferences and repeated groups that themselves repeat or alternate,
+// like (a+)+ or (a|aa)*, which is where catastrophic backtracking comes from.
+const isSafeRegex = (pattern) => {
+    const groups = [{ repeats: false, alternates: false }];
+    // The group that was just closed, which a following quantifier repeats
+    let closedGroup = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        let repeats = false;
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                return false;
+            }
+            i++;
+        } else if (char === '[') {
+            // Character classes are a single atom; skip to the closing bracket
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') {
+                    i++;
+                }
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false, alternates: false });
+            closedGroup = null;
+            continue;
+        } else if (char === ')') {
+            closedGroup = groups.pop();
+            if (groups.length === 0) {
+                return false;
+            }
+            const parent = groups[groups.length - 1];
+            parent.repeats = parent.repeats || closedGroup.repeats;
+            parent.alternates = parent.alternates || closedGroup.alternates;
+            continue;
+        } else if (char === '|') {
+            groups[groups.length - 1].alternates = true;
+        } else if (char === '*' || char === '+') {
+            repeats = true;
+        } else if (char === '{') {
+            const bound = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+            if (bound) {
+                const max = bound[2] ? (bound[3] ? parseInt(bound[3], 10) : Infinity) : parseInt(bound[1], 10);
+                repeats = max > 1;
+                i += bound[0].length - 1;
+            }
+        }
+
+        if (repeats) {
+            if (closedGroup && (closedGroup.repeats || closedGroup.alternates)) {
+                return false;
+            }
+            groups[groups.length - 1].repeats = true;
+        }
+        closedGroup = null;
+    }
+    return true;
+};
+
+// Null for patterns that aren't safe to run
+const compileRegex = (pattern) => {
+    if (!regexCache.has(pattern)) {
+        regexCache.set(pattern, isSafeRegex(pattern) ? new RegExp(pattern, 'i') : null);
+    }
+    return regexCache.get(pattern);
+};
+
+// Returns why a pattern can't be used, or null if it's fine
+const validateFilterPattern = (type, pattern) => {
+    if (!pattern.trim()) {
+        return 'The pattern can\'t be empty.';
+    }
+    if (pattern.length > maxPatternLength) {
+        return `The pattern can be at most ${maxPatternLength} characters long.`;
+    }
+    if (type === 'regex') {
+        try {
+            if (!compileRegex(pattern)) {
+                return 'This pattern could take too long to match: it repeats a group that repeats or has alternatives, like (a+)+ or (a|b)*, or uses a backreference. Simplify it or use a keyword filter.';
+            }
+        } catch (error) {
+            return error.message;
+        }
+    }
+    return null;
+};
+
+const matchesFilter = (filter, text) => {
+    // Regex filters saved before patterns were checked fall back to keyword matching
+    const regex = filter.type === 'regex' ? compileRegex(filter.pattern) : null;
+    if (regex) {
+        return regex.test(text);
+    }
+    return text.toLowerCase().includes(filter.pattern.toLowerCase());
+};
+
+const describeFilter = (filter) => {
+    return filter.type === 'regex' ? `/${filter.pattern}/` : `"${filter.pattern}"`;
+};
+
+// Returns why the text is filtered out, or null if it passes every filter
+const getContentFilterReason = (filters, text) => {
+    const excluded = filters.find(filter => filter.mode === 'exclude' && matchesFilter(filter, text));
+    if (excluded) {
+        return `matches exclude filter ${describeFilter(excluded)}`;
+    }
+
+    const includes = filters.filter(filter => filter.mode === 'include');
+    if (includes.length > 0 && !includes.some(filter => matchesFilter(filter, text))) {
+        return 'matches no include filter';
+    }
+
+    return null;
+};
+
+module.exports = {
+    isSafeRegex,
+    validateFilterPattern,
+    describeFilter,
+    getContentFilterReason
+};
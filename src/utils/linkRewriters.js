@@ -0,0 +1,50 @@
+// Tweet links in notifications go through an embed-fix service so Discord
+// shows a proper preview. Each rewriter turns an original twitter.com or x.com
+// status URL into its own link; guilds pick one by key, and guilds that
+// haven't picked one use TWITTER_LINK_PROVIDER (vxtwitter by default).
+const { system: logger } = require('./logger');
+
+const tweetUrlPattern = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter\.com|x\.com)\//i;
+
+const hostRewriter = (host) => (url) => url.replace(tweetUrlPattern, `https://${host}/`);
+
+const rewriters = new Map();
+
+const registerLinkRewriter = (key, { name, rewrite }) => {
+    rewriters.set(key, { key, name, rewrite });
+};
+
+registerLinkRewriter('vxtwitter', { name: 'vxTwitter (vxtwitter.com)', rewrite: hostRewriter('vxtwitter.com') });
+registerLinkRewriter('fxtwitter', { name: 'FxTwitter (fxtwitter.com)', rewrite: hostRewriter('fxtwitter.com') });
+registerLinkRewriter('fixupx', { name: 'FixupX (fixupx.com)', rewrite: hostRewriter('fixupx.com') });
+registerLinkRewriter('x', { name: 'Plain x.com links', rewrite: hostRewriter('x.com') });
+registerLinkRewriter('none', { name: 'Original links, no rewriting', rewrite: (url) => url });
+
+// A self-hosted FxTwitter or vxTwitter instance
+const customHost = process.env.TWITTER_LINK_CUSTOM_HOST?.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+if (customHost) {
+    registerLinkRewriter('custom', { name: `Self-hosted (${customHost})`, rewrite: hostRewriter(customHost) });
+}
+
+let defaultLinkRewriter = process.env.TWITTER_LINK_PROVIDER || 'vxtwitter';
+if (!rewriters.has(defaultLinkRewriter)) {
+    logger.warn(`Unknown TWITTER_LINK_PROVIDER: ${defaultLinkRewriter}, using vxtwitter`, {
+        available: [...rewriters.keys()]
+    });
+    defaultLinkRewriter = 'vxtwitter';
+}
+
+// A guild's stored choice may no longer exist, e.g. once the custom host is unset
+const getLinkRewriter = (key = null) => rewriters.get(key) || rewriters.get(defaultLinkRewriter);
+
+const getLinkRewriters = () => [...rewriters.values()];
+
+const rewriteTweetUrl = (url, key = null) => getLinkRewriter(key).rewrite(url);
+
+module.exports = {
+    registerLinkRewriter,
+    getLinkRewriter,
+    getLinkRewriters,
+    rewriteTweetUrl,
+    get defaultLinkRewriter() { return defaultLinkRewriter; }
+};
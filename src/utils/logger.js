@@ -91,19 +91,24 @@ const createLogger = (component) => {
 // Create specific loggers
 const loggers = {
     database: createLogger('database'),
-    twitter: createLogger('twitter'),
-    youtube: createLogger('youtube'),
     commands: createLogger('commands'),
     system: createLogger('system')
 };
 
-// Helper function to get logger by component
+// Logger of a component, created on first use. Sources log under their
+// name (e.g. getLogger('twitter') writes twitter-<date>.log), so a new
+// source gets its own log file without being listed here.
 const getLogger = (component) => {
-    return loggers[component] || loggers.system;
+    if (!loggers[component]) {
+        loggers[component] = createLogger(component);
+    }
+    return loggers[component];
 };
 
-// Export individual loggers and helper function
+// Export the core loggers and helper function
 module.exports = {
-    ...loggers,
+    database: loggers.database,
+    commands: loggers.commands,
+    system: loggers.system,
     getLogger
 };
@@ -0,0 +1,40 @@
+// Notification mentions are stored as a role ID, 'here' or 'everyone'.
+// Messages always carry explicit allowedMentions, so only the configured
+// mention can ping anyone; names in tweet text or video titles never do.
+// An @here mention has to allow @everyone too, so renderTemplate breaks up
+// @everyone and @here in the text it fills in.
+const massMentions = ['here', 'everyone'];
+
+const formatMention = (mention) => {
+    if (!mention) {
+        return '';
+    }
+    return massMentions.includes(mention) ? `@${mention}` : `<@&${mention}>`;
+};
+
+const getAllowedMentions = (mention) => {
+    if (!mention) {
+        return { parse: [] };
+    }
+    return massMentions.includes(mention) ? { parse: ['everyone'] } : { parse: [], roles: [mention] };
+};
+
+// Stores the @everyone role as 'everyone' since its ID is the guild ID
+const getMentionFromRole = (role) => role.id === role.guild.id ? 'everyone' : role.id;
+
+// Extra permissions a message with these allowedMentions needs: @here,
+// @everyone and roles that aren't mentionable by everyone need Mention Everyone
+const getMentionPermissions = (guild, allowedMentions) => {
+    if (allowedMentions?.parse?.includes('everyone')) {
+        return ['MentionEveryone'];
+    }
+    const roles = (allowedMentions?.roles || []).map(id => guild.roles.cache.get(id)).filter(Boolean);
+    return roles.some(role => !role.mentionable) ? ['MentionEveryone'] : [];
+};
+
+module.exports = {
+    formatMention,
+    getAllowedMentions,
+    getMentionFromRole,
+    getMentionPermissions
+};
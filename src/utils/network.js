@@ -0,0 +1,123 @@
+// Guards requests to URLs that users type, like /rss add, so they can't be
+// used to reach the bot host's own network: loopback, private, link-local
+// (cloud metadata services live at 169.254.169.254) and other reserved
+// addresses are refused, on every redirect hop.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const blockedRanges = new net.BlockList();
+for (const [address, prefix, type] of [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    // BlockList also applies the IPv4 ranges to IPv4-mapped addresses (::ffff:127.0.0.1)
+    ['::1', 128, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+]) {
+    blockedRanges.addSubnet(address, prefix, type);
+}
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+class NonPublicAddressError extends Error {
+    constructor(host) {
+        super(`${host} is not a public address`);
+        this.name = 'NonPublicAddressError';
+        this.code = 'NON_PUBLIC_ADDRESS';
+    }
+}
+
+// dns.lookup that fails for names resolving to a non-public address. The
+// agents below use it, so the address that was checked is the one connected to.
+const publicLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    } else if (typeof options === 'number') {
+        options = { family: options };
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            callback(err);
+        } else if (addresses.some(entry => !isPublicAddress(entry.address))) {
+            callback(new NonPublicAddressError(hostname));
+        } else if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+};
+
+const publicAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Connections to IP literals skip the lookup, so those are checked up front
+const assertPublicUrl = (url) => {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new NonPublicAddressError(url);
+    }
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw new NonPublicAddressError(host);
+    }
+};
+
+/**
+ * GET through an axios instance, allowing only public http(s) addresses.
+ * Redirects are followed here rather than by axios so every hop is checked.
+ * Resolves to { response, url } with the URL that finally answered.
+ */
+const getPublicUrl = async (client, url, config = {}, maxRedirects = 5) => {
+    const validateStatus = config.validateStatus || client.defaults.validateStatus;
+    for (let hop = 0; ; hop++) {
+        assertPublicUrl(url);
+        const response = await client.get(url, {
+            ...config,
+            ...publicAgents,
+            maxRedirects: 0,
+            validateStatus: (status) => (status >= 300 && status < 400 && status !== 304) || validateStatus(status)
+        });
+
+        if (response.status < 300 || response.status >= 400 || response.status === 304) {
+            return { response, url };
+        }
+        const location = response.headers.location;
+        if (!location) {
+            throw new Error(`Redirect without a location: ${url}`);
+        }
+        if (hop >= maxRedirects) {
+            throw new Error(`Too many redirects: ${url}`);
+        }
+        url = new URL(location, url).href;
+    }
+};
+
+module.exports = {
+    isPublicAddress,
+    assertPublicUrl,
+    getPublicUrl
+};
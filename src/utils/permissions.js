@@ -0,0 +1,19 @@
+// Permissions the bot needs in any channel it posts notifications to
+const REQUIRED_CHANNEL_PERMISSIONS = ['ViewChannel', 'SendMessages', 'EmbedLinks'];
+
+// Returns the required permissions the user (usually the bot) is missing in a channel
+const getMissingChannelPermissions = (channel, user, required = REQUIRED_CHANNEL_PERMISSIONS) => {
+    const permissions = channel.permissionsFor(user);
+    return required.filter(perm => !permissions?.has(perm));
+};
+
+// Builds the user-facing lines /setup and the add commands reply with
+const describeMissingPermissions = (channel, missing) => {
+    return missing.map(perm => `Missing ${perm} permission in ${channel}`);
+};
+
+module.exports = {
+    REQUIRED_CHANNEL_PERMISSIONS,
+    getMissingChannelPermissions,
+    describeMissingPermissions
+};
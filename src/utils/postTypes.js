@@ -0,0 +1,52 @@
+// Kinds of posts a subscription can opt out of. They are stored in the
+// include_* subscription columns that began as Twitter's tweet types, so
+// every source with reposts and replies shares the same settings. A source
+// describes its own wording for each kind: the command option `name`, the
+// `label` used in lists, the filter `reason` recorded in the history and the
+// option `description`.
+const postTypeColumns = {
+    repost: 'include_retweets',
+    reply: 'include_replies',
+    quote: 'include_quotes',
+    mediaOnly: 'include_media_only'
+};
+
+const addPostTypeOptions = (subcommand, types) => {
+    for (const type of types) {
+        subcommand.addBooleanOption(option =>
+            option.setName(type.name)
+                .setDescription(type.description));
+    }
+    return subcommand;
+};
+
+// Only the options the user actually set, so the others keep their value
+const getPostTypeSettings = (interaction, types) => {
+    const settings = {};
+    for (const type of types) {
+        const value = interaction.options.getBoolean(type.name);
+        if (value !== null) {
+            settings[postTypeColumns[type.kind]] = value;
+        }
+    }
+    return settings;
+};
+
+const describePostTypes = (subscription, types) => {
+    const excluded = types.filter(type => !subscription[postTypeColumns[type.kind]]).map(type => type.label);
+    return excluded.length ? `no ${excluded.join(', ')}` : null;
+};
+
+// `kind` flags what the post is, e.g. { repost: false, reply: true, ... }.
+// Returns why the subscription doesn't want the post, or null to announce it.
+const getPostTypeFilterReason = (kind, subscription, types) => {
+    const type = types.find(type => kind[type.kind] && !subscription[postTypeColumns[type.kind]]);
+    return type ? type.reason : null;
+};
+
+module.exports = {
+    addPostTypeOptions,
+    getPostTypeSettings,
+    describePostTypes,
+    getPostTypeFilterReason
+};
@@ -0,0 +1,99 @@
+const { ChannelType } = require('discord.js');
+const {
+    addSubscription,
+    removeSubscription,
+    getGuildSubscriptions,
+    countAccountSubscriptions
+} = require('../database/database');
+const { getSource } = require('../sources');
+const { getPostTypeSettings } = require('./postTypes');
+
+// The guild's subscription to the account the user named, or null
+const findGuildSubscription = async (guildId, source, input) => {
+    const accountId = await getSource(source).findAccountId(guildId, input);
+    const subscriptions = await getGuildSubscriptions(guildId, source);
+    return subscriptions.find(sub => sub.account_id === accountId) || null;
+};
+
+// Subscriptions of a source that is no longer installed show their raw ID
+const getAccountName = async (source, accountId) => {
+    return getSource(source)?.getAccountName(accountId) ?? accountId;
+};
+
+// Looks up what the user typed, starts fetching the account and subscribes
+// the guild. Resolves to { error } when the account can't be followed.
+const followAccount = async (guildId, source, input, channelId = null) => {
+    const resolved = await getSource(source).resolveAccount(input);
+    if (resolved.error) {
+        return resolved;
+    }
+
+    await getSource(source).trackAccount(resolved);
+    await addSubscription(guildId, source, resolved.accountId, channelId);
+    return resolved;
+};
+
+// Unsubscribes the guild and stops fetching the account once no guild
+// follows it any more. Resolves to the account ID, or null when the guild
+// didn't follow it.
+const unfollowAccount = async (guildId, source, input) => {
+    const accountId = await getSource(source).findAccountId(guildId, input);
+    const result = accountId
+        ? await removeSubscription(guildId, source, accountId)
+        : { changes: 0 };
+    if (result.changes === 0) {
+        return null;
+    }
+
+    if (await countAccountSubscriptions(source, accountId) === 0) {
+        await getSource(source).untrackAccount(accountId);
+    }
+    return accountId;
+};
+
+// Options a subscription to the source can be added with: a boolean for
+// each post type it can opt out of, then the source's own options
+const getSubscriptionOptions = (source) => [
+    ...(source.postTypes || []).map(type => ({ name: type.name, type: 'boolean', description: type.description })),
+    ...(source.subscriptionOptions || [])
+];
+
+// Adds subscription options to a slash command or subcommand builder
+const addSubscriptionOptions = (builder, options) => {
+    for (const { name, type, description, choices } of options) {
+        if (type === 'boolean') {
+            builder.addBooleanOption(option => option.setName(name).setDescription(description));
+        } else if (type === 'channel') {
+            builder.addChannelOption(option =>
+                option.setName(name)
+                    .setDescription(description)
+                    .addChannelTypes(ChannelType.GuildText));
+        } else {
+            builder.addStringOption(option => {
+                option.setName(name).setDescription(description);
+                return choices ? option.addChoices(...choices) : option;
+            });
+        }
+    }
+    return builder;
+};
+
+// Subscription settings from the options the user set, or { error } when
+// they contradict each other
+const getSubscriptionSettings = (source, interaction) => {
+    const own = source.getSubscriptionSettings?.(interaction) ?? { settings: {} };
+    if (own.error) {
+        return own;
+    }
+    return { settings: { ...getPostTypeSettings(interaction, source.postTypes || []), ...own.settings } };
+};
+
+module.exports = {
+    getSubscriptionOptions,
+    addSubscriptionOptions,
+    getSubscriptionSettings,
+    findGuildSubscription,
+    getAccountName,
+    followAccount,
+    unfollowAccount
+};
@@ -0,0 +1,134 @@
+// Notification message templates. A template sets the message content and
+// optionally the embed colour and footer. Placeholders are written as {name};
+// slash command options can't contain line breaks, so "\n" in a template
+// becomes a new line.
+
+// Discord limits for the parts a template controls
+const limits = {
+    content: 2000,
+    footer: 2048
+};
+
+// Every placeholder value is cut to its maximum length when rendered, so a
+// template that fits with the maximums always fits in a message
+const placeholders = {
+    author: { maxLength: 100, description: 'Display name of the account or channel' },
+    handle: { maxLength: 100, description: 'Username or @handle' },
+    url: { maxLength: 200, description: 'Link to the post or video' },
+    title: { maxLength: 200, description: 'Video title (first line of the text for tweets)' },
+    text: { maxLength: 1000, description: 'Tweet text or video description' },
+    published: { maxLength: 40, description: 'Publish time, shown in each reader\'s time zone' },
+    game: { maxLength: 100, description: 'Game or category of a Twitch stream' },
+    start: { maxLength: 40, description: 'When a livestream or premiere starts or started, relative to now' },
+    mention: { maxLength: 30, description: 'The role or @here ping, added in front of the message when not placed' }
+};
+
+// Built-in templates by key, registered by the sources (see src/sources).
+// A source has a template named after itself and can add more, e.g. for
+// livestreams. Each has a display `name`, the `source` it belongs to and
+// `sample` values for previews besides the template parts.
+const defaultTemplates = {};
+
+const registerDefaultTemplate = (key, template) => {
+    defaultTemplates[key] = template;
+};
+
+const placeholderPattern = /\{(\w+)\}/g;
+
+// allowedMentions can't let @here ping without @everyone, so mass mentions in
+// post text and titles are broken up with a zero-width space. Only {mention},
+// which the bot fills in itself, can ping the whole server.
+const neutralizeMassMentions = (value) => value.replace(/@(everyone|here)/gi, '@\u200b$1');
+
+const unescapeTemplate = (template) => template.replace(/\\n/g, '\n');
+
+const truncate = (value, maxLength) => {
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+};
+
+// Length of the template once every placeholder is filled to its maximum
+const getMaxRenderedLength = (template) => {
+    return unescapeTemplate(template).replace(placeholderPattern, (match, name) => {
+        return placeholders[name] ? 'x'.repeat(placeholders[name].maxLength) : match;
+    }).length;
+};
+
+// Returns the problems with a template part, empty when it can be used
+const validateTemplate = (template, part = 'content') => {
+    const problems = [];
+    const unknown = [...template.matchAll(placeholderPattern)]
+        .map(match => match[1])
+        .filter(name => !placeholders[name]);
+    if (unknown.length > 0) {
+        problems.push(`Unknown placeholders: ${[...new Set(unknown)].map(name => `{${name}}`).join(', ')}`);
+    }
+
+    // Leave room for the mention that is put in front when the template doesn't place it
+    const mentionRoom = part === 'content' && !template.includes('{mention}') ? placeholders.mention.maxLength + 1 : 0;
+    const maxLength = getMaxRenderedLength(template) + mentionRoom;
+    if (maxLength > limits[part]) {
+        problems.push(`The ${part} can grow to ${maxLength} characters with long posts, over Discord's limit of ${limits[part]}. Shorten it or use fewer long placeholders like {text}.`);
+    }
+
+    return problems;
+};
+
+const renderTemplate = (template, values) => {
+    return unescapeTemplate(template).replace(placeholderPattern, (match, name) => {
+        if (!placeholders[name]) {
+            return match;
+        }
+        const value = String(values[name] ?? '');
+        return truncate(name === 'mention' ? value : neutralizeMassMentions(value), placeholders[name].maxLength);
+    });
+};
+
+// Picks each part from the subscription template, then the guild default, then the built-in default
+const resolveTemplate = (key, ...templates) => {
+    const { content, color, footer } = defaultTemplates[key];
+    const resolved = { content, color, footer };
+    for (const template of templates.filter(Boolean).reverse()) {
+        for (const part of ['content', 'color', 'footer']) {
+            if (template[part] !== null && template[part] !== undefined) {
+                resolved[part] = template[part];
+            }
+        }
+    }
+    return resolved;
+};
+
+// Applies a resolved template to a notification's embed JSON and content
+const applyTemplate = (template, values, embed) => {
+    const footer = renderTemplate(template.footer, values);
+    let content = renderTemplate(template.content, values);
+    if (values.mention && !template.content.includes('{mention}')) {
+        content = `${values.mention} ${content}`;
+    }
+    return {
+        content,
+        embed: {
+            ...embed,
+            color: template.color,
+            footer: footer ? { ...embed.footer, text: footer } : undefined
+        }
+    };
+};
+
+const parseColor = (input) => {
+    const match = input.trim().match(/^#?([0-9a-f]{6})$/i);
+    return match ? parseInt(match[1], 16) : null;
+};
+
+const formatColor = (color) => `#${color.toString(16).padStart(6, '0').toUpperCase()}`;
+
+module.exports = {
+    placeholders,
+    defaultTemplates,
+    registerDefaultTemplate,
+    validateTemplate,
+    renderTemplate,
+    resolveTemplate,
+    applyTemplate,
+    parseColor,
+    formatColor
+};
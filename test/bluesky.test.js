@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const databasePath = path.join(os.tmpdir(), `bluesky-test-${process.pid}.sqlite`);
+process.env.DATABASE_PATH = databasePath;
+
+const database = require('../src/database/database');
+const store = require('../src/sources/bluesky/store');
+
+// A local stand-in for the XRPC endpoints the integration reads
+const did = 'did:plc:alice';
+const otherDid = 'did:plc:bob';
+const author = { did, handle: 'alice.test', displayName: 'Alice' };
+// After the time accounts are added at, so cursors can move to it
+const base = Date.now() + 3600000;
+const at = (minutes) => new Date(base + minutes * 60000).toISOString();
+
+const post = (rkey, minutes, record = {}) => ({
+    post: {
+        uri: `at://${did}/app.bsky.feed.post/${rkey}`,
+        author,
+        indexedAt: at(minutes),
+        record: { text: `post ${rkey}`, createdAt: at(minutes), ...record }
+    }
+});
+
+let feed = [];
+const feedRequests = [];
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    res.setHeader('Content-Type', 'application/json');
+
+    switch (url.pathname) {
+        case '/xrpc/com.atproto.identity.resolveHandle':
+            if (params.handle === 'alice.test') {
+                res.end(JSON.stringify({ did }));
+            } else {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: 'InvalidRequest', message: 'Unable to resolve handle' }));
+            }
+            return;
+        case '/xrpc/app.bsky.actor.getProfile':
+            res.end(JSON.stringify(author));
+            return;
+        case '/xrpc/app.bsky.feed.getAuthorFeed': {
+            feedRequests.push(params);
+            const start = parseInt(params.cursor || '0', 10);
+            const page = feed.slice(start, start + parseInt(params.limit, 10));
+            const next = start + page.length < feed.length ? String(start + page.length) : undefined;
+            res.end(JSON.stringify({ feed: page, cursor: next }));
+            return;
+        }
+        default:
+            res.statusCode = 404;
+            res.end('{}');
+    }
+});
+
+let bluesky;
+
+before(async () => {
+    await database.initializeDatabase();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.BLUESKY_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+    bluesky = require('../src/integrations/bluesky');
+    bluesky.pageSize = 2;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(databasePath, { force: true });
+});
+
+test('resolves handles, DIDs and profile URLs', async () => {
+    assert.deepStrictEqual(await bluesky.resolveActor('@Alice.Test'), {
+        did,
+        handle: 'alice.test',
+        displayName: 'Alice',
+        avatar: null
+    });
+    assert.strictEqual((await bluesky.resolveActor('https://bsky.app/profile/alice.test')).did, did);
+    assert.strictEqual((await bluesky.resolveActor(did)).did, did);
+});
+
+test('reports unknown and malformed accounts', async () => {
+    assert.deepStrictEqual(await bluesky.resolveActor('nobody.test'), { error: 'not_found' });
+    assert.deepStrictEqual(await bluesky.resolveActor('not a handle'), { error: 'invalid' });
+    assert.deepStrictEqual(await bluesky.resolveActor('https://bsky.app/profile/%E0%A4%A'), { error: 'invalid' });
+});
+
+test('reads pages until it reaches the cursor, oldest first', async () => {
+    feed = [
+        { ...post('pinned', -60), reason: { $type: 'app.bsky.feed.defs#reasonPin' } },
+        post('e', 5),
+        post('d', 4),
+        post('c', 3),
+        post('b', 2),
+        post('old', -10),
+        post('older', -20)
+    ];
+    feedRequests.length = 0;
+
+    const items = await bluesky.fetchNewFeedItems({ did, handle: 'alice.test', last_seen_at: base, last_seen_ids: null });
+    assert.deepStrictEqual(items.map(item => item.post.uri.split('/').pop()), ['b', 'c', 'd', 'e']);
+    assert.deepStrictEqual(feedRequests.map(params => params.cursor), [undefined, '2', '4']);
+});
+
+test('announces posts that share the cursor time once each', async () => {
+    await store.addBlueskyAccount(did, 'alice.test', 'Alice');
+    await store.updateBlueskyCursor(did, base, [`at://${did}/app.bsky.feed.post/cursor`]);
+    feed = [post('later-b', 1), post('later-a', 1), post('twin', 0), post('cursor', 0), post('older', -1)];
+
+    const items = await bluesky.fetchNewFeedItems(await store.getBlueskyAccount(did));
+    assert.deepStrictEqual(items.map(item => item.post.uri.split('/').pop()).sort(), ['later-a', 'later-b', 'twin']);
+
+    // Both posts at the newest time are kept in the cursor
+    await bluesky.advanceCursors(items.map(feedItem => ({ did, feedItem })));
+    assert.deepStrictEqual(await bluesky.fetchNewFeedItems(await store.getBlueskyAccount(did)), []);
+
+    // A post that arrives later in the same millisecond is still announced
+    feed = [post('later-c', 1), ...feed];
+    const late = await bluesky.fetchNewFeedItems(await store.getBlueskyAccount(did));
+    assert.deepStrictEqual(late.map(item => item.post.uri.split('/').pop()), ['later-c']);
+    await bluesky.advanceCursors(late.map(feedItem => ({ did, feedItem })));
+    assert.deepStrictEqual(await bluesky.fetchNewFeedItems(await store.getBlueskyAccount(did)), []);
+});
+
+test('dates reposts by the repost and keeps them apart from the post', async () => {
+    const original = post('orig', -30);
+    feed = [
+        { ...original, reason: { $type: 'app.bsky.feed.defs#reasonRepost', by: author, indexedAt: at(2) } },
+        post('new', 1),
+        original
+    ];
+
+    const items = await bluesky.fetchNewFeedItems({ did, handle: 'alice.test', last_seen_at: base, last_seen_ids: null });
+    assert.deepStrictEqual(items.map(item => bluesky.getItemId(item)), [
+        `at://${did}/app.bsky.feed.post/new`,
+        `at://${did}/app.bsky.feed.post/orig#repost`
+    ]);
+});
+
+test('classifies reposts, replies and threads', () => {
+    const repost = { ...post('r', 0), reason: { $type: 'app.bsky.feed.defs#reasonRepost', by: author, indexedAt: at(0) } };
+    const reply = post('re', 0, { reply: { parent: { uri: `at://${otherDid}/app.bsky.feed.post/p` } } });
+    const thread = post('th', 0, { reply: { parent: { uri: `at://${did}/app.bsky.feed.post/p` } } });
+
+    assert.strictEqual(bluesky.classifyPost(repost).repost, true);
+    assert.strictEqual(bluesky.classifyPost(repost).reply, false);
+    assert.strictEqual(bluesky.classifyPost(reply).reply, true);
+    assert.strictEqual(bluesky.classifyPost(thread).reply, false);
+});
@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const databasePath = path.join(os.tmpdir(), `delivery-test-${process.pid}.sqlite`);
+process.env.DATABASE_PATH = databasePath;
+process.env.DELIVERY_MAX_ATTEMPTS = '3';
+
+const database = require('../src/database/database');
+const { processOutbox } = require('../src/handlers/deliveryHandler');
+
+const guildId = 'guild';
+
+// A stand-in for the parts of discord.js the worker uses. Each channel sends
+// with its own handler, and every send is recorded with its options.
+const sends = [];
+const channels = new Map();
+const addChannel = (id, send) => channels.set(id, {
+    id,
+    permissionsFor: () => ({ has: () => true }),
+    send: async (options) => {
+        sends.push({ channelId: id, ...options });
+        return send(options);
+    }
+});
+
+const guild = {
+    roles: { cache: new Map() },
+    channels: { fetch: async (id) => channels.get(id) ?? null }
+};
+const client = {
+    user: { id: 'bot' },
+    guilds: { cache: new Map([[guildId, guild]]) }
+};
+
+let messageCount = 0;
+const sent = () => ({ id: `message-${++messageCount}` });
+const fail = () => {
+    throw new Error('socket hang up');
+};
+
+const enqueue = (itemId, channelId) => database.enqueueDelivery({
+    guildId,
+    channelId,
+    source: 'twitter',
+    accountId: 'account',
+    itemId,
+    payload: { content: `tweet ${itemId}`, embeds: [], components: [], allowedMentions: { parse: [] } }
+});
+
+const getDelivery = async (itemId) => {
+    for (const status of ['pending', 'sent', 'dead']) {
+        const row = (await database.getGuildDeliveries(guildId, status, 100)).find(entry => entry.item_id === itemId);
+        if (row) {
+            return row;
+        }
+    }
+    return null;
+};
+
+// Skips the backoff so the next run retries right away
+const makeDue = (itemId) => database.runStatement('UPDATE outbox SET next_attempt_at = 0 WHERE item_id = ?', [itemId]);
+
+before(async () => {
+    await database.initializeDatabase();
+    addChannel('news', sent);
+    addChannel('alerts', sent);
+});
+
+after(() => {
+    fs.rmSync(databasePath, { force: true });
+});
+
+test('queues an item once per channel', async () => {
+    assert.strictEqual(await enqueue('1', 'news'), true);
+    assert.strictEqual(await enqueue('1', 'news'), false);
+    assert.strictEqual(await enqueue('1', 'alerts'), true);
+
+    await processOutbox(client);
+    assert.deepStrictEqual(sends.map(send => send.channelId).sort(), ['alerts', 'news']);
+    assert.strictEqual((await database.getItemNotifications('twitter', '1')).length, 2);
+
+    // Queueing it again after it was sent doesn't send it twice
+    assert.strictEqual(await enqueue('1', 'news'), false);
+    sends.length = 0;
+    await processOutbox(client);
+    assert.deepStrictEqual(sends, []);
+});
+
+test('retries failed sends with a doubling delay and the same nonce', async () => {
+    const results = [fail, fail, sent];
+    addChannel('flaky', () => results.shift()());
+    await enqueue('2', 'flaky');
+    sends.length = 0;
+
+    const delays = [];
+    for (let run = 0; run < 3; run++) {
+        const startedAt = Date.now();
+        await processOutbox(client);
+        const delivery = await getDelivery('2');
+        if (delivery.status === 'pending') {
+            delays.push(Math.round((delivery.next_attempt_at - startedAt) / 1000));
+            assert.strictEqual(delivery.last_error, 'socket hang up');
+            await makeDue('2');
+        }
+    }
+
+    const delivery = await getDelivery('2');
+    assert.strictEqual(delivery.status, 'sent');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.ok(delivery.message_id);
+    assert.deepStrictEqual(delays, [30, 60]);
+
+    // Discord returns the first message for a retried nonce, so a send that
+    // went through before a crash isn't posted twice
+    assert.strictEqual(sends.length, 3);
+    assert.ok(sends.every(send => send.nonce === `outbox-${delivery.id}` && send.enforceNonce));
+});
+
+test('dead-letters a delivery once it runs out of attempts', async () => {
+    addChannel('broken', fail);
+    await enqueue('3', 'broken');
+    sends.length = 0;
+
+    for (let run = 0; run < 4; run++) {
+        await processOutbox(client);
+        await makeDue('3');
+    }
+
+    const delivery = await getDelivery('3');
+    assert.strictEqual(delivery.status, 'dead');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(sends.length, 3);
+
+    // /outbox retry puts it back in the queue
+    await database.retryDeliveries(guildId, delivery.id);
+    assert.strictEqual((await getDelivery('3')).status, 'pending');
+});
+
+test('dead-letters right away when the channel is gone', async () => {
+    await enqueue('4', 'deleted');
+    await processOutbox(client);
+
+    const delivery = await getDelivery('4');
+    assert.strictEqual(delivery.status, 'dead');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.last_error, 'Channel not found');
+});
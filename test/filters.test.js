@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    isSafeRegex,
+    validateFilterPattern,
+    describeFilter,
+    getContentFilterReason
+} = require('../src/utils/filters');
+
+const keyword = (mode, pattern) => ({ mode, type: 'keyword', pattern });
+const regex = (mode, pattern) => ({ mode, type: 'regex', pattern });
+
+test('accepts patterns that match in linear time', () => {
+    for (const pattern of ['giveaway', '^\\[sale\\]', 'a+b*', '(foo|bar) ?baz', '(ab)+', '(a|b)c{2,5}', '[(+*)]+', 'x{1}', '\\d+']) {
+        assert.strictEqual(isSafeRegex(pattern), true, pattern);
+    }
+});
+
+test('refuses nested repetition, repeated alternation and backreferences', () => {
+    for (const pattern of ['(a+)+', '(a*)*', '(a|aa)*', '((ab)+c)+', '(a|b){2,}', '(a+){3}', '(\\w+\\s?)*$', '(a)\\1', '(?<x>a)\\k<x>', 'a)']) {
+        assert.strictEqual(isSafeRegex(pattern), false, pattern);
+    }
+});
+
+test('explains why a pattern can\'t be used', () => {
+    assert.strictEqual(validateFilterPattern('keyword', 'giveaway'), null);
+    assert.strictEqual(validateFilterPattern('regex', 'give ?away'), null);
+    assert.match(validateFilterPattern('keyword', '  '), /can't be empty/);
+    assert.match(validateFilterPattern('keyword', 'x'.repeat(201)), /at most 200/);
+    assert.match(validateFilterPattern('regex', '(a+)+$'), /could take too long/);
+    assert.match(validateFilterPattern('regex', '[unclosed'), /Invalid regular expression/);
+});
+
+test('exclude filters reject any match, include filters require one', () => {
+    const filters = [keyword('include', 'Update'), regex('include', '^patch \\d+'), keyword('exclude', 'leak')];
+
+    assert.strictEqual(getContentFilterReason(filters, 'Big UPDATE today'), null);
+    assert.strictEqual(getContentFilterReason(filters, 'Patch 12 notes'), null);
+    assert.strictEqual(getContentFilterReason(filters, 'New merch'), 'matches no include filter');
+    assert.strictEqual(getContentFilterReason(filters, 'Update: the leak was fake'), 'matches exclude filter "leak"');
+    assert.strictEqual(getContentFilterReason([], 'anything'), null);
+});
+
+test('falls back to keyword matching for unsafe regexes saved before they were checked', () => {
+    const filters = [regex('exclude', '(a+)+')];
+
+    assert.strictEqual(getContentFilterReason(filters, 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'), null);
+    assert.strictEqual(getContentFilterReason(filters, 'literally (a+)+'), 'matches exclude filter /(a+)+/');
+    assert.strictEqual(describeFilter(keyword('include', 'news')), '"news"');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { renderTemplate, validateTemplate, applyTemplate } = require('../src/utils/templates');
+const { formatMention, getAllowedMentions } = require('../src/utils/mentions');
+
+const twitterTemplate = { content: 'New tweet from {handle}!\\n{text}', color: 0x1DA1F2, footer: 'Twitter' };
+
+test('keeps @everyone in a tweet from pinging under an @here subscription', () => {
+    const values = {
+        handle: 'example',
+        text: 'Giveaway! @everyone and @here should enter',
+        mention: formatMention('here')
+    };
+    const { content } = applyTemplate(twitterTemplate, values, {});
+
+    // Discord can only allow @here together with @everyone
+    assert.deepStrictEqual(getAllowedMentions('here'), { parse: ['everyone'] });
+    assert.ok(content.startsWith('@here New tweet from example!\n'));
+    assert.strictEqual(content.match(/@(everyone|here)/g).length, 1);
+    assert.ok(content.includes('@\u200beveryone and @\u200bhere should enter'));
+});
+
+test('fills placeholders and turns \\n into line breaks', () => {
+    const rendered = renderTemplate('{author} posted:\\n{title} {url}', {
+        author: 'Example',
+        title: 'Hello',
+        url: 'https://example.com/1'
+    });
+    assert.strictEqual(rendered, 'Example posted:\nHello https://example.com/1');
+});
+
+test('leaves unknown placeholders as written and empties missing values', () => {
+    assert.strictEqual(renderTemplate('{author} {nope} [{game}]', { author: 'Example', game: null }), 'Example {nope} []');
+    assert.deepStrictEqual(validateTemplate('{author} {nope} {nope}'), ['Unknown placeholders: {nope}']);
+});
+
+test('cuts each value to its placeholder\'s maximum length', () => {
+    const rendered = renderTemplate('{author}|{text}', { author: 'a'.repeat(150), text: 'b'.repeat(1000) });
+    const [author, text] = rendered.split('|');
+
+    assert.strictEqual(author, `${'a'.repeat(99)}…`);
+    assert.strictEqual(text, 'b'.repeat(1000));
+});
+
+test('refuses templates that can outgrow the message limit', () => {
+    assert.deepStrictEqual(validateTemplate('New tweet from {handle}!\\n{text}'), []);
+    const [problem] = validateTemplate('{text}\\n{text}');
+    assert.match(problem, /can grow to 2032 characters/);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const databasePath = path.join(os.tmpdir(), `twitter-test-${process.pid}.sqlite`);
+process.env.DATABASE_PATH = databasePath;
+
+const database = require('../src/database/database');
+const store = require('../src/sources/twitter/store');
+const twitter = require('../src/integrations/twitter');
+
+const users = [
+    { id: '11', username: 'Alice' },
+    { id: '12', username: 'bob' }
+];
+const tweet = (id, authorId) => ({ id, author_id: authorId, text: `tweet ${id}`, created_at: new Date().toISOString() });
+
+// Search results, newest first, served `perPage` at a time like search/recent
+let results = [];
+let perPage = 2;
+const requests = [];
+
+before(async () => {
+    await database.initializeDatabase();
+    twitter.handleRateLimit = async () => true;
+    twitter.api = {
+        get: async (url, { params }) => {
+            requests.push(params);
+            const start = parseInt(params.next_token || '0', 10);
+            const page = results.slice(start, start + perPage);
+            const next = start + page.length < results.length ? String(start + page.length) : undefined;
+            return {
+                headers: { 'x-rate-limit-remaining': '179', 'x-rate-limit-reset': '0' },
+                data: { data: page, includes: { users }, meta: { next_token: next } }
+            };
+        }
+    };
+});
+
+after(() => {
+    fs.rmSync(databasePath, { force: true });
+});
+
+test('packs accounts into from: queries under the length limit', () => {
+    twitter.maxQueryLength = 40;
+    const batches = twitter.planBatches([
+        { account_handle: 'alice', user_id: '11', last_tweet_id: '500' },
+        { account_handle: 'bob', user_id: '12', last_tweet_id: '900' },
+        { account_handle: 'carol', user_id: '13', last_tweet_id: '700' },
+        { account_handle: 'dave', user_id: '14', last_tweet_id: null },
+        { account_handle: 'erin', user_id: null, last_tweet_id: null }
+    ]);
+    twitter.maxQueryLength = 512;
+
+    // Closest since_ids share a batch, which starts from the oldest of them;
+    // accounts that were never fetched get a batch of their own
+    assert.deepStrictEqual(batches.map(({ query, sinceId }) => ({ query, sinceId })), [
+        { query: '(from:12 OR from:13 OR from:11)', sinceId: '500' },
+        { query: '(from:14 OR from:erin)', sinceId: null }
+    ]);
+    assert.ok(batches.every(batch => batch.query.length <= 40));
+    assert.deepStrictEqual(twitter.planBatches([{ account_handle: 'alice', user_id: '11', last_tweet_id: null }])
+        .map(batch => batch.query), ['from:11']);
+});
+
+test('splits a batch back per account, oldest first', async () => {
+    await store.pinTwitterAccount('alice', '11', 'Alice');
+    await store.pinTwitterAccount('bob', '12', 'Bob');
+    await store.updateLastTweetId('alice', '100');
+    await store.updateLastTweetId('bob', '103');
+    results = [tweet('105', '11'), tweet('104', '12'), tweet('103', '12'), tweet('102', '11')];
+    requests.length = 0;
+
+    const [batch] = twitter.planBatches(await store.getAllTwitterAccounts());
+    const tweets = await twitter.fetchBatch(batch);
+
+    assert.deepStrictEqual(requests.map(params => [params.query, params.since_id, params.next_token]), [
+        ['(from:12 OR from:11)', '100', undefined],
+        ['(from:12 OR from:11)', '100', '2']
+    ]);
+    assert.deepStrictEqual(tweets.get('11').map(item => item.tweet.id), ['102', '105']);
+    // Bob had seen 103 already
+    assert.deepStrictEqual(tweets.get('12').map(item => item.tweet.id), ['104']);
+    assert.strictEqual((await store.getTwitterAccount('11')).last_gap_at, null);
+});
+
+test('stops at the pagination cap and records a gap for accounts it cut short', async () => {
+    await store.updateLastTweetId('alice', '200');
+    await store.updateLastTweetId('bob', '207');
+    results = [tweet('210', '11'), tweet('209', '12'), tweet('208', '11'), tweet('207', '12'), tweet('201', '11')];
+    twitter.maxPages = 2;
+    requests.length = 0;
+
+    const [batch] = twitter.planBatches(await store.getAllTwitterAccounts());
+    const tweets = await twitter.fetchBatch(batch);
+    twitter.maxPages = 5;
+
+    assert.strictEqual(requests.length, 2);
+    // Alice's tweets between 200 and 207 were never fetched
+    assert.deepStrictEqual(tweets.get('11').map(item => item.tweet.id), ['208', '210']);
+    assert.ok((await store.getTwitterAccount('11')).last_gap_at);
+    // Bob's whole range since 207 was
+    assert.deepStrictEqual(tweets.get('12').map(item => item.tweet.id), ['209']);
+    assert.strictEqual((await store.getTwitterAccount('12')).last_gap_at, null);
+});
+
+test('reads only the newest page of an account that was never fetched', async () => {
+    await store.pinTwitterAccount('carol', '13', 'Carol');
+    results = [tweet('300', '13'), tweet('299', '13'), tweet('298', '13')];
+    users.push({ id: '13', username: 'carol' });
+    requests.length = 0;
+
+    const batch = twitter.planBatches(await store.getAllTwitterAccounts()).find(batch => !batch.sinceId);
+    const tweets = await twitter.fetchBatch(batch);
+
+    assert.deepStrictEqual(requests.map(params => [params.query, params.max_results]), [['from:13', 10]]);
+    assert.deepStrictEqual(tweets.get('13').map(item => item.tweet.id), ['299', '300']);
+});
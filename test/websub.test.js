@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const databasePath = path.join(os.tmpdir(), `websub-test-${process.pid}.sqlite`);
+process.env.DATABASE_PATH = databasePath;
+process.env.HTTP_HOST = '127.0.0.1';
+process.env.HTTP_PORT = '0';
+process.env.YOUTUBE_WEBSUB_CALLBACK_URL = 'http://127.0.0.1/websub';
+process.env.YOUTUBE_WEBSUB_SECRET = 'test-secret';
+
+const database = require('../src/database/database');
+const store = require('../src/sources/youtube/store');
+const { startHttpServer, stopHttpServer } = require('../src/server/httpServer');
+const websub = require('../src/integrations/websub');
+
+const trackedChannel = 'UCtracked0000000000000000';
+const otherChannel = 'UCother000000000000000000';
+
+// A stand-in hub: records (un)subscribe requests and, like a real hub,
+// verifies each one by calling the subscriber back with a challenge
+const hubRequests = [];
+const hub = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+        const params = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()));
+        res.writeHead(202).end();
+
+        const challenge = crypto.randomBytes(8).toString('hex');
+        const verifyUrl = new URL(params['hub.callback']);
+        verifyUrl.searchParams.set('hub.mode', params['hub.mode']);
+        verifyUrl.searchParams.set('hub.topic', params['hub.topic']);
+        verifyUrl.searchParams.set('hub.challenge', challenge);
+        if (params['hub.lease_seconds']) {
+            verifyUrl.searchParams.set('hub.lease_seconds', params['hub.lease_seconds']);
+        }
+        const verification = await request('GET', verifyUrl);
+        hubRequests.push({ params, challenge, verification });
+    });
+});
+
+function request(method, url, { body = '', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// The hub answers right away and verifies afterwards
+async function waitForHubRequests(count) {
+    for (let i = 0; i < 100 && hubRequests.length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(hubRequests.length, count);
+}
+
+const notification = (channelId, videoId) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${channelId}</yt:channelId>
+    <title>New video</title>
+    <published>2024-05-01T12:00:00+00:00</published>
+    <updated>2024-05-01T12:00:00+00:00</updated>
+  </entry>
+</feed>`;
+
+const sign = (body, secret = 'test-secret') => `sha1=${crypto.createHmac('sha1', secret).update(body).digest('hex')}`;
+
+let callbackUrl;
+
+before(async () => {
+    await database.initializeDatabase();
+    await store.addYoutubeChannel(trackedChannel);
+
+    await new Promise(resolve => hub.listen(0, '127.0.0.1', resolve));
+    websub.hubUrl = `http://127.0.0.1:${hub.address().port}/subscribe`;
+    websub.registerRoutes();
+    const server = await startHttpServer();
+    callbackUrl = `http://127.0.0.1:${server.address().port}/websub`;
+    websub.callbackUrl = callbackUrl;
+});
+
+after(async () => {
+    await stopHttpServer();
+    hub.close();
+    fs.rmSync(databasePath, { force: true });
+});
+
+test('subscribes at the hub and echoes its challenge', async () => {
+    hubRequests.length = 0;
+    assert.strictEqual(await websub.subscribe(trackedChannel), true);
+    await waitForHubRequests(1);
+
+    const [{ params, challenge, verification }] = hubRequests;
+    assert.strictEqual(params['hub.mode'], 'subscribe');
+    assert.strictEqual(params['hub.callback'], callbackUrl);
+    assert.strictEqual(params['hub.topic'], websub.getTopicUrl(trackedChannel));
+    assert.strictEqual(params['hub.secret'], 'test-secret');
+    assert.deepStrictEqual(verification, { status: 200, body: challenge });
+
+    const { websub_expires_at: expiresAt } = await store.getYoutubeChannel(trackedChannel);
+    assert.ok(expiresAt > Date.now() + (websub.leaseSeconds - 60) * 1000);
+});
+
+test('refuses to verify subscriptions for channels that are not tracked', async () => {
+    hubRequests.length = 0;
+    await websub.subscribe(otherChannel);
+    await waitForHubRequests(1);
+
+    assert.strictEqual(hubRequests[0].verification.status, 404);
+});
+
+test('ignores notifications without a valid X-Hub-Signature', async () => {
+    const received = [];
+    const listener = (event) => received.push(event);
+    websub.on('videos', listener);
+
+    try {
+        const body = notification(trackedChannel, 'video00001a');
+        const headers = { 'Content-Type': 'application/atom+xml' };
+        const responses = [
+            await request('POST', callbackUrl, { body, headers }),
+            await request('POST', callbackUrl, { body, headers: { ...headers, 'X-Hub-Signature': sign(body, 'wrong-secret') } }),
+            await request('POST', callbackUrl, { body, headers: { ...headers, 'X-Hub-Signature': 'md5=00' } })
+        ];
+        // Acknowledged all the same, so the hub doesn't retry them
+        assert.deepStrictEqual(responses.map(response => response.status), [204, 204, 204]);
+        assert.deepStrictEqual(received, []);
+
+        await request('POST', callbackUrl, { body, headers: { ...headers, 'X-Hub-Signature': sign(body) } });
+        assert.deepStrictEqual(received, [{ channelId: trackedChannel, videoIds: ['video00001a'] }]);
+    } finally {
+        websub.off('videos', listener);
+    }
+});
+
+test('renews only the leases that are about to expire', async () => {
+    const renewed = 'UCrenew000000000000000000';
+    await store.addYoutubeChannel(renewed);
+    await store.updateWebSubLease(trackedChannel, Date.now() + 5 * 86400000);
+    await store.updateWebSubLease(renewed, Date.now() + 3600000);
+
+    hubRequests.length = 0;
+    await websub.renewLeases();
+    await waitForHubRequests(1);
+
+    assert.strictEqual(hubRequests[0].params['hub.topic'], websub.getTopicUrl(renewed));
+    assert.strictEqual(hubRequests[0].verification.status, 200);
+    const { websub_expires_at: expiresAt } = await store.getYoutubeChannel(renewed);
+    assert.ok(expiresAt > Date.now() + 86400000);
+});